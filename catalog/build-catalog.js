@@ -0,0 +1,344 @@
+/**
+ * Catalog builder — renders every launcher page from games.json.
+ *
+ * BIG IDEA:
+ * - games.json is the only place a game's title, tags, concepts, status
+ *   and folder are written down. Everything below is generated from it:
+ *     index.html                 root launcher (all games + capstone)
+ *     chapter-NN/index.html      chapter launcher
+ *     chapter-NN/README.md       chapter table for GitHub
+ *     <game>/index.html          prev/next bar between the catalog-nav markers
+ * - The pages are plain static HTML (they work from file:// with no
+ *   server); catalog/launcher.js adds search, filters and "next unplayed"
+ *   on top of the rendered list, plus player profiles and Backup/Restore
+ *   on the root page (saves live in shared/game-store.js).
+ *
+ * Usage (Node, no dependencies), from the repo root:
+ *   node catalog/build-catalog.js          write every page
+ *   node catalog/build-catalog.js --check  exit 1 if a page is out of date
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'games.json');
+const MANIFEST_VERSION = 1;
+const STATUSES = ['implemented', 'template'];
+
+const NAV_START = '<!-- catalog-nav:start (generated from games.json by catalog/build-catalog.js: edit those, not this) -->';
+const NAV_START_MATCH = '<!-- catalog-nav:start';
+const NAV_END = '<!-- catalog-nav:end -->';
+
+/* -----------------------------
+   Manifest: load + validate
+   Problems are collected and reported together, so one run of the
+   builder lists everything to fix in games.json.
+------------------------------ */
+function loadManifest() {
+  const data = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+  const problems = [];
+  if (data.version !== MANIFEST_VERSION) problems.push(`version must be ${MANIFEST_VERSION}`);
+  if (!Array.isArray(data.games)) throw new Error('games.json: "games" must be a list');
+
+  const seen = new Set();
+  data.games.forEach((g, i) => {
+    const where = `games[${i}]${g && g.id ? ` (${g.id})` : ''}`;
+    if (!g || typeof g !== 'object') return problems.push(`${where} must be an object`);
+    if (!/^\d{3}$/.test(g.id)) problems.push(`${where}.id must be three digits`);
+    if (seen.has(g.id)) problems.push(`${where}.id is used twice`);
+    seen.add(g.id);
+    if (g.chapter !== null && !(Number.isInteger(g.chapter) && g.chapter > 0)) problems.push(`${where}.chapter must be a number or null`);
+    for (const key of ['title', 'summary', 'path']) {
+      if (typeof g[key] !== 'string' || !g[key].trim()) problems.push(`${where}.${key} must be text`);
+    }
+    for (const key of ['tags', 'concepts']) {
+      if (!Array.isArray(g[key]) || !g[key].every(t => typeof t === 'string' && t.trim())) problems.push(`${where}.${key} must be a list of words`);
+    }
+    if (!STATUSES.includes(g.status)) problems.push(`${where}.status must be one of ${STATUSES.join(', ')}`);
+    if (typeof g.path === 'string' && !fs.existsSync(path.join(ROOT, g.path, 'index.html'))) {
+      problems.push(`${where}.path: ${g.path}index.html does not exist`);
+    }
+  });
+
+  if (problems.length) throw new Error(`games.json has problems:\n  ${problems.join('\n  ')}`);
+  return data.games.slice().sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/* -----------------------------
+   Small helpers
+------------------------------ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const pad2 = n => String(n).padStart(2, '0');
+const chapterDir = n => `chapter-${pad2(n)}`;
+
+// Link from one folder (relative to the repo root) to a file in another.
+function link(fromDir, toFile) {
+  return path.posix.relative(fromDir, toFile) || '.';
+}
+
+function gameLabel(g) {
+  return `Game ${g.id} — ${g.title}`;
+}
+
+function chapters(games) {
+  const map = new Map();
+  for (const g of games) {
+    if (g.chapter === null) continue;
+    if (!map.has(g.chapter)) map.set(g.chapter, []);
+    map.get(g.chapter).push(g);
+  }
+  return [...map.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+function idRange(list) {
+  return list.length > 1 ? `${list[0].id}–${list[list.length - 1].id}` : list[0].id;
+}
+
+/* -----------------------------
+   Launcher pages (root + chapter)
+   Each game is an <li> carrying its data in data-* attributes; that is
+   what launcher.js searches and filters.
+------------------------------ */
+function gameItem(g, fromDir) {
+  const tags = g.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join(' ');
+  return [
+    `<li class="game" data-id="${g.id}" data-status="${g.status}"`,
+    ` data-tags="${escapeHtml(g.tags.join('|'))}" data-concepts="${escapeHtml(g.concepts.join('|'))}">`,
+    `<a href="${escapeHtml(link(fromDir, `${g.path}index.html`))}">${escapeHtml(gameLabel(g))}</a>`,
+    ` <span class="status status-${g.status}">${g.status}</span>`,
+    ' <span class="played-mark" hidden>✓ played</span>',
+    `<p class="summary">${escapeHtml(g.summary)}</p>`,
+    `<p class="meta">${tags} <span class="concepts">Learn: ${escapeHtml(g.concepts.join(', '))}</span></p>`,
+    '</li>',
+  ].join('');
+}
+
+// Search, filters and "next unplayed"; filled in by launcher.js.
+function controls() {
+  return `<form class="controls" role="search" aria-label="Find a game">
+        <label>Search <input id="search" type="search" placeholder="title, tag or concept" autocomplete="off" /></label>
+        <label>Tag <select id="filterTag"><option value="">Any tag</option></select></label>
+        <label>Concept <select id="filterConcept"><option value="">Any concept</option></select></label>
+        <label>Status
+          <select id="filterStatus">
+            <option value="">Any status</option>
+            <option value="implemented">Implemented</option>
+            <option value="template">Template</option>
+          </select>
+        </label>
+        <button id="btnNextUnplayed" class="btn" type="button">Next unplayed game</button>
+      </form>
+      <p id="resultCount" class="note" role="status" aria-live="polite"></p>`;
+}
+
+// Root page only: who is playing, and all progress in/out as one file.
+function playersPanel() {
+  return `
+    <section class="card" aria-labelledby="players-title">
+      <h2 id="players-title">Players &amp; backup</h2>
+      <p>Best scores and progress are saved in this browser, separately for each player.</p>
+      <div class="controls">
+        <label>Playing as <select id="profileSelect"></select></label>
+        <button id="btnNewProfile" class="btn" type="button">New player</button>
+        <button id="btnRenameProfile" class="btn" type="button">Rename</button>
+        <button id="btnDeleteProfile" class="btn" type="button">Delete</button>
+      </div>
+      <div class="nav">
+        <button id="btnBackup" class="btn" type="button">Back up all progress</button>
+        <button id="btnRestore" class="btn" type="button">Restore from backup…</button>
+        <input id="restoreFile" type="file" accept="application/json,.json" hidden />
+      </div>
+      <p id="storageStatus" class="note" role="status" aria-live="polite"></p>
+    </section>`;
+}
+
+function page({ title, heading, intro, root, body, extra = '' }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${root}catalog/catalog.css" />
+  <!-- Generated from games.json by catalog/build-catalog.js: edit those, not this file. -->
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(heading)}</h1>
+    <p>${intro}</p>
+  </header>
+  <main>
+    <div class="card">
+      ${controls()}
+${body}
+    </div>${extra}
+  </main>
+  <script src="${root}shared/game-store.js" defer></script>
+  <script src="${root}catalog/launcher.js" defer></script>
+</body>
+</html>
+`;
+}
+
+function rootPage(games) {
+  const capstone = games.filter(g => g.chapter === null);
+  const sections = chapters(games).map(([n, list]) => `      <section class="chapter" aria-labelledby="chapter-${n}">
+        <h2 id="chapter-${n}"><a href="${chapterDir(n)}/index.html">Chapter ${pad2(n)}</a> <span class="tag">Games ${idRange(list)}</span></h2>
+        <ul class="games">
+          ${list.map(g => gameItem(g, '.')).join('\n          ')}
+        </ul>
+      </section>`);
+  if (capstone.length) {
+    sections.push(`      <section class="chapter" aria-labelledby="chapter-capstone">
+        <h2 id="chapter-capstone">Capstone</h2>
+        <ul class="games">
+          ${capstone.map(g => gameItem(g, '.')).join('\n          ')}
+        </ul>
+      </section>`);
+  }
+
+  const implemented = games.filter(g => g.status === 'implemented').length;
+  return page({
+    title: 'JavaScript DOM Games — Root Launcher',
+    heading: 'JavaScript DOM Games — Root Launcher',
+    intro: `Browse all ${games.length} games grouped <strong>by chapter</strong> (${implemented} implemented, ${games.length - implemented} built from starter templates you can replace). Search, filter by tag or concept, or jump to the next game you haven’t played.`,
+    root: '',
+    body: sections.join('\n'),
+    extra: playersPanel(),
+  });
+}
+
+function chapterPage(n, list, allChapters) {
+  const dir = chapterDir(n);
+  const index = allChapters.findIndex(([m]) => m === n);
+  const prev = allChapters[index - 1];
+  const next = allChapters[index + 1];
+  const nav = [
+    prev ? `<a class="btn" href="../${chapterDir(prev[0])}/index.html" rel="prev">← Chapter ${pad2(prev[0])}</a>` : '',
+    '<a class="btn" href="../index.html">All games</a>',
+    next ? `<a class="btn" href="../${chapterDir(next[0])}/index.html" rel="next">Chapter ${pad2(next[0])} →</a>` : '',
+  ].filter(Boolean).join('\n        ');
+
+  return page({
+    title: `Chapter ${pad2(n)} — Games ${idRange(list)}`,
+    heading: `Chapter ${pad2(n)}`,
+    intro: `Games ${idRange(list)}`,
+    root: '../',
+    body: `      <ul class="games">
+        ${list.map(g => gameItem(g, dir)).join('\n        ')}
+      </ul>
+      <div class="nav">
+        ${nav}
+      </div>`,
+  });
+}
+
+function chapterReadme(n, list) {
+  const rows = list.map(g => `| ${g.id} | [${g.title}](./${link(chapterDir(n), `${g.path}index.html`)}) | ${g.status} | ${g.concepts.join(', ')} |`);
+  return `# Chapter ${pad2(n)}
+
+Games ${idRange(list)}. Generated from \`games.json\` by \`catalog/build-catalog.js\`.
+
+| # | Game | Status | Concepts |
+|---|------|--------|----------|
+${rows.join('\n')}
+`;
+}
+
+/* -----------------------------
+   Prev/next bar inside each game page
+   Replaces whatever is between the markers (or goes right before
+   </body> the first time), so the game's own markup is never touched.
+   game-nav.js needs GameStore; games that save already load it.
+------------------------------ */
+function gameNav(g, prev, next, needsStore) {
+  const dir = g.path;
+  const to = other => escapeHtml(link(dir, `${other.path}index.html`));
+  const items = [
+    prev ? `<a href="${to(prev)}" rel="prev">← ${escapeHtml(gameLabel(prev))}</a>` : '<span></span>',
+    g.chapter !== null ? `<a href="${link(dir, `${chapterDir(g.chapter)}/index.html`)}">Chapter ${pad2(g.chapter)}</a>` : '',
+    `<a href="${link(dir, 'index.html')}">All games</a>`,
+    next ? `<a href="${to(next)}" rel="next">${escapeHtml(gameLabel(next))} →</a>` : '<span></span>',
+  ].filter(Boolean);
+
+  return `${NAV_START}
+  <link rel="stylesheet" href="${link(dir, 'catalog/game-nav.css')}" />
+  <nav class="catalog-nav" aria-label="More games">
+    ${items.join('\n    ')}
+  </nav>
+${needsStore ? `  <script src="${link(dir, 'shared/game-store.js')}" defer></script>\n` : ''}  <script src="${link(dir, 'catalog/game-nav.js')}" data-game-id="${g.id}" defer></script>
+  ${NAV_END}`;
+}
+
+// The page split around the nav block: [before, after], or null if it has none yet.
+function splitAtNav(html) {
+  const start = html.indexOf(NAV_START_MATCH);
+  const end = html.indexOf(NAV_END);
+  return start !== -1 && end > start ? [html.slice(0, start), html.slice(end + NAV_END.length)] : null;
+}
+
+function withGameNav(html, navFor) {
+  const parts = splitAtNav(html);
+  if (parts) return parts[0] + navFor(!parts.join('').includes('shared/game-store.js')) + parts[1];
+  const close = html.lastIndexOf('</body>');
+  if (close === -1) throw new Error('no </body> to put the game nav before');
+  return `${html.slice(0, close)}  ${navFor(!html.includes('shared/game-store.js'))}\n${html.slice(close)}`;
+}
+
+/* -----------------------------
+   Build
+------------------------------ */
+function build({ check = false } = {}) {
+  const games = loadManifest();
+  const allChapters = chapters(games);
+  const outputs = new Map(); // file (relative to ROOT) -> contents
+
+  outputs.set('index.html', rootPage(games));
+  for (const [n, list] of allChapters) {
+    outputs.set(`${chapterDir(n)}/index.html`, chapterPage(n, list, allChapters));
+    outputs.set(`${chapterDir(n)}/README.md`, chapterReadme(n, list));
+  }
+  games.forEach((g, i) => {
+    const file = `${g.path}index.html`;
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    try {
+      outputs.set(file, withGameNav(html, needsStore => gameNav(g, games[i - 1], games[i + 1], needsStore)));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+  });
+
+  const stale = [];
+  for (const [file, contents] of outputs) {
+    const full = path.join(ROOT, file);
+    const current = fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null;
+    if (current === contents) continue;
+    stale.push(file);
+    if (!check) fs.writeFileSync(full, contents);
+  }
+  return stale;
+}
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  try {
+    const stale = build({ check });
+    if (check && stale.length) {
+      console.error(`Out of date (run node catalog/build-catalog.js):\n  ${stale.join('\n  ')}`);
+      process.exit(1);
+    }
+    console.log(check ? 'Catalog pages are up to date.' : `Wrote ${stale.length} file(s).`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { build, loadManifest };
@@ -0,0 +1,22 @@
+/**
+ * Game pages — remember that this game was opened.
+ *
+ * Loaded by the prev/next bar build-catalog.js adds to every game page:
+ *   <script src="../../catalog/game-nav.js" data-game-id="001" defer></script>
+ * (after shared/game-store.js). The launchers read the same record, for
+ * the active player profile, to show ✓ marks and find the "next unplayed game".
+ */
+(() => {
+  const id = document.currentScript && document.currentScript.dataset.gameId;
+  if (!id || typeof GameStore === 'undefined') return;
+
+  const catalogSaves = GameStore.createStore().namespace('catalog', {
+    legacy: { played: 'domGamesCatalog_played' }, // { [game id]: ISO time first opened }
+  });
+  const saved = catalogSaves.get('played', {});
+  const played = saved && typeof saved === 'object' ? saved : {};
+  if (played[id]) return; // keep the first visit
+  played[id] = new Date().toISOString();
+  // Storage full or blocked: the game still plays, it just isn't ticked off
+  catalogSaves.set('played', played);
+})();
@@ -0,0 +1,284 @@
+/**
+ * Launcher pages — search, tag/concept/status filters, "next unplayed".
+ *
+ * BIG IDEA:
+ * - build-catalog.js already rendered every game as an <li class="game">
+ *   with its tags/concepts in data-* attributes. Filtering is just showing
+ *   and hiding those items; no second copy of games.json is needed here.
+ * - The filters live in the URL (?q=&tag=&concept=&status=), so a filtered
+ *   list can be bookmarked or shared, and Back returns to the same view.
+ * - "Played" is remembered by catalog/game-nav.js when a game page opens,
+ *   per player profile (shared/game-store.js). The root page also lets you
+ *   pick the player and back up / restore everything as one JSON file.
+ */
+(() => {
+  const PARAMS = ['q', 'tag', 'concept', 'status'];
+  const store = GameStore.createStore();
+  const catalogSaves = store.namespace('catalog', {
+    legacy: { played: 'domGamesCatalog_played' }, // { [game id]: ISO time first opened }
+  });
+
+  const el = {
+    search: document.getElementById('search'),
+    tag: document.getElementById('filterTag'),
+    concept: document.getElementById('filterConcept'),
+    status: document.getElementById('filterStatus'),
+    next: document.getElementById('btnNextUnplayed'),
+    count: document.getElementById('resultCount'),
+
+    // Players & backup (root page only)
+    profileSelect: document.getElementById('profileSelect'),
+    btnNewProfile: document.getElementById('btnNewProfile'),
+    btnRenameProfile: document.getElementById('btnRenameProfile'),
+    btnDeleteProfile: document.getElementById('btnDeleteProfile'),
+    btnBackup: document.getElementById('btnBackup'),
+    btnRestore: document.getElementById('btnRestore'),
+    restoreFile: document.getElementById('restoreFile'),
+    storageStatus: document.getElementById('storageStatus'),
+  };
+  const inputs = { q: el.search, tag: el.tag, concept: el.concept, status: el.status };
+
+  const games = [...document.querySelectorAll('li.game')].map(item => ({
+    item,
+    id: item.dataset.id,
+    status: item.dataset.status,
+    tags: item.dataset.tags ? item.dataset.tags.split('|') : [],
+    concepts: item.dataset.concepts ? item.dataset.concepts.split('|') : [],
+    link: item.querySelector('a'),
+    // Everything the search box looks at, lower-cased once
+    text: [item.textContent, item.dataset.tags, item.dataset.concepts].join(' ').toLowerCase(),
+  }));
+
+  /* -----------------------------
+     Played games (shared with game-nav.js)
+  ------------------------------ */
+  function loadPlayed() {
+    const played = catalogSaves.get('played', {});
+    return played && typeof played === 'object' ? played : {};
+  }
+
+  function markPlayed(played) {
+    for (const g of games) {
+      const seen = !!played[g.id];
+      g.item.classList.toggle('played', seen);
+      g.item.querySelector('.played-mark').hidden = !seen;
+    }
+  }
+
+  /* -----------------------------
+     Filter dropdowns: every tag/concept that appears on this page
+  ------------------------------ */
+  function fillSelect(select, values) {
+    for (const value of [...new Set(values)].sort()) {
+      select.append(new Option(value, value));
+    }
+  }
+
+  /* -----------------------------
+     Filtering
+     Every search word must match somewhere (title, summary, tag, concept,
+     number), so "timer click" narrows instead of widening.
+  ------------------------------ */
+  function currentFilters() {
+    return {
+      q: el.search.value.trim().toLowerCase(),
+      tag: el.tag.value,
+      concept: el.concept.value,
+      status: el.status.value,
+    };
+  }
+
+  function matches(g, f) {
+    if (f.tag && !g.tags.includes(f.tag)) return false;
+    if (f.concept && !g.concepts.includes(f.concept)) return false;
+    if (f.status && g.status !== f.status) return false;
+    return f.q.split(/\s+/).every(word => g.text.includes(word));
+  }
+
+  function applyFilters() {
+    const f = currentFilters();
+    let shown = 0;
+    for (const g of games) {
+      g.item.hidden = !matches(g, f);
+      if (!g.item.hidden) shown++;
+    }
+    // A chapter with nothing left in it disappears too
+    for (const section of document.querySelectorAll('section.chapter')) {
+      section.hidden = !section.querySelector('li.game:not([hidden])');
+    }
+    const filtered = PARAMS.some(key => f[key]);
+    el.count.textContent = filtered
+      ? `${shown} of ${games.length} game${games.length === 1 ? '' : 's'} match.`
+      : `${games.length} game${games.length === 1 ? '' : 's'}.`;
+    saveToUrl();
+  }
+
+  /* -----------------------------
+     URL <-> filters
+  ------------------------------ */
+  function saveToUrl() {
+    const params = new URLSearchParams(location.search);
+    for (const key of PARAMS) {
+      const value = inputs[key].value.trim();
+      if (value) params.set(key, value);
+      else params.delete(key);
+    }
+    const query = params.toString();
+    const url = `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    try {
+      history.replaceState(null, '', url);
+    } catch {
+      // Some browsers refuse replaceState on file:// pages; filters still work
+    }
+  }
+
+  function loadFromUrl() {
+    const params = new URLSearchParams(location.search);
+    for (const key of PARAMS) {
+      const value = params.get(key) || '';
+      const input = inputs[key];
+      // A select only takes values it has an option for
+      if (input.tagName === 'SELECT' && ![...input.options].some(o => o.value === value)) continue;
+      input.value = value;
+    }
+  }
+
+  /* -----------------------------
+     Next unplayed game
+     First game in list order that is visible with the current filters and
+     hasn't been opened yet: "next unplayed template game" works too.
+  ------------------------------ */
+  function nextUnplayed() {
+    const played = loadPlayed();
+    const target = games.find(g => !g.item.hidden && !played[g.id]);
+    if (!target) {
+      el.count.textContent = 'You have played every game in this list. 🎉';
+      return;
+    }
+    location.href = target.link.href;
+  }
+
+  /* -----------------------------
+     Players & backup
+     Profiles and files go through GameStore; this is just the buttons.
+  ------------------------------ */
+  function say(text) {
+    el.storageStatus.textContent = text;
+  }
+
+  function renderProfiles() {
+    const active = store.activeProfile();
+    el.profileSelect.replaceChildren(...store.profiles().map(p => new Option(p.name, p.id, false, p.id === active.id)));
+    el.btnDeleteProfile.disabled = store.profiles().length < 2;
+    markPlayed(loadPlayed());
+    applyFilters(); // "next unplayed" depends on who is playing
+  }
+
+  function newProfile() {
+    const name = prompt('Name for the new player:', '');
+    if (name === null) return;
+    try {
+      const profile = store.createProfile(name);
+      store.switchProfile(profile.id);
+      renderProfiles();
+      say(`Now playing as ${profile.name}.`);
+    } catch (err) {
+      say(err.message);
+    }
+  }
+
+  function renameProfile() {
+    const active = store.activeProfile();
+    const name = prompt('New name:', active.name);
+    if (name === null) return;
+    const profile = store.renameProfile(active.id, name);
+    renderProfiles();
+    say(`Renamed to ${profile.name}.`);
+  }
+
+  function deleteProfile() {
+    const active = store.activeProfile();
+    if (!confirm(`Delete ${active.name} and all of their scores and progress?`)) return;
+    try {
+      store.deleteProfile(active.id);
+      renderProfiles();
+      say(`${active.name} was deleted. Now playing as ${store.activeProfile().name}.`);
+    } catch (err) {
+      say(err.message);
+    }
+  }
+
+  function backup() {
+    const data = store.exportBackup();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `dom-games-backup-${data.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    say(`Backup saved (${Math.ceil(store.usage() / 1024)} KB of progress).`);
+  }
+
+  async function restore(file) {
+    el.restoreFile.value = ''; // picking the same file again still fires 'change'
+    if (!file) return;
+    const data = GameStore.safeJsonParse(await file.text(), null);
+    if (!data) {
+      say('That file is not a games backup.');
+      return;
+    }
+    if (!confirm('Replace ALL saved progress in this browser with this backup?')) return;
+    try {
+      const result = store.importBackup(data);
+      renderProfiles();
+      say(`Restored ${result.profiles} player${result.profiles === 1 ? '' : 's'} and ${result.entries} game save${result.entries === 1 ? '' : 's'}.`);
+    } catch (err) {
+      say(err.message);
+    }
+  }
+
+  function wirePlayers() {
+    if (!el.profileSelect) return;
+    el.profileSelect.addEventListener('change', () => {
+      const profile = store.switchProfile(el.profileSelect.value);
+      renderProfiles();
+      say(`Now playing as ${profile.name}.`);
+    });
+    el.btnNewProfile.addEventListener('click', newProfile);
+    el.btnRenameProfile.addEventListener('click', renameProfile);
+    el.btnDeleteProfile.addEventListener('click', deleteProfile);
+    el.btnBackup.addEventListener('click', backup);
+    el.btnRestore.addEventListener('click', () => el.restoreFile.click());
+    el.restoreFile.addEventListener('change', () => restore(el.restoreFile.files[0]));
+    renderProfiles();
+    if (!store.persistent) say('This browser is blocking storage here: progress lasts until the tab closes.');
+  }
+
+  /* -----------------------------
+     Wire-up
+  ------------------------------ */
+  fillSelect(el.tag, games.flatMap(g => g.tags));
+  fillSelect(el.concept, games.flatMap(g => g.concepts));
+  loadFromUrl();
+  markPlayed(loadPlayed());
+  applyFilters();
+  wirePlayers();
+
+  el.search.addEventListener('input', applyFilters);
+  for (const select of [el.tag, el.concept, el.status]) select.addEventListener('change', applyFilters);
+  el.next.addEventListener('click', nextUnplayed);
+  // The search form has no submit action: Enter opens the first match
+  el.search.closest('form').addEventListener('submit', e => {
+    e.preventDefault();
+    const first = games.find(g => !g.item.hidden);
+    if (first) location.href = first.link.href;
+  });
+
+  // Coming back from a game, or another tab played / switched player:
+  // refresh the ✓ marks (and the player list)
+  const refresh = () => (el.profileSelect ? renderProfiles() : markPlayed(loadPlayed()));
+  window.addEventListener('pageshow', refresh);
+  window.addEventListener('storage', e => {
+    if (e.key && e.key.startsWith('domGames/')) refresh();
+  });
+})();
@@ -0,0 +1,234 @@
+/**
+ * Mini Chat — messages, commands and who's-online, the parts every
+ * transport shares (no DOM, no network).
+ *
+ * BIG IDEA:
+ * - Everything that travels is an *event*, a small JSON object:
+ *     { type: 'message',  message: { id, room, author, authorId, text, kind, at } }
+ *     { type: 'presence', room, peer: { id, nick }, state: 'join' | 'here' | 'leave' }
+ *     { type: 'typing',   room, peer, typing: true | false }
+ *     { type: 'nick',     room, peer, previous }
+ *   A transport (transports.js) only moves events; this file checks them.
+ * - Messages carry an id and an ISO time, so histories from different
+ *   places (this browser, another tab, the relay server) merge without
+ *   duplicates and in the right order: see mergeMessages.
+ * - The same file runs in the browser and in relay-server.js (Node), so
+ *   both sides agree on what a valid event is.
+ *
+ * Usage:
+ *   const msg = MiniChat.createMessage({ room: 'lobby', peer, text: 'hi' });
+ *   const event = MiniChat.normalizeEvent(JSON.parse(data)); // null if invalid
+ *   history = MiniChat.mergeMessages(history, [msg]);
+ *   MiniChat.parseInput('/nick Ada');  // { command: 'nick', arg: 'Ada' }
+ */
+const MiniChat = (() => {
+  const DEFAULT_ROOM = 'lobby';
+  const MAX_TEXT = 500;
+  const MAX_NICK = 24;
+  const MAX_HISTORY = 200; // messages kept per room
+  const PEER_TIMEOUT_MS = 30000;   // no presence for this long = gone
+  const TYPING_TIMEOUT_MS = 5000;  // "is typing" fades if not refreshed
+
+  const ROOM = /^[a-z0-9][a-z0-9-]{0,31}$/;
+  const ID = /^[\w-]{1,64}$/;
+  const KINDS = ['text', 'action'];
+  const PRESENCE = ['join', 'here', 'leave'];
+
+  const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  function makeId(prefix = '') {
+    return `${prefix}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // '  General Chat ' -> 'general-chat'; null if nothing usable is left.
+  function cleanRoom(name) {
+    const room = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+    return ROOM.test(room) ? room : null;
+  }
+
+  // Control characters out, spaces squeezed; null if empty.
+  function cleanNick(name) {
+    const nick = String(name || '').replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_NICK);
+    return nick || null;
+  }
+
+  const validTime = at => typeof at === 'string' && !Number.isNaN(Date.parse(at));
+
+  /* -----------------------------
+     Messages
+  ------------------------------ */
+  function createMessage({ room, peer, text, kind = 'text', at = new Date().toISOString() }) {
+    return {
+      id: makeId('m-'),
+      room,
+      author: peer.nick,
+      authorId: peer.id,
+      text: String(text).slice(0, MAX_TEXT),
+      kind,
+      at,
+    };
+  }
+
+  function normalizeMessage(raw) {
+    if (!isObject(raw) || typeof raw.id !== 'string' || !ID.test(raw.id) || !validTime(raw.at)) return null;
+    const room = cleanRoom(raw.room);
+    const author = cleanNick(raw.author);
+    if (!room || !author || typeof raw.text !== 'string' || !raw.text.trim()) return null;
+    return {
+      id: raw.id,
+      room,
+      author,
+      authorId: typeof raw.authorId === 'string' && ID.test(raw.authorId) ? raw.authorId : '',
+      text: raw.text.slice(0, MAX_TEXT),
+      kind: KINDS.includes(raw.kind) ? raw.kind : 'text',
+      at: new Date(raw.at).toISOString(), // one format, so times sort as text
+    };
+  }
+
+  // Oldest first; equal times fall back to the id so every copy agrees.
+  function compareMessages(a, b) {
+    return a.at.localeCompare(b.at) || a.id.localeCompare(b.id);
+  }
+
+  // Union of message lists by id, sorted, newest MAX_HISTORY kept.
+  function mergeMessages(...lists) {
+    const byId = new Map();
+    for (const list of lists) {
+      for (const message of list || []) {
+        if (!byId.has(message.id)) byId.set(message.id, message);
+      }
+    }
+    return [...byId.values()].sort(compareMessages).slice(-MAX_HISTORY);
+  }
+
+  // Whatever storage or the network handed us -> valid messages only.
+  function cleanHistory(list) {
+    return mergeMessages((Array.isArray(list) ? list : []).map(normalizeMessage).filter(Boolean));
+  }
+
+  /* -----------------------------
+     Events
+  ------------------------------ */
+  function normalizePeer(raw) {
+    if (!isObject(raw) || typeof raw.id !== 'string' || !ID.test(raw.id)) return null;
+    const nick = cleanNick(raw.nick);
+    return nick ? { id: raw.id, nick } : null;
+  }
+
+  function normalizeEvent(raw) {
+    if (!isObject(raw)) return null;
+    if (raw.type === 'message') {
+      const message = normalizeMessage(raw.message);
+      return message && { type: 'message', message };
+    }
+    const room = cleanRoom(raw.room);
+    const peer = normalizePeer(raw.peer);
+    if (!room || !peer) return null;
+    switch (raw.type) {
+      case 'presence':
+        return PRESENCE.includes(raw.state) ? { type: 'presence', room, peer, state: raw.state } : null;
+      case 'typing':
+        return { type: 'typing', room, peer, typing: !!raw.typing };
+      case 'nick': {
+        const previous = cleanNick(raw.previous);
+        return previous ? { type: 'nick', room, peer, previous } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /* -----------------------------
+     Who's online + who's typing
+     roster.peers: Map id -> { id, nick, seenAt, typingUntil } (times in ms)
+     applyEvent returns true when something visible changed.
+  ------------------------------ */
+  function createRoster() {
+    return { peers: new Map() };
+  }
+
+  function applyEvent(roster, event, nowMs) {
+    const peer = event.type === 'message'
+      ? event.message.authorId && { id: event.message.authorId, nick: event.message.author }
+      : event.peer;
+    if (!peer) return false;
+
+    if (event.type === 'presence' && event.state === 'leave') return roster.peers.delete(peer.id);
+
+    const known = roster.peers.get(peer.id);
+    const entry = known || { id: peer.id, nick: peer.nick, seenAt: 0, typingUntil: 0 };
+    const before = `${entry.nick}|${entry.typingUntil > nowMs}`;
+    entry.nick = peer.nick;
+    entry.seenAt = nowMs;
+    if (event.type === 'typing') entry.typingUntil = event.typing ? nowMs + TYPING_TIMEOUT_MS : 0;
+    if (event.type === 'message') entry.typingUntil = 0; // sent = done typing
+    roster.peers.set(peer.id, entry);
+    return !known || before !== `${entry.nick}|${entry.typingUntil > nowMs}`;
+  }
+
+  // Drops peers not heard from in a while; true if anyone left.
+  function expire(roster, nowMs) {
+    let changed = false;
+    for (const [id, entry] of roster.peers) {
+      if (nowMs - entry.seenAt > PEER_TIMEOUT_MS) {
+        roster.peers.delete(id);
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  function online(roster) {
+    return [...roster.peers.values()].sort((a, b) => a.nick.localeCompare(b.nick));
+  }
+
+  function typing(roster, nowMs) {
+    return online(roster).filter(p => p.typingUntil > nowMs);
+  }
+
+  /* -----------------------------
+     Input: text or /command
+  ------------------------------ */
+  const COMMANDS = {
+    nick: '/nick name — change your nickname',
+    join: '/join room — switch to another room',
+    who: '/who — list who is here',
+    me: '/me action — say what you do (* Ada waves *)',
+    clear: '/clear — clear this room’s history on this device',
+    help: '/help — list the commands',
+  };
+
+  // -> { text } or { command, arg } (command may be unknown: the page says so)
+  function parseInput(input) {
+    const value = String(input).trim();
+    const match = /^\/(\w+)(?:\s+([\s\S]*))?$/.exec(value);
+    if (!match) return { text: value };
+    return { command: match[1].toLowerCase(), arg: (match[2] || '').trim() };
+  }
+
+  return {
+    DEFAULT_ROOM,
+    MAX_TEXT,
+    MAX_HISTORY,
+    PEER_TIMEOUT_MS,
+    COMMANDS,
+
+    makeId,
+    cleanRoom,
+    cleanNick,
+    createMessage,
+    normalizeMessage,
+    mergeMessages,
+    cleanHistory,
+    normalizePeer,
+    normalizeEvent,
+    createRoster,
+    applyEvent,
+    expire,
+    online,
+    typing,
+    parseInput,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = MiniChat;
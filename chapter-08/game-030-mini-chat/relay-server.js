@@ -0,0 +1,260 @@
+/**
+ * Mini Chat relay — a tiny WebSocket server for chat rooms (plain Node).
+ *
+ * BIG IDEA:
+ * - A WebSocket starts as an HTTP request asking to "upgrade". We answer
+ *   with a hash of the browser's key (that's the whole handshake), and
+ *   from then on both sides send small *frames*. This file does that by
+ *   hand (about 80 lines) so there's nothing to install.
+ * - The relay knows nothing about chat except rooms: the first event of a
+ *   connection must be a presence 'join' (it picks the room and the
+ *   peer). After that every valid event is passed on to the others in
+ *   the same room. The server keeps each room's last messages, so a
+ *   newcomer gets the history and the list of who's online ('welcome').
+ * - Events are checked with the same chat-core.js the page uses.
+ *
+ * Usage:
+ *   node chapter-08/game-030-mini-chat/relay-server.js [--port 8090] [--host 0.0.0.0]
+ * then pick "Relay server (WebSocket)" in Mini Chat and use ws://<address>:8090
+ */
+const http = require('http');
+const crypto = require('crypto');
+const MiniChat = require('./chat-core.js');
+const readArgs = require('../../shared/server-args.js');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // fixed by the WebSocket spec
+const MAX_FRAME = 16 * 1024; // bytes; a chat event is far smaller
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+/* -----------------------------
+   Frames
+   Browser -> server frames are always masked (XOR with a 4-byte key);
+   server -> browser frames never are.
+------------------------------ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pulls whole frames off the front of `buffer`.
+// -> { frames: [{ fin, opcode, payload }], rest, error? }
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    let length = b1 & 0x7f;
+    let at = offset + 2;
+    if (!(b1 & 0x80)) return { frames, rest: Buffer.alloc(0), error: 1002 }; // unmasked: not a browser
+    if (length === 126) {
+      if (buffer.length < at + 2) break;
+      length = buffer.readUInt16BE(at);
+      at += 2;
+    } else if (length === 127) {
+      if (buffer.length < at + 8) break;
+      const big = buffer.readBigUInt64BE(at);
+      if (big > BigInt(MAX_FRAME)) return { frames, rest: Buffer.alloc(0), error: 1009 };
+      length = Number(big);
+      at += 8;
+    }
+    if (length > MAX_FRAME) return { frames, rest: Buffer.alloc(0), error: 1009 };
+    if (buffer.length < at + 4 + length) break;
+
+    const mask = buffer.subarray(at, at + 4);
+    const payload = Buffer.from(buffer.subarray(at + 4, at + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ fin: !!(b0 & 0x80), opcode: b0 & 0x0f, payload });
+    offset = at + 4 + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/* -----------------------------
+   One connection
+   Calls onText(string) for each complete text message and onClose() once.
+------------------------------ */
+function wrapSocket(socket, { onText, onClose }) {
+  let buffer = Buffer.alloc(0);
+  let pieces = null; // a text message split over several frames
+  let closed = false;
+
+  const conn = {
+    send(text) {
+      if (!closed) socket.write(encodeFrame(OP.text, Buffer.from(text, 'utf8')));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      socket.end(encodeFrame(OP.close, payload));
+      finish();
+    },
+  };
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    onClose();
+  }
+
+  socket.on('data', (chunk) => {
+    const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+    buffer = decoded.rest;
+    for (const frame of decoded.frames) {
+      if (frame.opcode === OP.ping) socket.write(encodeFrame(OP.pong, frame.payload));
+      else if (frame.opcode === OP.close) return conn.close();
+      else if (frame.opcode === OP.text || frame.opcode === OP.continuation) {
+        pieces = frame.opcode === OP.text ? [frame.payload] : pieces && [...pieces, frame.payload];
+        if (!pieces) return conn.close(1002); // continuation of nothing
+        if (pieces.reduce((n, p) => n + p.length, 0) > MAX_FRAME) return conn.close(1009);
+        if (frame.fin) {
+          onText(Buffer.concat(pieces).toString('utf8'));
+          pieces = null;
+        }
+      } else if (frame.opcode === OP.binary) return conn.close(1003); // text only
+    }
+    if (decoded.error) conn.close(decoded.error);
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+  return conn;
+}
+
+/* -----------------------------
+   Rooms
+   rooms: Map room -> { clients: Set<client>, history: [messages] }
+   client: { conn, room, peer }
+------------------------------ */
+function createRelay() {
+  const rooms = new Map();
+
+  function roomFor(name) {
+    if (!rooms.has(name)) rooms.set(name, { clients: new Set(), history: [] });
+    return rooms.get(name);
+  }
+
+  function broadcast(room, event, except) {
+    const text = JSON.stringify(event);
+    for (const other of roomFor(room).clients) {
+      if (other !== except) other.conn.send(text);
+    }
+  }
+
+  function join(client, event) {
+    client.room = event.room;
+    client.peer = event.peer;
+    const room = roomFor(event.room);
+    room.clients.add(client);
+    client.conn.send(JSON.stringify({
+      type: 'welcome',
+      room: event.room,
+      history: room.history,
+      peers: [...room.clients].filter(c => c !== client).map(c => c.peer),
+    }));
+    broadcast(event.room, { type: 'presence', room: event.room, peer: client.peer, state: 'join' }, client);
+  }
+
+  function leave(client) {
+    if (!client.room) return;
+    const room = roomFor(client.room);
+    room.clients.delete(client);
+    broadcast(client.room, { type: 'presence', room: client.room, peer: client.peer, state: 'leave' });
+    if (!room.clients.size && !room.history.length) rooms.delete(client.room);
+    client.room = null; // gone: nothing more is relayed until it joins again
+  }
+
+  function receive(client, text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch {
+      return;
+    }
+    const event = MiniChat.normalizeEvent(raw);
+    if (!event) return;
+
+    // No room (not joined yet, or left): only a join is listened to
+    if (!client.room) {
+      if (event.type === 'presence' && event.state === 'join') join(client, event);
+      return;
+    }
+    // One connection, one room and one peer: the page reconnects for /join
+    if (event.type === 'message') {
+      if (event.message.room !== client.room || event.message.authorId !== client.peer.id) return;
+      const room = roomFor(client.room);
+      room.history = MiniChat.mergeMessages(room.history, [event.message]);
+    } else {
+      if (event.room !== client.room || event.peer.id !== client.peer.id) return;
+      if (event.type === 'presence' && event.state === 'leave') return leave(client);
+      client.peer = event.peer; // nick changes
+    }
+    broadcast(client.room, event, client);
+  }
+
+  function accept(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const acceptKey = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey}`,
+      '', '',
+    ].join('\r\n'));
+
+    const client = { conn: null, room: null, peer: null };
+    client.conn = wrapSocket(socket, {
+      onText: text => receive(client, text),
+      onClose: () => leave(client),
+    });
+  }
+
+  return { rooms, accept };
+}
+
+function createServer() {
+  const relay = createRelay();
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Mini Chat relay. Connect with WebSocket (see Mini Chat, "Relay server").\n');
+  });
+  server.on('upgrade', relay.accept);
+  return server;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = readArgs(process.argv.slice(2), { port: 8090, host: '0.0.0.0' });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const server = createServer();
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    console.log(`Mini Chat relay on ws://${options.host}:${port}`);
+    console.log('Rooms and their last messages are kept in memory until you stop it.');
+  });
+}
+
+module.exports = { createServer, encodeFrame, decodeFrames };
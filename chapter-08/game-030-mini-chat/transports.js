@@ -0,0 +1,173 @@
+/**
+ * Mini Chat transports — how events get from one chat window to another.
+ *
+ * BIG IDEA:
+ * - Every transport has the same three methods, so the page never cares
+ *   which one it is talking to:
+ *     start({ onEvent, onStatus })   onStatus('online' | 'connecting' | 'offline', detail)
+ *     send(event)                    an event from chat-core.js
+ *     stop()
+ * - local      this tab only; history is still saved, like the first
+ *              version of Mini Chat.
+ * - broadcast  BroadcastChannel: every tab of this site in this browser,
+ *              live, no server.
+ * - websocket  relay-server.js (Node) on your machine or the LAN: other
+ *              browsers and computers. It sends the room's history and
+ *              who's online when you join, and reconnects by itself.
+ * - Transports don't check events: the page runs them through
+ *   MiniChat.normalizeEvent, whatever they came from.
+ *
+ * Usage:
+ *   const transport = ChatTransports.create('broadcast', { room: 'lobby' });
+ *   transport.start({ onEvent: handle, onStatus: showStatus });
+ *   transport.send({ type: 'typing', room: 'lobby', peer, typing: true });
+ */
+const ChatTransports = (() => {
+  const KINDS = {
+    local: 'This tab only',
+    broadcast: 'Other tabs (BroadcastChannel)',
+    websocket: 'Relay server (WebSocket)',
+  };
+  const DEFAULT_RELAY_URL = 'ws://localhost:8090';
+  const RETRY_MS = [1000, 2000, 4000, 8000, 15000]; // then 15 s between tries
+  const MAX_OUTBOX = 50; // messages typed while reconnecting
+
+  /* -----------------------------
+     local: nothing to deliver
+  ------------------------------ */
+  function localTransport() {
+    return {
+      kind: 'local',
+      start({ onStatus }) {
+        onStatus('online', 'Messages stay in this tab (and are saved).');
+      },
+      send() {},
+      stop() {},
+    };
+  }
+
+  /* -----------------------------
+     broadcast: one channel per room
+     A tab never receives its own posts, which is what we want.
+  ------------------------------ */
+  function broadcastTransport({ room }) {
+    let channel = null;
+    return {
+      kind: 'broadcast',
+      start({ onEvent, onStatus }) {
+        if (typeof BroadcastChannel === 'undefined') {
+          onStatus('offline', 'This browser has no BroadcastChannel.');
+          return;
+        }
+        channel = new BroadcastChannel(`mini-chat/${room}`);
+        channel.onmessage = e => onEvent(e.data);
+        onStatus('online', 'Live with other tabs of this page in this browser.');
+      },
+      send(event) {
+        if (channel) channel.postMessage(event);
+      },
+      stop() {
+        if (channel) channel.close();
+        channel = null;
+      },
+    };
+  }
+
+  /* -----------------------------
+     websocket: relay-server.js
+     The server's { type: 'welcome', history, peers } is turned into
+     ordinary message / presence events, so the page handles one shape.
+  ------------------------------ */
+  function websocketTransport({ room, url = DEFAULT_RELAY_URL }) {
+    if (!/^wss?:\/\//.test(url)) throw new Error('The relay address must start with ws:// or wss://');
+    let socket = null;
+    let handlers = null;
+    let stopped = false;
+    let attempt = 0;
+    let retryTimer = 0;
+    const outbox = [];
+
+    function connect() {
+      handlers.onStatus('connecting', `Connecting to ${url}…`);
+      try {
+        socket = new WebSocket(url);
+      } catch (err) {
+        handlers.onStatus('offline', err.message);
+        return;
+      }
+
+      socket.onopen = () => {
+        attempt = 0;
+        handlers.onStatus('online', `Connected to ${url}.`);
+        // onStatus('online') makes the page send its presence 'join' first
+        outbox.splice(0).forEach(event => socket.send(JSON.stringify(event)));
+      };
+
+      socket.onmessage = (e) => {
+        let data;
+        try {
+          data = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        if (data && data.type === 'welcome') {
+          (Array.isArray(data.history) ? data.history : []).forEach(message => handlers.onEvent({ type: 'message', message }));
+          (Array.isArray(data.peers) ? data.peers : []).forEach(peer => handlers.onEvent({ type: 'presence', room, peer, state: 'here' }));
+          return;
+        }
+        handlers.onEvent(data);
+      };
+
+      socket.onclose = () => {
+        socket = null;
+        if (stopped) return;
+        const wait = RETRY_MS[Math.min(attempt, RETRY_MS.length - 1)];
+        attempt++;
+        handlers.onStatus('connecting', `Lost the relay at ${url}. Trying again in ${Math.round(wait / 1000)} s…`);
+        retryTimer = setTimeout(connect, wait);
+      };
+      // Errors are always followed by 'close', which does the retrying
+      socket.onerror = () => {};
+    }
+
+    return {
+      kind: 'websocket',
+      start(h) {
+        handlers = h;
+        stopped = false;
+        connect();
+      },
+      send(event) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify(event));
+        } else if (event.type === 'message' && outbox.length < MAX_OUTBOX) {
+          outbox.push(event); // typing/presence are stale by then: dropped
+        }
+      },
+      stop() {
+        stopped = true;
+        clearTimeout(retryTimer);
+        if (socket) socket.close(1000, 'bye');
+        socket = null;
+      },
+    };
+  }
+
+  // options: { room, url } (url: websocket only)
+  function create(kind, options) {
+    switch (kind) {
+      case 'local': return localTransport(options);
+      case 'broadcast': return broadcastTransport(options);
+      case 'websocket': return websocketTransport(options);
+      default: throw new Error(`Unknown transport "${kind}"`);
+    }
+  }
+
+  return {
+    KINDS,
+    DEFAULT_RELAY_URL,
+    create,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ChatTransports;
@@ -0,0 +1,158 @@
+/**
+ * Fetch Trivia mock server — a pretend OpenTDB on your own machine (plain Node).
+ *
+ * BIG IDEA:
+ * - Answers the same URLs as opentdb.com, with the same JSON and the
+ *   same response_code values, using the questions in trivia-pack.js.
+ *   Point the game's "Trivia server" setting at it to play (or teach)
+ *   without the internet, and to see every error path on purpose:
+ *     --rate-limit-ms 5000  a second question request within 5 s gets
+ *                           code 5 (HTTP 429), like the real API
+ *     --fail 0.3            30% of requests answer HTTP 500
+ *     --delay-ms 3000       every answer is that late (try the timeout)
+ * - Session tokens work too: a token remembers which questions it has
+ *   seen and says "token empty" (code 4) once they're all used.
+ *
+ * Usage:
+ *   node chapter-10/game-040-fetch-trivia/mock-server.js [--port 8095] [--host 0.0.0.0]
+ *        [--rate-limit-ms 5000] [--fail 0] [--delay-ms 0]
+ * then in Fetch Trivia, Settings → Trivia server: http://localhost:8095
+ */
+const http = require('http');
+const crypto = require('crypto');
+const TRIVIA_PACK = require('./trivia-pack.js');
+const readArgs = require('../../shared/server-args.js');
+
+const MAX_AMOUNT = 50;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const TYPES = ['multiple', 'boolean'];
+
+/* -----------------------------
+   Encodings
+   OpenTDB sends HTML entities by default; encode=url3986 asks for
+   percent-encoding instead (what trivia-providers.js uses).
+------------------------------ */
+const url3986 = text => encodeURIComponent(text).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const html = text => text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' })[c]);
+
+function toResult(question, encode) {
+  const enc = encode === 'url3986' ? url3986 : html;
+  return {
+    type: enc(question.type),
+    difficulty: enc(question.difficulty),
+    category: enc(question.category),
+    question: enc(question.question),
+    correct_answer: enc(question.correct),
+    incorrect_answers: question.incorrect.map(enc),
+  };
+}
+
+/* -----------------------------
+   The API
+   tokens: Map token -> Set of question indexes already sent
+------------------------------ */
+function createServer(options = {}) {
+  const { rateLimitMs = 5000, fail = 0, delayMs = 0, random = Math.random } = options;
+  const categories = TRIVIA_PACK.categories;
+  const questions = TRIVIA_PACK.questions;
+  const tokens = new Map();
+  const lastAsked = new Map(); // address -> ms of the last api.php request
+
+  function send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      // Games are opened from file:// or another port: allow any page
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  function token(query) {
+    if (query.get('command') === 'request') {
+      const value = crypto.randomBytes(32).toString('hex');
+      tokens.set(value, new Set());
+      return { response_code: 0, response_message: 'Token Generated Successfully!', token: value };
+    }
+    if (query.get('command') === 'reset') {
+      const value = query.get('token');
+      if (!tokens.has(value)) return { response_code: 3, token: '' };
+      tokens.set(value, new Set());
+      return { response_code: 0, token: value };
+    }
+    return { response_code: 2 };
+  }
+
+  function ask(query, address) {
+    const now = Date.now();
+    if (rateLimitMs && now - (lastAsked.get(address) ?? -Infinity) < rateLimitMs) return [429, { response_code: 5, results: [] }];
+    lastAsked.set(address, now);
+
+    const amount = Number(query.get('amount'));
+    const category = query.get('category');
+    const difficulty = query.get('difficulty');
+    const type = query.get('type');
+    const value = query.get('token');
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_AMOUNT) return [200, { response_code: 2, results: [] }];
+    const named = category ? categories.find(c => String(c.id) === category) : null;
+    if (category && !named) return [200, { response_code: 2, results: [] }];
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) return [200, { response_code: 2, results: [] }];
+    if (type && !TYPES.includes(type)) return [200, { response_code: 2, results: [] }];
+    if (value && !tokens.has(value)) return [200, { response_code: 3, results: [] }];
+
+    const seen = value ? tokens.get(value) : new Set();
+    const all = questions
+      .map((q, i) => i)
+      .filter(i => (!named || questions[i].category === named.name)
+        && (!difficulty || questions[i].difficulty === difficulty)
+        && (!type || questions[i].type === type));
+    const fresh = all.filter(i => !seen.has(i));
+    if (fresh.length < amount) return [200, { response_code: value && all.length >= amount ? 4 : 1, results: [] }];
+
+    for (let i = fresh.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [fresh[i], fresh[j]] = [fresh[j], fresh[i]];
+    }
+    const picked = fresh.slice(0, amount);
+    picked.forEach(i => seen.add(i));
+    return [200, { response_code: 0, results: picked.map(i => toResult(questions[i], query.get('encode'))) }];
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') return send(res, 405, { error: 'GET only' });
+    if (fail && random() < fail) return send(res, 500, { error: 'Pretend server failure (--fail)' });
+    switch (url.pathname) {
+      case '/api_token.php': return send(res, 200, token(url.searchParams));
+      case '/api_category.php': return send(res, 200, { trivia_categories: categories });
+      case '/api.php': return send(res, ...ask(url.searchParams, req.socket.remoteAddress));
+      default: return send(res, 404, { error: 'Not found: try /api.php?amount=10' });
+    }
+  }
+
+  return http.createServer((req, res) => {
+    if (delayMs) setTimeout(() => handle(req, res), delayMs);
+    else handle(req, res);
+  });
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = readArgs(process.argv.slice(2), { port: 8095, host: '0.0.0.0', rateLimitMs: 5000, fail: 0, delayMs: 0 }, {
+      rateLimitMs: [v => v >= 0, '--rate-limit-ms must be 0 or more'],
+      fail: [v => v >= 0 && v <= 1, '--fail must be between 0 and 1'],
+      delayMs: [v => v >= 0, '--delay-ms must be 0 or more'],
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const server = createServer(options);
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    console.log(`Mock OpenTDB on http://${options.host}:${port} (${TRIVIA_PACK.questions.length} questions from trivia-pack.js)`);
+    console.log(`In Fetch Trivia: Settings → Trivia server → http://localhost:${port}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,90 @@
+/**
+ * Fetch Trivia offline pack — questions that ship with the game, so there
+ * is always something to play with no network and an empty cache.
+ *
+ * BIG IDEA:
+ * - Same shape as a question from OpenTDB after trivia-providers.js has
+ *   cleaned it up: plain text (no HTML entities), the right answer apart
+ *   from the wrong ones.
+ * - Category names are OpenTDB's own, so "Geography" offline means the
+ *   same thing as "Geography" online, and filters work on both.
+ * - It's a .js file (not .json) because pages opened from file:// may not
+ *   fetch() a file next to them, but they can always load a <script>.
+ *
+ * Usage:
+ *   <script src="trivia-pack.js"></script>   -> global TRIVIA_PACK
+ *   const TRIVIA_PACK = require('./trivia-pack.js');
+ */
+const TRIVIA_PACK = {
+  version: 1,
+  categories: [
+    { id: 9, name: 'General Knowledge' },
+    { id: 17, name: 'Science & Nature' },
+    { id: 18, name: 'Science: Computers' },
+    { id: 22, name: 'Geography' },
+    { id: 23, name: 'History' },
+  ],
+  questions: [
+    /* -----------------------------
+       General Knowledge
+    ------------------------------ */
+    { category: 'General Knowledge', difficulty: 'easy', type: 'multiple', question: 'How many days are in a leap year?', correct: '366', incorrect: ['365', '364', '367'] },
+    { category: 'General Knowledge', difficulty: 'easy', type: 'multiple', question: 'What colour do you get by mixing blue and yellow paint?', correct: 'Green', incorrect: ['Purple', 'Orange', 'Brown'] },
+    { category: 'General Knowledge', difficulty: 'easy', type: 'boolean', question: 'A "baker\'s dozen" is 13.', correct: 'True', incorrect: ['False'] },
+    { category: 'General Knowledge', difficulty: 'medium', type: 'multiple', question: 'How many sides does a hexagon have?', correct: '6', incorrect: ['5', '7', '8'] },
+    { category: 'General Knowledge', difficulty: 'medium', type: 'multiple', question: 'In which country did the ancient Olympic Games begin?', correct: 'Greece', incorrect: ['Italy', 'Egypt', 'Turkey'] },
+    { category: 'General Knowledge', difficulty: 'medium', type: 'boolean', question: 'The Great Wall of China can be seen from the Moon with the naked eye.', correct: 'False', incorrect: ['True'] },
+    { category: 'General Knowledge', difficulty: 'hard', type: 'multiple', question: 'How many keys does a standard modern piano have?', correct: '88', incorrect: ['76', '92', '84'] },
+    { category: 'General Knowledge', difficulty: 'hard', type: 'multiple', question: 'Which language has the most native speakers?', correct: 'Mandarin Chinese', incorrect: ['English', 'Spanish', 'Hindi'] },
+
+    /* -----------------------------
+       Science & Nature
+    ------------------------------ */
+    { category: 'Science & Nature', difficulty: 'easy', type: 'multiple', question: 'Which planet is known as the Red Planet?', correct: 'Mars', incorrect: ['Venus', 'Jupiter', 'Mercury'] },
+    { category: 'Science & Nature', difficulty: 'easy', type: 'multiple', question: 'Which gas do plants take from the air for photosynthesis?', correct: 'Carbon dioxide', incorrect: ['Oxygen', 'Nitrogen', 'Helium'] },
+    { category: 'Science & Nature', difficulty: 'easy', type: 'boolean', question: 'Bats are mammals.', correct: 'True', incorrect: ['False'] },
+    { category: 'Science & Nature', difficulty: 'medium', type: 'multiple', question: 'What is the chemical symbol for gold?', correct: 'Au', incorrect: ['Ag', 'Gd', 'Go'] },
+    { category: 'Science & Nature', difficulty: 'medium', type: 'multiple', question: 'What is the hardest natural mineral?', correct: 'Diamond', incorrect: ['Quartz', 'Topaz', 'Corundum'] },
+    { category: 'Science & Nature', difficulty: 'medium', type: 'boolean', question: 'Sound travels faster in water than in air.', correct: 'True', incorrect: ['False'] },
+    { category: 'Science & Nature', difficulty: 'hard', type: 'multiple', question: 'Roughly how fast does light travel in a vacuum?', correct: '300,000 km per second', incorrect: ['150,000 km per second', '30,000 km per second', '3,000,000 km per second'] },
+    { category: 'Science & Nature', difficulty: 'hard', type: 'multiple', question: 'Which part of an animal cell holds most of its DNA?', correct: 'The nucleus', incorrect: ['The ribosomes', 'The cell membrane', 'The mitochondria'] },
+
+    /* -----------------------------
+       Science: Computers
+    ------------------------------ */
+    { category: 'Science: Computers', difficulty: 'easy', type: 'multiple', question: 'What does "HTML" stand for?', correct: 'HyperText Markup Language', incorrect: ['HighText Machine Language', 'Hyperlink and Text Markup Language', 'Home Tool Markup Language'] },
+    { category: 'Science: Computers', difficulty: 'easy', type: 'multiple', question: 'Which programming language runs in every web browser?', correct: 'JavaScript', incorrect: ['Python', 'C++', 'Java'] },
+    { category: 'Science: Computers', difficulty: 'easy', type: 'boolean', question: 'RAM keeps its contents when the computer is switched off.', correct: 'False', incorrect: ['True'] },
+    { category: 'Science: Computers', difficulty: 'medium', type: 'multiple', question: 'How many bits are in a byte?', correct: '8', incorrect: ['4', '16', '10'] },
+    { category: 'Science: Computers', difficulty: 'medium', type: 'multiple', question: 'What does "CSS" stand for?', correct: 'Cascading Style Sheets', incorrect: ['Computer Style Sheets', 'Creative Style System', 'Colourful Style Sheets'] },
+    { category: 'Science: Computers', difficulty: 'medium', type: 'boolean', question: 'In JavaScript, typeof null is "object".', correct: 'True', incorrect: ['False'] },
+    { category: 'Science: Computers', difficulty: 'hard', type: 'multiple', question: 'In which year was JavaScript first released?', correct: '1995', incorrect: ['1991', '1999', '2001'] },
+    { category: 'Science: Computers', difficulty: 'hard', type: 'multiple', question: 'Which HTTP status code means "Too Many Requests"?', correct: '429', incorrect: ['403', '503', '418'] },
+
+    /* -----------------------------
+       Geography
+    ------------------------------ */
+    { category: 'Geography', difficulty: 'easy', type: 'multiple', question: 'What is the capital of France?', correct: 'Paris', incorrect: ['Lyon', 'Marseille', 'Nice'] },
+    { category: 'Geography', difficulty: 'easy', type: 'multiple', question: 'Which is the largest ocean?', correct: 'The Pacific Ocean', incorrect: ['The Atlantic Ocean', 'The Indian Ocean', 'The Arctic Ocean'] },
+    { category: 'Geography', difficulty: 'easy', type: 'boolean', question: 'The equator passes through Brazil.', correct: 'True', incorrect: ['False'] },
+    { category: 'Geography', difficulty: 'medium', type: 'multiple', question: 'What is the capital of Australia?', correct: 'Canberra', incorrect: ['Sydney', 'Melbourne', 'Perth'] },
+    { category: 'Geography', difficulty: 'medium', type: 'multiple', question: 'Which river flows through Cairo?', correct: 'The Nile', incorrect: ['The Tigris', 'The Congo', 'The Niger'] },
+    { category: 'Geography', difficulty: 'medium', type: 'boolean', question: 'Africa has more countries than any other continent.', correct: 'True', incorrect: ['False'] },
+    { category: 'Geography', difficulty: 'hard', type: 'multiple', question: 'What is the smallest country in the world by area?', correct: 'Vatican City', incorrect: ['Monaco', 'San Marino', 'Liechtenstein'] },
+    { category: 'Geography', difficulty: 'hard', type: 'multiple', question: 'In which country is Mount Kilimanjaro?', correct: 'Tanzania', incorrect: ['Kenya', 'Uganda', 'Ethiopia'] },
+
+    /* -----------------------------
+       History
+    ------------------------------ */
+    { category: 'History', difficulty: 'easy', type: 'multiple', question: 'Who was the first President of the United States?', correct: 'George Washington', incorrect: ['Thomas Jefferson', 'Abraham Lincoln', 'John Adams'] },
+    { category: 'History', difficulty: 'easy', type: 'multiple', question: 'In which year did people first walk on the Moon?', correct: '1969', incorrect: ['1965', '1972', '1959'] },
+    { category: 'History', difficulty: 'medium', type: 'multiple', question: 'In which year did World War II end?', correct: '1945', incorrect: ['1944', '1946', '1939'] },
+    { category: 'History', difficulty: 'medium', type: 'multiple', question: 'Which civilisation built Machu Picchu?', correct: 'The Inca', incorrect: ['The Maya', 'The Aztecs', 'The Olmecs'] },
+    { category: 'History', difficulty: 'medium', type: 'boolean', question: 'The Berlin Wall fell in 1989.', correct: 'True', incorrect: ['False'] },
+    { category: 'History', difficulty: 'hard', type: 'multiple', question: 'Who was the first woman to win a Nobel Prize?', correct: 'Marie Curie', incorrect: ['Rosalind Franklin', 'Ada Lovelace', 'Florence Nightingale'] },
+    { category: 'History', difficulty: 'hard', type: 'multiple', question: 'Which West African empire did Mansa Musa rule?', correct: 'The Mali Empire', incorrect: ['The Songhai Empire', 'The Ghana Empire', 'The Benin Empire'] },
+    { category: 'History', difficulty: 'hard', type: 'boolean', question: 'Napoleon Bonaparte was born on the island of Corsica.', correct: 'True', incorrect: ['False'] },
+  ],
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = TRIVIA_PACK;
@@ -0,0 +1,508 @@
+/**
+ * Fetch Trivia providers — where questions come from, and what to do when
+ * the network doesn't answer (no DOM).
+ *
+ * BIG IDEA:
+ * - Every question, whatever its source, ends up in one plain shape:
+ *     { id, category, difficulty, type: 'multiple' | 'boolean',
+ *       question, correct, incorrect: [...], source: 'live' | 'cache' | 'pack' }
+ * - Three providers:
+ *     openTDB       the live API (opentdb.com, or any server that speaks
+ *                   it: set baseUrl to try mock-server.js). It checks the
+ *                   HTTP status *and* OpenTDB's own response_code, keeps a
+ *                   session token so questions don't repeat, and waits
+ *                   when the API says "too many requests".
+ *     questionCache every live question is kept in IndexedDB, so the next
+ *                   offline round can replay real questions.
+ *     packProvider  trivia-pack.js, bundled with the game: always there.
+ * - createTrivia puts them in that order. If the live API fails (offline,
+ *   timeout, rate limit, server error) the round is filled from the cache,
+ *   then the pack, and the result says so, so the page can tell the player.
+ * - Rounds (createRound / answer) score by difficulty and reward streaks.
+ *
+ * Usage:
+ *   const trivia = TriviaProviders.createTrivia({
+ *     live: TriviaProviders.openTDB({ baseUrl: 'http://localhost:8095' }),
+ *     cache: TriviaProviders.questionCache(),
+ *     pack: TriviaProviders.packProvider(TRIVIA_PACK),
+ *   });
+ *   const { questions, source, error } = await trivia.load({ amount: 10, difficulty: 'easy' });
+ *   const round = TriviaProviders.createRound(questions);
+ *   TriviaProviders.answer(round, 'Paris'); // { correct, points, streak }
+ */
+const TriviaProviders = (() => {
+  const DEFAULT_BASE_URL = 'https://opentdb.com';
+  const DIFFICULTIES = ['easy', 'medium', 'hard'];
+  const TYPES = ['multiple', 'boolean'];
+  const MAX_AMOUNT = 50;        // OpenTDB's limit per request
+  const MIN_GAP_MS = 5000;      // OpenTDB allows one question request every 5 s per address
+  const RATE_LIMIT_RETRIES = 2; // waits of 5 s then 10 s; after that we play offline
+  const CACHE_LIMIT = 500;      // questions kept in IndexedDB, oldest dropped first
+  const POINTS = { easy: 10, medium: 20, hard: 30 };
+  const STREAK_BONUS = 5;       // per correct answer in a row, up to MAX_BONUS
+  const MAX_BONUS = 25;
+
+  // OpenTDB's response_code values
+  const RESPONSE = { ok: 0, noResults: 1, invalidParameter: 2, tokenNotFound: 3, tokenEmpty: 4, rateLimit: 5 };
+
+  const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+  const isText = v => typeof v === 'string' && v.trim() !== '';
+
+  // err.code: 'offline' | 'http' | 'bad-data' | 'no-results' | 'invalid' | 'rate-limit'
+  const failure = (code, message) => Object.assign(new Error(message), { code });
+
+  /* -----------------------------
+     Questions
+  ------------------------------ */
+  // Same category + text = same question, wherever it came from (FNV-1a hash)
+  function questionId(category, question) {
+    let hash = 0x811c9dc5;
+    const text = `${category}|${question}`;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `q-${(hash >>> 0).toString(36)}`;
+  }
+
+  function normalizeQuestion(raw, source) {
+    if (!isObject(raw) || !isText(raw.question) || !isText(raw.correct) || !isText(raw.category)) return null;
+    if (!DIFFICULTIES.includes(raw.difficulty) || !TYPES.includes(raw.type)) return null;
+    if (!Array.isArray(raw.incorrect) || !raw.incorrect.length || !raw.incorrect.every(isText)) return null;
+    const category = raw.category.trim();
+    const question = raw.question.trim();
+    return {
+      id: questionId(category, question),
+      category,
+      difficulty: raw.difficulty,
+      type: raw.type,
+      question,
+      correct: raw.correct.trim(),
+      incorrect: raw.incorrect.map(a => a.trim()),
+      source,
+    };
+  }
+
+  // We ask OpenTDB for encode=url3986, so every field is percent-encoded
+  // text: decodeURIComponent undoes it, no HTML entities, no DOM needed.
+  function fromOpenTDB(raw) {
+    if (!isObject(raw)) return null;
+    const decode = v => (typeof v === 'string' ? decodeURIComponent(v) : '');
+    try {
+      return normalizeQuestion({
+        category: decode(raw.category),
+        difficulty: decode(raw.difficulty),
+        type: decode(raw.type),
+        question: decode(raw.question),
+        correct: decode(raw.correct_answer),
+        incorrect: Array.isArray(raw.incorrect_answers) ? raw.incorrect_answers.map(decode) : null,
+      }, 'live');
+    } catch {
+      return null; // malformed %-escape
+    }
+  }
+
+  function shuffle(list, random = Math.random) {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  // True/False stay in that order; other answers are shuffled.
+  function answersFor(question, random = Math.random) {
+    if (question.type === 'boolean') return ['True', 'False'];
+    return shuffle([question.correct, ...question.incorrect], random);
+  }
+
+  // filter: { category: name, difficulty } ('' or missing = any)
+  function matches(question, { category = '', difficulty = '' } = {}) {
+    return (!category || question.category === category) && (!difficulty || question.difficulty === difficulty);
+  }
+
+  /* -----------------------------
+     Live: OpenTDB
+     GET /api_token.php?command=request      -> { response_code, token }
+     GET /api_token.php?command=reset&token= -> { response_code, token }
+     GET /api_category.php                   -> { trivia_categories: [{ id, name }] }
+     GET /api.php?amount&category&difficulty&token&encode=url3986
+                                             -> { response_code, results: [...] }
+  ------------------------------ */
+  function openTDB(options = {}) {
+    const baseUrl = String(options.baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(baseUrl)) throw new Error('The trivia server address must start with http:// or https://');
+    const fetchFn = options.fetch || globalThis.fetch.bind(globalThis);
+    const timeoutMs = options.timeoutMs || 8000;
+    const minGapMs = options.minGapMs ?? MIN_GAP_MS;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const now = options.now || Date.now;
+    const onToken = options.onToken || (() => {});
+    let token = typeof options.token === 'string' ? options.token : '';
+    let lastAskedAt = -Infinity;
+
+    async function request(path, params = {}) {
+      const abort = new AbortController();
+      const timer = setTimeout(() => abort.abort(), timeoutMs);
+      const query = new URLSearchParams(params).toString();
+      let response;
+      try {
+        response = await fetchFn(`${baseUrl}/${path}${query ? `?${query}` : ''}`, { signal: abort.signal });
+      } catch {
+        throw failure('offline', abort.signal.aborted ? `${baseUrl} did not answer in time` : `Could not reach ${baseUrl}`);
+      } finally {
+        clearTimeout(timer);
+      }
+      // Some proxies answer a flood with a bare 429: same thing as code 5
+      if (response.status === 429) return { response_code: RESPONSE.rateLimit };
+      if (!response.ok) throw failure('http', `${baseUrl} answered ${response.status}`);
+      const data = await response.json().catch(() => null);
+      if (!isObject(data)) throw failure('bad-data', `${baseUrl} did not send trivia JSON`);
+      return data;
+    }
+
+    function useToken(value) {
+      token = value;
+      onToken(token);
+    }
+
+    async function newToken() {
+      const data = await request('api_token.php', { command: 'request' });
+      if (data.response_code !== RESPONSE.ok || !isText(data.token)) throw failure('bad-data', 'The trivia server would not give a session token');
+      useToken(data.token);
+    }
+
+    // "You've seen them all": start the token over (or get a new one)
+    async function resetToken() {
+      const data = await request('api_token.php', { command: 'reset', token });
+      if (data.response_code === RESPONSE.ok && isText(data.token)) useToken(data.token);
+      else await newToken();
+    }
+
+    async function categories() {
+      const data = await request('api_category.php');
+      if (!Array.isArray(data.trivia_categories)) throw failure('bad-data', 'The trivia server sent no categories');
+      return data.trivia_categories
+        .filter(c => isObject(c) && Number.isInteger(c.id) && isText(c.name))
+        .map(c => ({ id: c.id, name: c.name }));
+    }
+
+    // onWait(ms, why): why is 'spacing' (keeping to the 5 s rule) or 'rate-limit'
+    async function questions({ amount = 10, category = '', difficulty = '', onWait = () => {} } = {}) {
+      if (!token) {
+        try {
+          await newToken();
+        } catch (err) {
+          if (err.code === 'offline') throw err;
+          // no token: still works, questions may just repeat
+        }
+      }
+      let rateLimited = 0;
+      let tokenFixed = false;
+      for (;;) {
+        const wait = lastAskedAt + minGapMs - now();
+        if (wait > 0) {
+          onWait(wait, 'spacing');
+          await sleep(wait);
+        }
+        lastAskedAt = now();
+        const params = { amount: Math.max(1, Math.min(MAX_AMOUNT, Math.floor(amount) || 1)), encode: 'url3986' };
+        if (category) params.category = category;
+        if (difficulty) params.difficulty = difficulty;
+        if (token) params.token = token;
+        const data = await request('api.php', params);
+
+        switch (data.response_code) {
+          case RESPONSE.ok: {
+            const list = (Array.isArray(data.results) ? data.results : []).map(fromOpenTDB).filter(Boolean);
+            if (!list.length) throw failure('bad-data', 'The trivia server sent no usable questions');
+            return list;
+          }
+          case RESPONSE.noResults:
+            throw failure('no-results', 'OpenTDB does not have that many questions for this category and difficulty');
+          case RESPONSE.invalidParameter:
+            throw failure('invalid', 'OpenTDB did not accept that category or difficulty');
+          case RESPONSE.tokenNotFound:
+            if (tokenFixed) throw failure('bad-data', 'The trivia server keeps losing our session token');
+            tokenFixed = true;
+            await newToken();
+            break;
+          case RESPONSE.tokenEmpty:
+            if (tokenFixed) throw failure('no-results', 'You have seen every question for this choice');
+            tokenFixed = true;
+            await resetToken();
+            break;
+          case RESPONSE.rateLimit: {
+            if (rateLimited >= RATE_LIMIT_RETRIES) throw failure('rate-limit', 'OpenTDB is busy (too many requests)');
+            const pause = minGapMs * 2 ** rateLimited;
+            rateLimited++;
+            onWait(pause, 'rate-limit');
+            await sleep(pause);
+            break;
+          }
+          default:
+            throw failure('bad-data', `The trivia server sent an unknown response_code (${data.response_code})`);
+        }
+      }
+    }
+
+    return {
+      kind: 'live',
+      baseUrl,
+      categories,
+      questions,
+      token: () => token,
+    };
+  }
+
+  /* -----------------------------
+     Cache: IndexedDB
+     Database 'fetch-trivia', store 'questions' (key: id). Rows are
+     questions plus savedAt. Without IndexedDB (old browser, private
+     mode, Node) the same methods work on a Map that lasts this visit.
+  ------------------------------ */
+  function questionCache({ indexedDB = globalThis.indexedDB, name = 'fetch-trivia', limit = CACHE_LIMIT } = {}) {
+    const STORE = 'questions';
+    const memory = new Map();
+    let opening = null;
+
+    const done = req => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const finished = tx => new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+
+    // -> an open database, or null (use memory)
+    function open() {
+      if (!opening) {
+        opening = new Promise((resolve) => {
+          if (!indexedDB) return resolve(null);
+          let req;
+          try {
+            req = indexedDB.open(name, 1);
+          } catch {
+            return resolve(null);
+          }
+          req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        });
+      }
+      return opening;
+    }
+
+    async function rows() {
+      const db = await open();
+      if (!db) return [...memory.values()];
+      return done(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+    }
+
+    async function write(put, remove) {
+      const db = await open();
+      if (!db) {
+        put.forEach(row => memory.set(row.id, row));
+        remove.forEach(id => memory.delete(id));
+        return;
+      }
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      put.forEach(row => store.put(row));
+      remove.forEach(id => store.delete(id));
+      await finished(tx);
+    }
+
+    async function save(questions, savedAt = Date.now()) {
+      const fresh = questions.map(q => ({ ...q, source: 'cache', savedAt }));
+      await write(fresh, []);
+      const all = await rows();
+      if (all.length > limit) {
+        const oldest = all.sort((a, b) => a.savedAt - b.savedAt).slice(0, all.length - limit);
+        await write([], oldest.map(row => row.id));
+      }
+    }
+
+    // Rows are checked again on the way out: the database outlives this code
+    async function questions(filter) {
+      return (await rows()).map(row => normalizeQuestion(row, 'cache')).filter(q => q && matches(q, filter));
+    }
+
+    async function count() {
+      return (await rows()).length;
+    }
+
+    async function clear() {
+      const db = await open();
+      memory.clear();
+      if (!db) return;
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).clear();
+      await finished(tx);
+    }
+
+    return {
+      kind: 'cache',
+      persistent: async () => !!(await open()),
+      save,
+      questions,
+      count,
+      clear,
+    };
+  }
+
+  /* -----------------------------
+     Pack: trivia-pack.js
+  ------------------------------ */
+  function packProvider(pack) {
+    const list = (isObject(pack) && Array.isArray(pack.questions) ? pack.questions : [])
+      .map(q => normalizeQuestion(q, 'pack'))
+      .filter(Boolean);
+    const categories = (isObject(pack) && Array.isArray(pack.categories) ? pack.categories : [])
+      .filter(c => isObject(c) && Number.isInteger(c.id) && isText(c.name));
+    return {
+      kind: 'pack',
+      size: list.length,
+      categories: () => categories.map(c => ({ id: c.id, name: c.name })),
+      questions: filter => list.filter(q => matches(q, filter)),
+    };
+  }
+
+  /* -----------------------------
+     Live first, then cache, then pack
+  ------------------------------ */
+  function createTrivia({ live = null, cache = questionCache(), pack = packProvider(null), online = () => true, random = Math.random }) {
+    // Offline: saved questions first (they're real API questions), then
+    // the pack. If that's still short, the filter is loosened: same
+    // difficulty any category, then anything.
+    async function offline(amount, filter) {
+      const saved = await cache.questions(filter).catch(() => []);
+      const picked = shuffle(saved, random).slice(0, amount);
+      const seen = new Set(picked.map(q => q.id));
+      const steps = [filter, { difficulty: filter.difficulty }, {}];
+      let relaxed = false;
+      for (const [i, step] of steps.entries()) {
+        if (picked.length >= amount) break;
+        const extra = shuffle(pack.questions(step).filter(q => !seen.has(q.id)), random).slice(0, amount - picked.length);
+        if (i > 0 && extra.length) relaxed = true;
+        extra.forEach(q => seen.add(q.id));
+        picked.push(...extra);
+      }
+      return { questions: shuffle(picked, random), relaxed };
+    }
+
+    // options: { amount, category: OpenTDB id, categoryName, difficulty, onWait }
+    // -> { questions, source: 'live' | 'offline', counts: { live, cache, pack }, relaxed, error }
+    async function load({ amount = 10, category = '', categoryName = '', difficulty = '', onWait } = {}) {
+      let error = null;
+      if (live && online()) {
+        try {
+          const fresh = await live.questions({ amount, category, difficulty, onWait });
+          await cache.save(fresh).catch(() => {}); // a full disk shouldn't cost us the round
+          return { questions: fresh, source: 'live', counts: tally(fresh), relaxed: false, error: null };
+        } catch (err) {
+          error = err;
+        }
+      } else {
+        error = failure('offline', live ? 'This device is offline' : 'No trivia server is set');
+      }
+      const result = await offline(amount, { category: categoryName, difficulty });
+      return { ...result, source: 'offline', counts: tally(result.questions), error };
+    }
+
+    async function categories() {
+      if (live && online()) {
+        try {
+          return { list: await live.categories(), source: 'live' };
+        } catch {
+          // fall through to the pack's list
+        }
+      }
+      return { list: pack.categories(), source: 'pack' };
+    }
+
+    function tally(questions) {
+      const counts = { live: 0, cache: 0, pack: 0 };
+      questions.forEach(q => counts[q.source]++);
+      return counts;
+    }
+
+    return { load, categories, cache };
+  }
+
+  /* -----------------------------
+     Rounds
+     round: { questions: [{ ...question, answers }], index, score,
+              correct, streak, bestStreak, given: [answer per question] }
+  ------------------------------ */
+  function createRound(questions, random = Math.random) {
+    return {
+      questions: questions.map(q => ({ ...q, answers: answersFor(q, random) })),
+      index: 0,
+      score: 0,
+      correct: 0,
+      streak: 0,
+      bestStreak: 0,
+      given: [],
+    };
+  }
+
+  const current = round => round.questions[round.index] || null;
+  const isAnswered = round => round.given.length > round.index;
+  const isFinished = round => round.index >= round.questions.length;
+
+  // Points: by difficulty, plus a bonus that grows with the streak.
+  function pointsFor(difficulty, streak) {
+    return POINTS[difficulty] + Math.min(MAX_BONUS, STREAK_BONUS * (streak - 1));
+  }
+
+  // -> { correct, points, streak, answer } or null (nothing to answer)
+  function answer(round, choice) {
+    const question = current(round);
+    if (!question || isAnswered(round)) return null;
+    const correct = choice === question.correct;
+    round.given.push(choice);
+    round.streak = correct ? round.streak + 1 : 0;
+    round.bestStreak = Math.max(round.bestStreak, round.streak);
+    const points = correct ? pointsFor(question.difficulty, round.streak) : 0;
+    round.score += points;
+    if (correct) round.correct++;
+    return { correct, points, streak: round.streak, answer: question.correct };
+  }
+
+  // -> the next question, or null when the round is over
+  function next(round) {
+    if (!isAnswered(round)) return current(round);
+    round.index++;
+    return current(round);
+  }
+
+  return {
+    DEFAULT_BASE_URL,
+    DIFFICULTIES,
+    MIN_GAP_MS,
+    POINTS,
+    RESPONSE,
+
+    questionId,
+    normalizeQuestion,
+    fromOpenTDB,
+    answersFor,
+    openTDB,
+    questionCache,
+    packProvider,
+    createTrivia,
+    createRound,
+    current,
+    isAnswered,
+    isFinished,
+    pointsFor,
+    answer,
+    next,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = TriviaProviders;
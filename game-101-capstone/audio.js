@@ -0,0 +1,336 @@
+/**
+ * Neon Drift — procedural audio (no sound files).
+ *
+ * BIG IDEA:
+ * - Every sound is synthesized with the Web Audio API: oscillators for
+ *   tones, a generated noise buffer for hats and snares.
+ * - Nothing here touches document, window, state or timers. Each function
+ *   takes the mixer (or an AudioContext) it should use, so the same graph
+ *   runs on the page's AudioContext or in an OfflineAudioContext.
+ * - The page (script.js) decides *when* to make sounds; this file decides
+ *   *how* they sound and where they go.
+ *
+ * Signal flow:
+ *
+ *   tones ─ envelope ─ panner ─┐
+ *                              ├─ sfx bus ───┐
+ *   music voices ─ panner ─────┴─ music bus ─┴─ master ─ limiter ─ clipper ─ speakers
+ *
+ * Usage (also how to test it — render offline, then inspect the samples):
+ *   const ctx = new OfflineAudioContext(2, 44100 * 4, 44100);
+ *   const mixer = NeonAudio.createMixer(ctx);
+ *   NeonAudio.playTone(mixer, { freq: 440, ms: 80, pan: -1 });
+ *   const music = NeonAudio.createMusic(mixer);
+ *   NeonAudio.scheduleMusic(music, 4, 3); // 4 seconds of the level 3 loop
+ *   ctx.startRendering().then((buffer) => console.log(NeonAudio.peakOf(buffer)));
+ */
+const NeonAudio = (() => {
+  /* -----------------------------
+     Mixer: three buses + limiter
+     Buses are plain GainNodes, so a volume slider is one gain value.
+     The limiter is a fast, hard DynamicsCompressor; the clipper after it
+     is a WaveShaper with a soft curve that can never output more than
+     CEILING, so even a pile of overlapping beeps cannot clip.
+  ------------------------------ */
+  const BUSES = ['master', 'sfx', 'music'];
+  const DEFAULT_VOLUMES = Object.freeze({ master: 0.8, sfx: 0.8, music: 0.5 });
+  const CEILING = 0.95;
+  const VOLUME_SMOOTHING = 0.02; // seconds; avoids zipper noise while dragging a slider
+
+  function createMixer(ctx, volumes = DEFAULT_VOLUMES) {
+    const master = ctx.createGain();
+    const sfx = ctx.createGain();
+    const music = ctx.createGain();
+
+    const limiter = ctx.createDynamicsCompressor();
+    limiter.threshold.value = -10; // dB
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.002;  // seconds
+    limiter.release.value = 0.15;
+
+    const clipper = ctx.createWaveShaper();
+    clipper.curve = softClipCurve(1024);
+
+    sfx.connect(master);
+    music.connect(master);
+    master.connect(limiter);
+    limiter.connect(clipper);
+    clipper.connect(ctx.destination);
+
+    const mixer = { ctx, master, sfx, music, limiter, clipper, noise: null };
+    BUSES.forEach((bus) => { mixer[bus].gain.value = volumeToGain(volumes[bus]); });
+    return mixer;
+  }
+
+  // tanh shaped, scaled so the output tops out at CEILING
+  function softClipCurve(size) {
+    const curve = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      const x = (i / (size - 1)) * 2 - 1;
+      curve[i] = CEILING * Math.tanh(x * 1.5) / Math.tanh(1.5);
+    }
+    return curve;
+  }
+
+  // Ears hear loudness logarithmically: squaring makes the slider feel even.
+  function volumeToGain(value) {
+    const v = clamp(Number(value) || 0, 0, 1);
+    return v * v;
+  }
+
+  function setVolume(mixer, bus, value) {
+    if (!BUSES.includes(bus)) throw new Error(`Unknown bus "${bus}"`);
+    const param = mixer[bus].gain;
+    param.cancelScheduledValues(mixer.ctx.currentTime);
+    param.setTargetAtTime(volumeToGain(value), mixer.ctx.currentTime, VOLUME_SMOOTHING);
+  }
+
+  /* -----------------------------
+     Panning
+     Screen x maps to -1 (left speaker) .. +1 (right speaker). We stop at
+     80% so nothing vanishes from one ear entirely (headphone users).
+  ------------------------------ */
+  const PAN_WIDTH = 0.8;
+
+  function panForX(x, width) {
+    if (!Number.isFinite(x) || !(width > 0)) return 0;
+    return clamp((x / width) * 2 - 1, -1, 1) * PAN_WIDTH;
+  }
+
+  // Older Safari has no StereoPanner: fall back to centered sound.
+  function connectPanned(ctx, node, dest, pan) {
+    if (pan && ctx.createStereoPanner) {
+      const panner = ctx.createStereoPanner();
+      panner.pan.value = clamp(pan, -1, 1);
+      node.connect(panner);
+      panner.connect(dest);
+    } else {
+      node.connect(dest);
+    }
+  }
+
+  /* -----------------------------
+     Sound effects
+     One short-lived oscillator per tone (they are cheap and clean up
+     after stop()). The envelope ramps in and out to avoid clicks.
+  ------------------------------ */
+  function playTone(mixer, { freq = 440, ms = 60, type = 'sine', gain = 0.05, pan = 0, at, bus = 'sfx' } = {}) {
+    const ctx = mixer.ctx;
+    const start = at === undefined ? ctx.currentTime : at;
+    const end = start + ms / 1000;
+
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = freq;
+
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(env);
+    connectPanned(ctx, env, mixer[bus], pan);
+    osc.start(start);
+    osc.stop(end);
+  }
+
+  // White noise, generated once per context (one second, looped as needed)
+  function noiseBuffer(mixer) {
+    if (!mixer.noise) {
+      const ctx = mixer.ctx;
+      const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = buffer.getChannelData(0);
+      let seed = 1;
+      for (let i = 0; i < data.length; i++) {
+        // Tiny LCG: the noise is identical every time, handy for offline tests
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        data[i] = seed / 2147483648 - 1;
+      }
+      mixer.noise = buffer;
+    }
+    return mixer.noise;
+  }
+
+  function playNoise(mixer, { ms = 40, gain = 0.03, highpass = 6000, pan = 0, at, bus = 'sfx' } = {}) {
+    const ctx = mixer.ctx;
+    const start = at === undefined ? ctx.currentTime : at;
+    const end = start + ms / 1000;
+
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer(mixer);
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = highpass;
+    const env = ctx.createGain();
+
+    env.gain.setValueAtTime(gain, start);
+    env.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    src.connect(filter);
+    filter.connect(env);
+    connectPanned(ctx, env, mixer[bus], pan);
+    src.start(start);
+    src.stop(end);
+  }
+
+  /* -----------------------------
+     Music
+     A 16-step loop over four chords (Am F C G). Each layer below joins
+     once the level is high enough, and the tempo climbs with the level,
+     so the music tells you how hard things are getting.
+
+     Scheduling uses the "look ahead" pattern: the page calls
+     scheduleMusic() every few dozen ms, and every note that starts before
+     `untilTime` gets a precise start time on the audio clock. Timers are
+     jittery; the audio clock is not.
+  ------------------------------ */
+  const STEPS_PER_BAR = 16;
+  // Semitones from A; `third` makes the chord minor (3) or major (4)
+  const CHORDS = [
+    { root: 0, third: 3 },  // Am
+    { root: -4, third: 4 }, // F
+    { root: 3, third: 4 },  // C
+    { root: -2, third: 4 }, // G
+  ];
+  const ARP = [0, 'third', 7, 12, 7, 'third', 0, 7]; // triad up and down
+  const A2 = 110;
+
+  const MUSIC_TEMPO = Object.freeze({ baseBpm: 92, bpmPerLevel: 6, maxBpm: 156 });
+
+  // minLevel: first level the layer plays on. steps: which 16ths it hits.
+  const MUSIC_LAYERS = [
+    { id: 'bass', minLevel: 1, steps: [0, 3, 6, 8, 11, 14] },
+    { id: 'kick', minLevel: 2, steps: [0, 4, 8, 12] },
+    { id: 'hat',  minLevel: 3, steps: [2, 6, 10, 14] },
+    { id: 'arp',  minLevel: 5, steps: [0, 2, 4, 6, 8, 10, 12, 14] },
+    { id: 'snare', minLevel: 7, steps: [4, 12] },
+    { id: 'hat16', minLevel: 9, steps: [1, 3, 5, 7, 9, 11, 13, 15] },
+  ];
+
+  function musicBpm(level) {
+    const t = MUSIC_TEMPO;
+    return Math.min(t.maxBpm, t.baseBpm + (Math.max(1, level) - 1) * t.bpmPerLevel);
+  }
+
+  function activeLayers(level) {
+    return MUSIC_LAYERS.filter((layer) => level >= layer.minLevel).map((layer) => layer.id);
+  }
+
+  function semitone(base, n) {
+    return base * Math.pow(2, n / 12);
+  }
+
+  function createMusic(mixer) {
+    return {
+      mixer,
+      level: 1,
+      step: 0,          // 0..15 within the bar
+      bar: 0,           // chord index (0..3)
+      nextTime: 0,      // audio-clock time of the next 16th note
+      playing: false,
+    };
+  }
+
+  function startMusic(music, at) {
+    music.playing = true;
+    music.step = 0;
+    music.bar = 0;
+    music.nextTime = (at === undefined ? music.mixer.ctx.currentTime : at) + 0.05;
+  }
+
+  function stopMusic(music) {
+    music.playing = false;
+  }
+
+  function scheduleMusic(music, untilTime, level) {
+    if (level !== undefined) music.level = level;
+    if (!music.playing) startMusic(music);
+
+    // Coming back from a throttled background tab: skip the missed notes
+    // instead of playing them all at once.
+    const now = music.mixer.ctx.currentTime;
+    if (music.nextTime < now - 0.2) music.nextTime = now + 0.05;
+
+    while (music.nextTime < untilTime) {
+      playMusicStep(music, music.step, music.nextTime);
+      music.nextTime += 60 / musicBpm(music.level) / 4; // one 16th note
+      music.step = (music.step + 1) % STEPS_PER_BAR;
+      if (music.step === 0) music.bar = (music.bar + 1) % CHORDS.length;
+    }
+  }
+
+  function playMusicStep(music, step, at) {
+    const m = music.mixer;
+    const chord = CHORDS[music.bar];
+    const sixteenth = 60 / musicBpm(music.level) / 4;
+    const plays = (id) => {
+      const layer = MUSIC_LAYERS.find((l) => l.id === id);
+      return music.level >= layer.minLevel && layer.steps.includes(step);
+    };
+
+    if (plays('bass')) {
+      playTone(m, { freq: semitone(A2, chord.root), ms: sixteenth * 1800, type: 'triangle', gain: 0.09, at, bus: 'music' });
+    }
+    if (plays('kick')) {
+      playTone(m, { freq: 55, ms: 120, type: 'sine', gain: 0.12, at, bus: 'music' });
+    }
+    if (plays('hat')) {
+      playNoise(m, { ms: 35, gain: 0.025, pan: 0.3, at, bus: 'music' });
+    }
+    if (plays('arp')) {
+      const note = ARP[(step / 2) % ARP.length];
+      const offset = note === 'third' ? chord.third : note;
+      playTone(m, { freq: semitone(A2 * 4, chord.root + offset), ms: sixteenth * 900, type: 'square', gain: 0.02, pan: -0.3, at, bus: 'music' });
+    }
+    if (plays('snare')) {
+      playNoise(m, { ms: 90, gain: 0.04, highpass: 1800, at, bus: 'music' });
+    }
+    if (plays('hat16')) {
+      playNoise(m, { ms: 20, gain: 0.015, pan: -0.3, at, bus: 'music' });
+    }
+  }
+
+  /* -----------------------------
+     Helpers
+  ------------------------------ */
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+  }
+
+  // Largest absolute sample in a rendered AudioBuffer (1.0 = full scale)
+  function peakOf(buffer) {
+    let peak = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+    }
+    return peak;
+  }
+
+  return {
+    BUSES,
+    DEFAULT_VOLUMES,
+    CEILING,
+    MUSIC_LAYERS,
+    MUSIC_TEMPO,
+
+    createMixer,
+    setVolume,
+    volumeToGain,
+    panForX,
+    playTone,
+    playNoise,
+
+    createMusic,
+    startMusic,
+    stopMusic,
+    scheduleMusic,
+    musicBpm,
+    activeLayers,
+
+    peakOf,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = NeonAudio;
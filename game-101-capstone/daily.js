@@ -0,0 +1,186 @@
+/**
+ * Neon Drift — daily challenge results: history, streaks, calendar (no DOM).
+ *
+ * BIG IDEA:
+ * - The challenge itself comes from the simulation: NeonSim.dailyChallenge
+ *   turns a date into a seed + modifiers, so everyone gets the same run.
+ * - This file only remembers how *you* did on each date. Results are
+ *   keyed by the local calendar date ('YYYY-MM-DD'), kept apart from the
+ *   normal best scores, and never compared across different dates.
+ * - Like progress.js, nothing here touches document or localStorage.
+ *
+ * Usage:
+ *   const history = NeonDaily.loadHistory(JSON.parse(saved)); // or null
+ *   const today = NeonDaily.dateKey(new Date());
+ *   NeonDaily.recordResult(history, challenge, { score, level, timeMs }, new Date().toISOString());
+ *   NeonDaily.streaks(history, today);          // { current, longest }
+ *   NeonDaily.monthGrid(history, 2026, 9);      // weeks of days for a calendar
+ */
+const NeonDaily = (() => {
+  /* -----------------------------
+     Stored shape (versioned)
+     { version, results: { 'YYYY-MM-DD': {
+         best, level, timeMs,    the best attempt of that day
+         attempts,               finished runs on that challenge
+         modifiers,              what the challenge was (for the calendar)
+         firstPlayedAt, lastPlayedAt  ISO times } } }
+  ------------------------------ */
+  const DAILY_VERSION = 1;
+  const KEEP_DAYS = 400; // older results are dropped when saving a new one
+
+  const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+  // Local calendar date: a class in one time zone shares the same day.
+  function dateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // 'YYYY-MM-DD' -> Date at local noon (noon: daylight-saving shifts can't
+  // push it into the neighbouring day). null if it isn't a real date.
+  function parseDateKey(key) {
+    const m = DATE_KEY.exec(key);
+    if (!m) return null;
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12);
+    return dateKey(date) === key ? date : null;
+  }
+
+  function addDays(key, days) {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return dateKey(date);
+  }
+
+  function createHistory() {
+    return { version: DAILY_VERSION, results: {} };
+  }
+
+  const count = v => (typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : 0);
+
+  // Accepts whatever was in storage and always returns a valid history;
+  // entries that don't make sense are dropped one by one.
+  function loadHistory(raw) {
+    const history = createHistory();
+    if (!raw || typeof raw !== 'object' || raw.version !== DAILY_VERSION) return history;
+    const results = raw.results && typeof raw.results === 'object' ? raw.results : {};
+
+    for (const key of Object.keys(results)) {
+      const r = results[key];
+      if (!parseDateKey(key) || !r || typeof r !== 'object') continue;
+      history.results[key] = {
+        best: count(r.best),
+        level: Math.max(1, count(r.level)),
+        timeMs: count(r.timeMs),
+        attempts: Math.max(1, Math.floor(count(r.attempts))),
+        modifiers: Array.isArray(r.modifiers) ? r.modifiers.filter(id => typeof id === 'string') : [],
+        firstPlayedAt: typeof r.firstPlayedAt === 'string' ? r.firstPlayedAt : '',
+        lastPlayedAt: typeof r.lastPlayedAt === 'string' ? r.lastPlayedAt : '',
+      };
+    }
+    return history;
+  }
+
+  /* -----------------------------
+     Recording a finished run
+     Returns { entry, improved, first } so the page can say "new daily best".
+  ------------------------------ */
+  function recordResult(history, challenge, result, when) {
+    const previous = history.results[challenge.date];
+    const entry = previous || {
+      best: 0,
+      level: 1,
+      timeMs: 0,
+      attempts: 0,
+      modifiers: [...challenge.modifiers],
+      firstPlayedAt: when,
+      lastPlayedAt: when,
+    };
+    const improved = !previous || result.score > entry.best;
+    entry.attempts++;
+    entry.lastPlayedAt = when;
+    if (improved) {
+      entry.best = result.score;
+      entry.level = result.level;
+      entry.timeMs = result.timeMs;
+    }
+    history.results[challenge.date] = entry;
+
+    // Keep storage bounded: a year and a bit of calendar is plenty
+    const oldest = addDays(challenge.date, -KEEP_DAYS);
+    for (const key of Object.keys(history.results)) {
+      if (key < oldest) delete history.results[key];
+    }
+    return { entry, improved, first: !previous };
+  }
+
+  /* -----------------------------
+     Streaks
+     A streak is a run of consecutive dates with at least one result.
+     Today not played yet doesn't break the current streak (there's still
+     time); it only ends once a whole day is missed.
+  ------------------------------ */
+  function streaks(history, today) {
+    const played = key => !!history.results[key];
+
+    let current = 0;
+    let day = played(today) ? today : addDays(today, -1);
+    while (played(day)) {
+      current++;
+      day = addDays(day, -1);
+    }
+
+    // Keys sort as dates, so one pass over them finds the longest run
+    let longest = 0;
+    let run = 0;
+    let prev = null;
+    for (const key of Object.keys(history.results).sort()) {
+      run = prev && addDays(prev, 1) === key ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      prev = key;
+    }
+    return { current, longest: Math.max(longest, current) };
+  }
+
+  /* -----------------------------
+     Calendar
+     monthGrid(history, year, month) -> weeks (Monday first), each a list
+     of 7 days: { key, day, inMonth, result|null }. month is 0-11, like Date.
+  ------------------------------ */
+  function monthGrid(history, year, month) {
+    const first = new Date(year, month, 1, 12);
+    const offset = (first.getDay() + 6) % 7; // days shown before the 1st (Mon = 0)
+    let key = addDays(dateKey(first), -offset);
+
+    const weeks = [];
+    do {
+      const week = [];
+      for (let k = 0; k < 7; k++) {
+        const date = parseDateKey(key);
+        week.push({
+          key,
+          day: date.getDate(),
+          inMonth: date.getMonth() === month,
+          result: history.results[key] || null,
+        });
+        key = addDays(key, 1);
+      }
+      weeks.push(week);
+    } while (parseDateKey(key).getMonth() === month);
+    return weeks;
+  }
+
+  return {
+    DAILY_VERSION,
+
+    dateKey,
+    parseDateKey,
+    addDays,
+    createHistory,
+    loadHistory,
+    recordResult,
+    streaks,
+    monthGrid,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = NeonDaily;
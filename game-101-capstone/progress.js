@@ -0,0 +1,235 @@
+/**
+ * Neon Drift — lifetime stats + achievements (no DOM).
+ *
+ * BIG IDEA:
+ * - The simulation already says everything that happens through events
+ *   (orb collected, dash, near miss, level up...). Stats are just those
+ *   events counted, per run and over a player's whole history.
+ * - Achievements are data: each one is a test over the lifetime stats and
+ *   the current run. Adding one is adding a row to ACHIEVEMENTS.
+ * - Nothing here touches document or localStorage. The page (script.js)
+ *   feeds events in, stores the result, and shows the toasts.
+ *
+ * Usage:
+ *   const progress = NeonProgress.loadProgress(JSON.parse(saved)); // or null
+ *   const run = NeonProgress.createRun('solo');
+ *   NeonProgress.recordEvent(progress, run, event);  // every sim event
+ *   NeonProgress.checkAchievements(progress, run, new Date().toISOString());
+ *   NeonProgress.finishRun(progress, run);           // at game over
+ */
+const NeonProgress = (() => {
+  /* -----------------------------
+     Stored shape (versioned)
+     { version, stats: {...}, unlocked: { [id]: ISO date }, run: {...}|null }
+
+     `run` is the unfinished run's counters, kept while a paused run is
+     saved so Resume run continues them. Bump PROGRESS_VERSION when the
+     shape changes and add a step to MIGRATIONS (old version -> next).
+  ------------------------------ */
+  const PROGRESS_VERSION = 1;
+
+  const MIGRATIONS = {};
+
+  // Lifetime counters (all numbers, all start at 0)
+  const STAT_FIELDS = [
+    'runs',            // finished runs
+    'orbs',            // orbs collected
+    'dashes',          // dashes used
+    'nearMisses',      // hazards that passed within a few px without hitting
+    'longestCombo',
+    'highestLevel',
+    'timeSurvivedMs',  // total time across all runs
+    'longestRunMs',
+    'bossesDefeated',
+    'powerups',        // power-ups collected
+    'revives',         // co-op: partners picked back up
+    'hits',            // times hit (shield blocks don't count)
+  ];
+
+  // Per-run counters
+  const RUN_FIELDS = ['orbs', 'dashes', 'nearMisses', 'maxCombo', 'level', 'timeMs', 'hits', 'powerups', 'bosses', 'revives'];
+
+  function createStats() {
+    const stats = {};
+    for (const f of STAT_FIELDS) stats[f] = 0;
+    return stats;
+  }
+
+  function createRun(mode = 'solo') {
+    const run = { mode };
+    for (const f of RUN_FIELDS) run[f] = 0;
+    run.level = 1;
+    return run;
+  }
+
+  function createProgress() {
+    return { version: PROGRESS_VERSION, stats: createStats(), unlocked: {}, run: null };
+  }
+
+  // Counters must be finite, non-negative numbers; anything else is 0.
+  function cleanCounters(source, fields, target) {
+    for (const f of fields) {
+      const v = source && source[f];
+      target[f] = typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : target[f];
+    }
+    return target;
+  }
+
+  // Accepts whatever was in storage (parsed JSON, or null) and always
+  // returns a valid, current-version progress object. Corrupt data starts
+  // over rather than breaking the game.
+  function loadProgress(raw) {
+    let data = raw;
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return createProgress();
+
+    while (data.version < PROGRESS_VERSION) {
+      const migrate = MIGRATIONS[data.version];
+      if (!migrate) return createProgress();
+      data = migrate(data);
+    }
+    // Written by a newer version of the game: don't guess, start clean
+    if (data.version !== PROGRESS_VERSION) return createProgress();
+
+    const progress = createProgress();
+    cleanCounters(data.stats, STAT_FIELDS, progress.stats);
+
+    if (data.unlocked && typeof data.unlocked === 'object') {
+      for (const a of ACHIEVEMENTS) {
+        if (typeof data.unlocked[a.id] === 'string') progress.unlocked[a.id] = data.unlocked[a.id];
+      }
+    }
+
+    if (data.run && typeof data.run === 'object') {
+      progress.run = cleanCounters(data.run, RUN_FIELDS, createRun(String(data.run.mode || 'solo')));
+    }
+    return progress;
+  }
+
+  /* -----------------------------
+     Counting events
+     Lifetime counters grow live (not only at game over), so a run that is
+     saved and resumed later still counts everything exactly once.
+     e.type values are NeonSim.EVENTS strings (see sim.js).
+  ------------------------------ */
+  function recordEvent(progress, run, e) {
+    const s = progress.stats;
+    switch (e.type) {
+      case 'orbCollected':
+        run.orbs++;
+        s.orbs++;
+        run.maxCombo = Math.max(run.maxCombo, e.combo);
+        s.longestCombo = Math.max(s.longestCombo, e.combo);
+        break;
+      case 'dash':
+        run.dashes++;
+        s.dashes++;
+        break;
+      case 'nearMiss':
+        run.nearMisses++;
+        s.nearMisses++;
+        break;
+      case 'levelUp':
+        run.level = Math.max(run.level, e.level);
+        s.highestLevel = Math.max(s.highestLevel, e.level);
+        break;
+      case 'hit':
+        run.hits++;
+        s.hits++;
+        break;
+      case 'powerupCollected':
+        run.powerups++;
+        s.powerups++;
+        break;
+      case 'bossDefeated':
+        run.bosses++;
+        s.bossesDefeated++;
+        break;
+      case 'playerRevived':
+        if (e.by >= 0) {
+          run.revives++;
+          s.revives++;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  function finishRun(progress, run) {
+    const s = progress.stats;
+    s.runs++;
+    s.timeSurvivedMs += run.timeMs;
+    s.longestRunMs = Math.max(s.longestRunMs, run.timeMs);
+    s.highestLevel = Math.max(s.highestLevel, run.level);
+    progress.run = null;
+  }
+
+  /* -----------------------------
+     Achievements
+     test(stats, run): stats are lifetime totals (already including this
+     run's counts), run is the run in progress. Lifetime time only grows
+     at game over, so time goals add the current run's time themselves.
+  ------------------------------ */
+  const MINUTE = 60 * 1000;
+
+  const ACHIEVEMENTS = [
+    { id: 'first-run', name: 'First drift', description: 'Finish your first run.', test: (s) => s.runs >= 1 },
+    { id: 'runs-25', name: 'Regular', description: 'Finish 25 runs.', test: (s) => s.runs >= 25 },
+
+    { id: 'orbs-10', name: 'Spark', description: 'Collect 10 orbs in one run.', test: (s, r) => r.orbs >= 10 },
+    { id: 'orbs-40', name: 'Orb hoarder', description: 'Collect 40 orbs in one run.', test: (s, r) => r.orbs >= 40 },
+    { id: 'orbs-500', name: 'Power plant', description: 'Collect 500 orbs in total.', test: (s) => s.orbs >= 500 },
+
+    { id: 'dash-1', name: 'Blink', description: 'Use a dash.', test: (s) => s.dashes >= 1 },
+    { id: 'dash-200', name: 'Dash master', description: 'Use 200 dashes in total.', test: (s) => s.dashes >= 200 },
+
+    { id: 'near-1', name: 'Close shave', description: 'Let a hazard pass within a hair of you.', test: (s) => s.nearMisses >= 1 },
+    { id: 'near-10', name: 'Daredevil', description: 'Get 10 near misses in one run.', test: (s, r) => r.nearMisses >= 10 },
+    { id: 'near-250', name: 'Untouchable', description: 'Get 250 near misses in total.', test: (s) => s.nearMisses >= 250 },
+
+    { id: 'combo-10', name: 'Chain', description: 'Reach a combo of 10.', test: (s) => s.longestCombo >= 10 },
+    { id: 'combo-25', name: 'In the zone', description: 'Reach a combo of 25.', test: (s) => s.longestCombo >= 25 },
+
+    { id: 'level-3', name: 'Warming up', description: 'Reach level 3.', test: (s) => s.highestLevel >= 3 },
+    { id: 'level-6', name: 'Getting serious', description: 'Reach level 6.', test: (s) => s.highestLevel >= 6 },
+    { id: 'level-10', name: 'Double digits', description: 'Reach level 10.', test: (s) => s.highestLevel >= 10 },
+    { id: 'clean-3', name: 'Flawless start', description: 'Reach level 3 without getting hit.', test: (s, r) => r.level >= 3 && r.hits === 0 },
+
+    { id: 'survive-1', name: 'One minute', description: 'Survive one minute in a run.', test: (s, r) => r.timeMs >= MINUTE },
+    { id: 'survive-3', name: 'Marathon', description: 'Survive three minutes in a run.', test: (s, r) => r.timeMs >= 3 * MINUTE },
+    { id: 'time-30', name: 'Half an hour', description: 'Play for 30 minutes in total.', test: (s, r) => s.timeSurvivedMs + r.timeMs >= 30 * MINUTE },
+
+    { id: 'boss-1', name: 'Giant slayer', description: 'Defeat a boss.', test: (s) => s.bossesDefeated >= 1 },
+    { id: 'powerups-5', name: 'Power hungry', description: 'Collect 5 power-ups in one run.', test: (s, r) => r.powerups >= 5 },
+    { id: 'revive-1', name: 'Team player', description: 'Revive your partner in co-op.', test: (s) => s.revives >= 1 },
+  ];
+
+  // Unlocks (and returns) every achievement that is newly met.
+  function checkAchievements(progress, run, when) {
+    const fresh = [];
+    const blank = createRun(); // outside a run only lifetime goals can unlock
+    for (const a of ACHIEVEMENTS) {
+      if (progress.unlocked[a.id]) continue;
+      if (a.test(progress.stats, run || blank)) {
+        progress.unlocked[a.id] = when;
+        fresh.push(a);
+      }
+    }
+    return fresh;
+  }
+
+  return {
+    PROGRESS_VERSION,
+    STAT_FIELDS,
+    ACHIEVEMENTS,
+
+    createProgress,
+    createRun,
+    loadProgress,
+    recordEvent,
+    finishRun,
+    checkAchievements,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = NeonProgress;
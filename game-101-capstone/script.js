@@ -7,8 +7,13 @@
  * - Use requestAnimationFrame as the game loop.
  * - Render DOM from state (not the other way around).
  * - Keep input separate from logic (input sets "intent").
- * - Persist best score + settings in localStorage.
+ * - Persist best score + settings through the shared GameStore (per player profile).
  * - Support keyboard-only play and ARIA announcements.
+ *
+ * Game rules (physics, spawning, collisions, scoring) live in sim.js;
+ * sound synthesis and the mixer live in audio.js.
+ * This file is the "page" side: input, screens, rendering, audio, storage.
+ * It steps the simulation and reacts to the events it emits.
  */
 
 /* -----------------------------
@@ -16,14 +21,28 @@
 ------------------------------ */
 const el = {
   playfield: document.getElementById('playfield'),
+  playCanvas: document.getElementById('playCanvas'),
   player: document.getElementById('player'),
+  player2: document.getElementById('player2'),
   orb: document.getElementById('orb'),
+  pickup: document.getElementById('pickup'),
+  boss: document.getElementById('boss'),
+  bossAim: document.getElementById('bossAim'),
+  bossHud: document.getElementById('bossHud'),
+  bossHp: document.getElementById('bossHp'),
   enemies: document.getElementById('enemies'),
+  fxLayer: document.getElementById('fxLayer'),
+  fxFlash: document.getElementById('fxFlash'),
+  levelBanner: document.getElementById('levelBanner'),
 
   score: document.getElementById('score'),
   best: document.getElementById('best'),
+  bestLabel: document.getElementById('bestLabel'),
   level: document.getElementById('level'),
   lives: document.getElementById('lives'),
+  hudPlayers: document.getElementById('hudPlayers'),
+  playersText: document.getElementById('playersText'),
+  effects: document.getElementById('effects'),
 
   srStatus: document.getElementById('srStatus'),
 
@@ -33,8 +52,11 @@ const el = {
   screenPause: document.getElementById('screenPause'),
   screenSettings: document.getElementById('screenSettings'),
   screenOver: document.getElementById('screenOver'),
+  screenAchievements: document.getElementById('screenAchievements'),
+  screenDaily: document.getElementById('screenDaily'),
 
   btnStart: document.getElementById('btnStart'),
+  btnResumeRun: document.getElementById('btnResumeRun'),
   btnHow: document.getElementById('btnHow'),
   btnBackFromHow: document.getElementById('btnBackFromHow'),
 
@@ -46,23 +68,166 @@ const el = {
 
   btnPlayAgain: document.getElementById('btnPlayAgain'),
   btnOverSettings: document.getElementById('btnOverSettings'),
+  btnAchievements: document.getElementById('btnAchievements'),
+  btnOverAchievements: document.getElementById('btnOverAchievements'),
+  btnBackFromAchievements: document.getElementById('btnBackFromAchievements'),
+  achievementsSummary: document.getElementById('achievementsSummary'),
+  achievementsList: document.getElementById('achievementsList'),
+  statsList: document.getElementById('statsList'),
+
+  btnDaily: document.getElementById('btnDaily'),
+  dailyDate: document.getElementById('dailyDate'),
+  dailyModifiers: document.getElementById('dailyModifiers'),
+  dailyToday: document.getElementById('dailyToday'),
+  dailyStreak: document.getElementById('dailyStreak'),
+  dailyMonth: document.getElementById('dailyMonth'),
+  dailyCalendar: document.getElementById('dailyCalendar'),
+  btnDailyPrev: document.getElementById('btnDailyPrev'),
+  btnDailyNext: document.getElementById('btnDailyNext'),
+  btnDailyPlay: document.getElementById('btnDailyPlay'),
+  btnDailyCopy: document.getElementById('btnDailyCopy'),
+  btnBackFromDaily: document.getElementById('btnBackFromDaily'),
+  dailyResult: document.getElementById('dailyResult'),
+  leaderboard: document.getElementById('leaderboard'),
+  leaderboardForm: document.getElementById('leaderboardForm'),
+  leaderboardName: document.getElementById('leaderboardName'),
+  btnLeaderboardSave: document.getElementById('btnLeaderboardSave'),
+  leaderboardStatus: document.getElementById('leaderboardStatus'),
+  leaderboardList: document.getElementById('leaderboardList'),
+  inputLeaderboardUrl: document.getElementById('inputLeaderboardUrl'),
+  toast: document.getElementById('toast'),
 
   finalScore: document.getElementById('finalScore'),
   newBest: document.getElementById('newBest'),
+  finalPlayers: document.getElementById('finalPlayers'),
 
   toggleSound: document.getElementById('toggleSound'),
+  volumeRanges: {
+    master: document.getElementById('rangeMaster'),
+    sfx: document.getElementById('rangeSfx'),
+    music: document.getElementById('rangeMusic'),
+  },
+  volumeValues: {
+    master: document.getElementById('masterValue'),
+    sfx: document.getElementById('sfxValue'),
+    music: document.getElementById('musicValue'),
+  },
   toggleReducedMotion: document.getElementById('toggleReducedMotion'),
   toggleMouseFollow: document.getElementById('toggleMouseFollow'),
+  toggleShowStats: document.getElementById('toggleShowStats'),
+  btnControls: document.getElementById('btnControls'),
+  selectTouchControls: document.getElementById('selectTouchControls'),
+  selectRenderer: document.getElementById('selectRenderer'),
+
+  touchLayer: document.getElementById('touchLayer'),
+  stickBase: document.getElementById('stickBase'),
+  stickKnob: document.getElementById('stickKnob'),
+  btnTouchDash: document.getElementById('btnTouchDash'),
+  btnTouchPause: document.getElementById('btnTouchPause'),
+
+  screenControls: document.getElementById('screenControls'),
+  bindingsBody: document.getElementById('bindingsBody'),
+  rangeDeadzone: document.getElementById('rangeDeadzone'),
+  deadzoneValue: document.getElementById('deadzoneValue'),
+  padStatus: document.getElementById('padStatus'),
+  btnResetControls: document.getElementById('btnResetControls'),
+  btnBackFromControls: document.getElementById('btnBackFromControls'),
+  pauseKeyHint: document.getElementById('pauseKeyHint'),
+  perfStats: document.getElementById('perfStats'),
+
+  btnWatchReplay: document.getElementById('btnWatchReplay'),
+  btnDownloadReplay: document.getElementById('btnDownloadReplay'),
+  btnLoadReplay: document.getElementById('btnLoadReplay'),
+  replayFile: document.getElementById('replayFile'),
+
+  selectPreset: document.getElementById('selectPreset'),
+  selectPresetStart: document.getElementById('selectPresetStart'),
+  selectMode: document.getElementById('selectMode'),
+  btnLoadCurve: document.getElementById('btnLoadCurve'),
+  curveFile: document.getElementById('curveFile'),
+
+  replayBar: document.getElementById('replayBar'),
+  btnReplayPlay: document.getElementById('btnReplayPlay'),
+  replayScrub: document.getElementById('replayScrub'),
+  replayTime: document.getElementById('replayTime'),
+  btnReplaySpeed: document.getElementById('btnReplaySpeed'),
+  btnReplayExit: document.getElementById('btnReplayExit'),
+
+  btnDevPanel: document.getElementById('btnDevPanel'),
+  devPanel: document.getElementById('devPanel'),
+  devPhase: document.getElementById('devPhase'),
+  devPosition: document.getElementById('devPosition'),
+  devVelocity: document.getElementById('devVelocity'),
+  devDash: document.getElementById('devDash'),
+  devHazards: document.getElementById('devHazards'),
+  devSpawn: document.getElementById('devSpawn'),
+  devNextLevel: document.getElementById('devNextLevel'),
+  devGraph: document.getElementById('devGraph'),
+  devFps: document.getElementById('devFps'),
+  devSliders: document.getElementById('devSliders'),
+  btnDevStep: document.getElementById('btnDevStep'),
+  toggleHitboxes: document.getElementById('toggleHitboxes'),
+  hitboxCanvas: document.getElementById('hitboxCanvas'),
+
+  selectLevel: document.getElementById('selectLevel'),
+  btnEditor: document.getElementById('btnEditor'),
+  btnPauseEditor: document.getElementById('btnPauseEditor'),
+  btnOverEditor: document.getElementById('btnOverEditor'),
+  arenaLayer: document.getElementById('arenaLayer'),
+  editorPreview: document.getElementById('editorPreview'),
+  editorBar: document.getElementById('editorBar'),
+  editorTools: document.querySelectorAll('#editorBar [data-tool]'),
+  editorAngle: document.getElementById('editorAngle'),
+  editorRate: document.getElementById('editorRate'),
+  editorType: document.getElementById('editorType'),
+  editorName: document.getElementById('editorName'),
+  editorEdgeSpawns: document.getElementById('editorEdgeSpawns'),
+  btnEditorTest: document.getElementById('btnEditorTest'),
+  btnEditorSave: document.getElementById('btnEditorSave'),
+  btnEditorExport: document.getElementById('btnEditorExport'),
+  btnEditorImport: document.getElementById('btnEditorImport'),
+  levelFile: document.getElementById('levelFile'),
+  btnEditorShare: document.getElementById('btnEditorShare'),
+  btnEditorClear: document.getElementById('btnEditorClear'),
+  btnEditorDone: document.getElementById('btnEditorDone'),
+  editorCount: document.getElementById('editorCount'),
+  editorItems: document.getElementById('editorItems'),
 };
 
 /* -----------------------------
    Persistence helpers
+   Saves go through the shared GameStore (../shared/game-store.js): one
+   'neon-drift' namespace per player profile, included in the collection's
+   Backup / Restore. The records keep the names below; the values are the
+   localStorage keys older builds used, imported once on first load.
 ------------------------------ */
-const STORAGE_KEYS = {
-  best: 'game101_bestScore',
+const LEGACY_KEYS = {
+  best: 'game101_bestScore',    // pre-preset single best (folded into bests.normal, version 2)
+  bests: 'game101_bestScores',  // { [curve id(:coop)(@level name)]: best score }
   settings: 'game101_settings',
+  customCurve: 'game101_customCurve',
+  savedRun: 'game101_savedRun', // paused run (NeonSim.serializeGame), until resumed or replaced
+  progress: 'game101_progress', // lifetime stats + achievements (NeonProgress, versioned)
+  levels: 'game101_levels',     // { [level name]: level } from the editor, files and share links
+  daily: 'game101_daily',       // daily challenge results by date (NeonDaily, versioned)
 };
 
+const gameStore = GameStore.createStore();
+const saves = gameStore.namespace('neon-drift', {
+  version: 2,
+  legacy: LEGACY_KEYS,
+  migrations: {
+    // Older saves had one best: it was a Normal run
+    2: (data) => {
+      const bests = data.bests && typeof data.bests === 'object' ? data.bests : {};
+      const legacyBest = Number(data.best) || 0;
+      if (legacyBest > (bests.normal || 0)) bests.normal = legacyBest;
+      delete data.best;
+      return { ...data, bests };
+    },
+  },
+});
+
 // Safe JSON parse: avoids crashes if storage is corrupted.
 function safeJsonParse(value, fallback) {
   try {
@@ -74,139 +239,240 @@ function safeJsonParse(value, fallback) {
 
 /* -----------------------------
    Audio (no external files)
-   We generate tones using Web Audio API.
+   audio.js synthesizes everything (tones, noise, the music loop) and
+   owns the mixer: master, SFX and music buses into a limiter.
+   This section only decides when to play and wires the settings.
 
    Why this approach?
    - No mp3 files required.
    - Works offline.
-   - Simple "beep" feedback.
+   - One limiter for everything, so stacked beeps never clip.
 ------------------------------ */
-let audioCtx = null;
+const audio = {
+  ctx: null,
+  mixer: null,
+  music: null,
+  musicTimer: 0,
+};
+
+const MUSIC_LOOKAHEAD_S = 0.15; // schedule notes this far ahead
+const MUSIC_TICK_MS = 50;       // ...and top the schedule up this often
 
 function ensureAudio() {
   // Creating AudioContext must happen after a user gesture in many browsers.
-  if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  if (audio.ctx) return;
+  audio.ctx = new (window.AudioContext || window.webkitAudioContext)();
+  audio.mixer = NeonAudio.createMixer(audio.ctx, state.settings.volumes);
+  audio.music = NeonAudio.createMusic(audio.mixer);
 }
 
-// Short beep with frequency + duration.
-function beep(freq = 440, ms = 60, type = 'sine', gain = 0.05) {
-  if (!state.settings.sound) return;
+// Short beep with frequency + duration. Pass the event's x to place the
+// sound left/right to match where it happened on screen.
+function beep(freq = 440, ms = 60, type = 'sine', gain = 0.05, x) {
+  if (!state.settings.sound || state.replay.silent) return;
   ensureAudio();
-  const now = audioCtx.currentTime;
-  const osc = audioCtx.createOscillator();
-  const g = audioCtx.createGain();
-
-  osc.type = type;
-  osc.frequency.value = freq;
-
-  // Very short envelope to avoid clicks
-  g.gain.setValueAtTime(0.0001, now);
-  g.gain.exponentialRampToValueAtTime(gain, now + 0.01);
-  g.gain.exponentialRampToValueAtTime(0.0001, now + ms / 1000);
+  const pan = x === undefined ? 0 : NeonAudio.panForX(x, state.game.bounds.w);
+  NeonAudio.playTone(audio.mixer, { freq, ms, type, gain, pan });
+}
 
-  osc.connect(g);
-  g.connect(audioCtx.destination);
+// Music plays while a run (or a replay) is moving; pausing stops it.
+function syncMusic() {
+  const pb = state.replay.playback;
+  const wanted = state.settings.sound && state.settings.volumes.music > 0 &&
+    (state.phase === 'play' || (state.phase === 'replay' && pb && !pb.paused));
+
+  if (wanted && !audio.musicTimer) {
+    ensureAudio();
+    NeonAudio.startMusic(audio.music);
+    tickMusic();
+    audio.musicTimer = setInterval(tickMusic, MUSIC_TICK_MS);
+  } else if (!wanted && audio.musicTimer) {
+    clearInterval(audio.musicTimer);
+    audio.musicTimer = 0;
+    NeonAudio.stopMusic(audio.music);
+  }
+}
 
-  osc.start(now);
-  osc.stop(now + ms / 1000);
+function tickMusic() {
+  if (state.replay.silent) return; // seeking: the music catches up afterwards
+  NeonAudio.scheduleMusic(audio.music, audio.ctx.currentTime + MUSIC_LOOKAHEAD_S, state.game.difficulty.level);
 }
 
 /* -----------------------------
    State (single source of truth)
 ------------------------------ */
 const state = {
-  phase: 'start', // 'start' | 'play' | 'pause' | 'settings' | 'over' | 'how'
+  phase: 'start', // 'start' | 'play' | 'pause' | 'settings' | 'controls' | 'over' | 'how' | 'replay' | 'achievements' | 'editor' | 'daily'
   running: false,
 
-  // Playfield dimensions (updated on resize)
-  bounds: { w: 0, h: 0 },
-
-  // Player physics
-  player: {
-    x: 200,
-    y: 200,
-    vx: 0,
-    vy: 0,
-    size: 24,
-    speed: 0.55,      // acceleration force per frame (scaled by dt)
-    maxSpeed: 5.2,    // clamp speed for fairness
-    friction: 0.88,   // damping (higher = more slide)
-    dash: {
-      ready: true,
-      cooldownMs: 900,
-      burst: 9.0,
-      lastDashAt: 0,
-    },
-  },
-
-  // Orb (collectible)
-  orb: {
-    x: 320,
-    y: 180,
-    size: 18,
-  },
-
-  // Enemy pool (performance-friendly)
-  enemies: [],
-  enemyPoolSize: 22, // cap entity count (performance + balance)
-
-  // Spawning and difficulty
-  difficulty: {
-    level: 1,
-    score: 0,
-    lives: 3,
-    combo: 0,
-    best: 0,
+  // The simulation (player, orb, enemies, difficulty). See sim.js.
+  game: NeonSim.createGame(),
 
-    // Spawn pacing: lower means more frequent spawns
-    spawnIntervalMs: 950,
-    lastSpawnAt: 0,
+  // Best score for the current curve (persisted per curve id in `bests`;
+  // the simulation only knows the current run)
+  best: 0,
+  bests: {},
+  customCurve: null, // teacher-loaded curve (normalized), if any
 
-    // Enemy speed baseline
-    enemyBaseSpeed: 1.7,
+  // Lifetime stats + achievements (see progress.js) and the live run's counters
+  progress: NeonProgress.createProgress(),
+  run: null,
 
-    // Level-up thresholds
-    nextLevelAt: 200, // score target for next level; increases over time
-  },
-
-  // Input intent (separate from physics)
+  // Input intent (separate from physics).
+  // Movement is one vector: keyboard and gamepad both write into it.
   input: {
-    up: false,
-    down: false,
-    left: false,
-    right: false,
+    moveX: 0,
+    moveY: 0,
     dash: false,
     mouseX: 0,
     mouseY: 0,
     hasMouse: false,
   },
 
+  // Player 2 intent (two-player modes): P2 keys + second gamepad
+  input2: {
+    moveX: 0,
+    moveY: 0,
+    dash: false,
+  },
+
   // Settings (persisted)
   settings: {
     sound: true,
     reducedMotion: false,
     mouseFollow: false,
+    showStats: false, // on-screen FPS + simulation step counter
+    bindings: null,   // action -> keys/button (filled from DEFAULT_BINDINGS)
+    padDeadzone: 0.2, // radial stick deadzone (0..1)
+    touchControls: 'auto', // 'auto' (touch screens only) | 'on' | 'off'
+    preset: NeonSim.DEFAULT_PRESET, // key of NeonSim.PRESETS, or 'custom'
+    mode: 'solo', // 'solo' | 'coop' | 'versus' (NeonSim.MODES)
+    volumes: { ...NeonAudio.DEFAULT_VOLUMES }, // master / sfx / music, 0..1
+    renderer: 'dom', // 'dom' | 'canvas' (see RENDERERS)
+    level: '',       // saved level to play (key of state.levels), '' = open field
+    devPanel: true,  // developer panel beside the playfield
+    hitboxes: false, // dev panel: draw collision boxes over the playfield
+    leaderboardUrl: '', // shared leaderboard server, '' = this browser
+    playerName: '',     // last name typed on the leaderboard
+  },
+
+  // Gamepad snapshot (polled every animation frame while a pad is connected)
+  pad: {
+    connected: false,
+    moveX: 0,
+    moveY: 0,
+    prevButtons: [],
+    rafId: 0,
+  },
+
+  // Second gamepad (drives P2 in two-player modes)
+  pad2: {
+    moveX: 0,
+    moveY: 0,
+    prevButtons: [],
+  },
+
+  // On-screen touch controls (virtual joystick writes its own move vector)
+  touch: {
+    enabled: false,
+    pointerId: null, // finger currently driving the joystick
+    originX: 0,
+    originY: 0,
+    moveX: 0,
+    moveY: 0,
+    lastCooldownText: '',
   },
 
+  // Controls screen: which slot is waiting for a key/button, if any
+  rebind: null, // { action, slot: 0 | 1 | 'button', btn }
+
   // Rendering throttles
   ui: {
     lastScoreText: '',
     lastBestText: '',
     lastLevelText: '',
     lastLivesText: '',
+    lastPlayersText: '',
+    lastP2Class: '',
+    lastEffectsText: '',
+    lastShield: false,
+    lastSlow: false,
+  },
+
+  // Overlay navigation (see "Screen router")
+  nav: {
+    screen: null, // visible overlay screen, null while playing
+    stack: [], // [{ screen, focus }] that Back / Escape return to, newest last
   },
 
   // Time
   time: {
     lastFrame: 0,
     rafId: 0,
+    accumulator: 0, // real time not yet simulated (always < one step after a frame)
+  },
+
+  // Performance counters (shown when settings.showStats is on)
+  stats: {
+    windowStart: 0,
+    frames: 0,
+    steps: 0,
+    droppedMs: 0,
+  },
+
+  // Game Over leaderboard (see "Leaderboard")
+  leaderboard: {
+    board: null,   // Leaderboard board of the run that just ended
+    run: null,     // { score, meta } waiting for a name, or null once added
+    entryId: null, // the entry just added (highlighted)
+    request: 0,    // bumps on each Game Over: late answers are ignored
+  },
+
+  // Daily challenge (see "Daily challenge")
+  daily: {
+    history: NeonDaily.createHistory(),
+    active: null, // NeonSim.dailyChallenge(...) while runs are daily runs
+    view: { year: 0, month: 0 }, // month shown in the calendar
+  },
+
+  // Saved levels + the level editor (see "Level editor")
+  levels: {}, // name -> level (NeonSim.normalizeLevel shape)
+  editor: {
+    level: null,     // level being edited, scaled to the playfield
+    tool: 'wall',    // 'wall' | 'spawner' | 'zone' | 'start' | 'erase'
+    drag: null,      // { x0, y0, x1, y1 } while drawing a rectangle
+    testing: false,  // runs come from the editor (play-test) until Done
+  },
+
+  // Developer panel (see "Developer panel"); untouched while it is closed
+  dev: {
+    tuned: false,     // this run was changed with the tuning sliders
+    lastRefresh: 0,   // last readout + graph refresh (frame timestamp)
+    lastFrame: 0,     // previous frame timestamp (0 = no frame yet)
+    frameMs: new Float32Array(120), // recent frame times, a ring buffer
+    frameIndex: 0,    // next slot to write in frameMs
+    frameCount: 0,    // filled slots (up to frameMs.length)
+  },
+
+  // Replays (record input per frame, play it back through the same systems)
+  replay: {
+    recording: null,     // run being recorded right now
+    recordBounds: null,  // last bounds written to the recording
+    last: null,          // finished recording offered on the Game Over screen
+    playback: null,      // active playback session (see startReplay)
+    silent: false,       // mutes beep/announce while seeking
   },
 };
 
 /* -----------------------------
    Enemy representation
-   Each enemy uses JS position and a single DOM element.
+   Each pooled simulation enemy gets one DOM element (same index).
+   The pool size comes from the curve (maxHazards), so the elements are
+   rebuilt when a run starts with a different size.
 ------------------------------ */
+const enemyEls = [];
+const enemyParked = []; // true while the element sits offscreen (skip rewriting it)
+
 function createEnemyElement() {
   const div = document.createElement('div');
   div.className = 'enemy';
@@ -216,184 +482,303 @@ function createEnemyElement() {
 
 function initEnemyPool() {
   el.enemies.innerHTML = '';
-  state.enemies = [];
-  for (let i = 0; i < state.enemyPoolSize; i++) {
-    state.enemies.push({
-      active: false,
-      x: -999,
-      y: -999,
-      vx: 0,
-      vy: 0,
-      size: 18,
-      type: 'normal', // 'normal' | 'fast' | 'heavy'
-      el: createEnemyElement(),
-    });
+  enemyEls.length = 0;
+  enemyParked.length = 0;
+  for (let i = 0; i < state.game.enemies.length; i++) {
+    enemyEls.push(createEnemyElement());
+    enemyParked.push(false);
   }
 }
 
-/* -----------------------------
-   Utility: clamp and random
------------------------------- */
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
+function syncEnemyPool() {
+  if (enemyEls.length !== state.game.enemies.length) initEnemyPool();
 }
 
-function rand(min, max) {
-  return Math.random() * (max - min) + min;
-}
+/* -----------------------------
+   Utility: clamp + run seeds
+------------------------------ */
+const { clamp } = NeonSim;
 
-function distSq(ax, ay, bx, by) {
-  const dx = ax - bx;
-  const dy = ay - by;
-  return dx * dx + dy * dy;
+// The only place Math.random is still used: picking a fresh run seed.
+function newSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
 }
 
 /* -----------------------------
-   Bounds + positioning helpers
+   Bounds
 ------------------------------ */
 function updateBounds() {
   const rect = el.playfield.getBoundingClientRect();
-  state.bounds.w = rect.width;
-  state.bounds.h = rect.height;
-}
-
-// Place orb away from player for fairness.
-function placeOrb() {
-  const margin = 24;
-  const { w, h } = state.bounds;
-  const p = state.player;
-  const minDist = 130;
-
-  let tries = 0;
-  while (tries < 50) {
-    const x = rand(margin, w - margin);
-    const y = rand(margin, h - margin);
-    if (distSq(x, y, p.x, p.y) >= minDist * minDist) {
-      state.orb.x = x;
-      state.orb.y = y;
-      return;
-    }
-    tries++;
-  }
-  // fallback (rare)
-  state.orb.x = clamp(p.x + 150, margin, w - margin);
-  state.orb.y = clamp(p.y + 80, margin, h - margin);
+  state.game.bounds.w = rect.width;
+  state.game.bounds.h = rect.height;
 }
 
 /* -----------------------------
-   Collision (AABB)
-   Why AABB?
-   - Fast, simple, perfect for DOM rectangles.
+   Input handling (intent)
+   - Keys and gamepad buttons map to *actions* through rebindable bindings
+   - Held movement keys + the analog stick become one move vector
+   - Optional mouse-follow sets a target
 ------------------------------ */
-function aabbCollide(ax, ay, as, bx, by, bs) {
-  return !(
-    ax + as < bx ||
-    ax > bx + bs ||
-    ay + as < by ||
-    ay > by + bs
-  );
-}
+const ACTIONS = ['up', 'down', 'left', 'right', 'dash', 'pause', 'p2up', 'p2down', 'p2left', 'p2right', 'p2dash'];
+
+// Player 2 has keys only: a second gamepad reuses P1's button layout.
+const P2_ACTIONS = ['p2up', 'p2down', 'p2left', 'p2right', 'p2dash'];
+
+const ACTION_LABELS = {
+  up: 'Move up',
+  down: 'Move down',
+  left: 'Move left',
+  right: 'Move right',
+  dash: 'Dash',
+  pause: 'Pause',
+  p2up: 'P2 move up',
+  p2down: 'P2 move down',
+  p2left: 'P2 move left',
+  p2right: 'P2 move right',
+  p2dash: 'P2 dash',
+};
 
-/* -----------------------------
-   Difficulty scaling
-   Goal: "fair but harder over time"
------------------------------- */
-function scaleDifficultyOnScore() {
-  const d = state.difficulty;
+// Two key slots + one gamepad button per action.
+// Button numbers follow the "standard" Gamepad API layout.
+const DEFAULT_BINDINGS = {
+  up: { keys: ['w', 'arrowup'], button: 12 },
+  down: { keys: ['s', 'arrowdown'], button: 13 },
+  left: { keys: ['a', 'arrowleft'], button: 14 },
+  right: { keys: ['d', 'arrowright'], button: 15 },
+  dash: { keys: [' ', null], button: 0 },
+  pause: { keys: ['p', null], button: 9 },
+  p2up: { keys: ['i', null], button: null },
+  p2down: { keys: ['k', null], button: null },
+  p2left: { keys: ['j', null], button: null },
+  p2right: { keys: ['l', null], button: null },
+  p2dash: { keys: ['shiftright', null], button: null },
+};
 
-  // Level up when reaching threshold.
-  if (d.score >= d.nextLevelAt) {
-    d.level += 1;
-    d.nextLevelAt = Math.floor(d.nextLevelAt * 1.35 + 120);
+const PAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home',
+];
 
-    // Increase enemy speed slightly
-    d.enemyBaseSpeed = Math.min(4.2, d.enemyBaseSpeed + 0.15);
+// Keys that can never be bound (they drive menus).
+const RESERVED_KEYS = ['escape', 'tab', 'enter'];
 
-    // Spawn a bit faster (lower interval)
-    d.spawnIntervalMs = Math.max(420, d.spawnIntervalMs - 40);
+// Keys currently held down (key ids, see keyId)
+const heldKeys = new Set();
 
-    announce(`Level ${d.level}`);
-    beep(660, 90, 'triangle', 0.06);
+// Lower-cased e.key, except Shift, which is split into left/right
+// so Right Shift can be P2's dash without stealing Left Shift.
+function keyId(e) {
+  if (e.key === 'Shift') return e.code === 'ShiftRight' ? 'shiftright' : 'shiftleft';
+  return e.key.toLowerCase();
+}
+
+function cloneBindings(bindings) {
+  const copy = {};
+  for (const a of ACTIONS) copy[a] = { keys: [...bindings[a].keys], button: bindings[a].button };
+  return copy;
+}
+
+// Stored bindings are user data: keep what is valid, default the rest.
+function sanitizeBindings(saved) {
+  const bindings = cloneBindings(DEFAULT_BINDINGS);
+  if (!saved || typeof saved !== 'object') return bindings;
+
+  for (const a of ACTIONS) {
+    const b = saved[a];
+    if (!b || !Array.isArray(b.keys)) continue;
+    const keyOk = (k) => k === null || (typeof k === 'string' && k.length > 0);
+    if (b.keys.length === 2 && b.keys.every(keyOk)) bindings[a].keys = [...b.keys];
+    if (P2_ACTIONS.includes(a)) continue; // no button slot
+    if (b.button === null || Number.isInteger(b.button)) bindings[a].button = b.button;
   }
+  return bindings;
 }
 
-/* -----------------------------
-   Enemy spawning
-   Uses pool: activate an inactive enemy.
------------------------------- */
-function spawnEnemy(now) {
-  const d = state.difficulty;
-  const { w, h } = state.bounds;
-  const margin = 20;
+function keyLabel(k) {
+  if (k === null) return '—';
+  if (k === ' ') return 'Space';
+  if (k === 'shiftright') return 'Right Shift';
+  if (k === 'shiftleft') return 'Left Shift';
+  if (k.startsWith('arrow')) return `Arrow ${k.slice(5)}`;
+  return k.length === 1 ? k.toUpperCase() : k[0].toUpperCase() + k.slice(1);
+}
+
+function buttonLabel(i) {
+  if (i === null) return '—';
+  return PAD_BUTTON_NAMES[i] || `Button ${i}`;
+}
+
+function actionForKey(k) {
+  const b = state.settings.bindings;
+  return ACTIONS.find(a => b[a].keys.includes(k)) || null;
+}
+
+function actionForButton(i) {
+  const b = state.settings.bindings;
+  return ACTIONS.find(a => b[a].button === i) || null;
+}
+
+function setKey(e, isDown) {
+  const k = keyId(e);
 
-  // Find an inactive enemy
-  const enemy = state.enemies.find(e => !e.active);
-  if (!enemy) return; // pool full
+  // Controls screen is waiting for a key: capture it instead of playing
+  if (state.rebind) {
+    if (isDown) captureRebindKey(e, k);
+    return;
+  }
+
+  const action = actionForKey(k);
+
+  // Escape steps back through overlay screens (Controls -> Settings -> Pause)
+  if (k === 'escape' && isDown && goBack()) return;
+
+  // Pause toggle works globally (except start screen)
+  if (action === 'pause' && isDown) {
+    togglePause();
+    return;
+  }
+
+  // Escape leaves replay playback
+  if (k === 'escape' && isDown && state.phase === 'replay') {
+    stopReplay();
+    return;
+  }
 
-  // Choose type based on level
-  const roll = Math.random();
-  let type = 'normal';
-  if (d.level >= 4 && roll < 0.25) type = 'fast';
-  if (d.level >= 6 && roll > 0.86) type = 'heavy';
+  // Releases always count (no stuck keys after an overlay)
+  if (!isDown) {
+    heldKeys.delete(k);
+    return;
+  }
 
-  enemy.type = type;
+  // Only process movement input during play
+  if (state.phase !== 'play' || !action) return;
 
-  // Size varies by type (not color-only feedback)
-  enemy.size = type === 'heavy' ? 24 : 18;
+  if (action === 'dash') state.input.dash = true;
+  else if (action === 'p2dash') state.input2.dash = true;
+  else heldKeys.add(k);
+}
 
-  // Spawn from a random edge to feel “incoming”
-  const edge = Math.floor(rand(0, 4)); // 0 top, 1 right, 2 bottom, 3 left
-  if (edge === 0) { enemy.x = rand(margin, w - margin); enemy.y = -margin; }
-  if (edge === 1) { enemy.x = w + margin; enemy.y = rand(margin, h - margin); }
-  if (edge === 2) { enemy.x = rand(margin, w - margin); enemy.y = h + margin; }
-  if (edge === 3) { enemy.x = -margin; enemy.y = rand(margin, h - margin); }
+// Round analog values so replays can store them exactly (and stay small).
+function quantize(v) {
+  return Math.round(v * 1000) / 1000;
+}
 
-  // Direction: roughly toward player (adds “intent”)
-  const p = state.player;
-  const dx = p.x - enemy.x;
-  const dy = p.y - enemy.y;
-  const len = Math.max(0.001, Math.sqrt(dx * dx + dy * dy));
+// Combine held keys + gamepad into the move vector (once per rendered frame).
+function updateMoveIntent() {
+  const b = state.settings.bindings;
+  const held = (a) => b[a].keys.some(k => k !== null && heldKeys.has(k));
 
-  // Speed by type + difficulty
-  let speed = d.enemyBaseSpeed + rand(-0.2, 0.2);
-  if (type === 'fast') speed *= 1.35;
-  if (type === 'heavy') speed *= 0.85;
+  const x = (held('right') ? 1 : 0) - (held('left') ? 1 : 0) + state.pad.moveX + state.touch.moveX;
+  const y = (held('down') ? 1 : 0) - (held('up') ? 1 : 0) + state.pad.moveY + state.touch.moveY;
 
-  enemy.vx = (dx / len) * speed;
-  enemy.vy = (dy / len) * speed;
+  state.input.moveX = quantize(clamp(x, -1, 1));
+  state.input.moveY = quantize(clamp(y, -1, 1));
 
-  enemy.active = true;
+  // Player 2 (ignored by the simulation in solo)
+  const x2 = (held('p2right') ? 1 : 0) - (held('p2left') ? 1 : 0) + state.pad2.moveX;
+  const y2 = (held('p2down') ? 1 : 0) - (held('p2up') ? 1 : 0) + state.pad2.moveY;
+  state.input2.moveX = quantize(clamp(x2, -1, 1));
+  state.input2.moveY = quantize(clamp(y2, -1, 1));
+}
 
-  // Update DOM class once (not every frame)
-  enemy.el.className = 'enemy' + (type === 'fast' ? ' fast' : '') + (type === 'heavy' ? ' heavy' : '');
-  d.lastSpawnAt = now;
+// Drop held keys / pending dash (new run, replay start or exit).
+function clearInput() {
+  heldKeys.clear();
+  releaseStick();
+  for (const i of [state.input, state.input2]) {
+    i.moveX = 0;
+    i.moveY = 0;
+    i.dash = false;
+  }
 }
 
 /* -----------------------------
-   Input handling (intent)
-   - Keyboard sets direction flags
-   - Optional mouse-follow sets a target
+   Gamepad
+   The Gamepad API has no button events: we poll once per frame
+   and detect presses by comparing with the previous frame.
 ------------------------------ */
-function setKey(e, isDown) {
-  const k = e.key.toLowerCase();
 
-  // Pause toggle works globally (except start screen)
-  if (k === 'p' && isDown) {
-    togglePause();
+// Radial deadzone, rescaled so movement starts smoothly at the edge
+// of the deadzone instead of jumping straight to 20%.
+function applyDeadzone(x, y, deadzone) {
+  const mag = Math.sqrt(x * x + y * y);
+  if (mag < deadzone) return [0, 0];
+  const scaled = Math.min(1, (mag - deadzone) / (1 - deadzone));
+  return [(x / mag) * scaled, (y / mag) * scaled];
+}
+
+function connectedGamepads() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  return [...pads].filter(gp => gp && gp.connected);
+}
+
+function firstGamepad() {
+  return connectedGamepads()[0] || null;
+}
+
+// First pad drives P1; in two-player modes the second pad drives P2.
+function pollGamepad() {
+  const [gp1, gp2] = connectedGamepads();
+  pollPad(gp1, state.pad, state.input);
+  pollPad(state.game.mode === 'solo' ? null : gp2, state.pad2, state.input2);
+}
+
+function pollPad(gp, pad, input) {
+  if (!gp) {
+    pad.moveX = 0;
+    pad.moveY = 0;
     return;
   }
 
-  // Only process movement input during play
-  if (state.phase !== 'play') return;
+  const b = state.settings.bindings;
+  const pressed = (i) => i !== null && !!gp.buttons[i] && gp.buttons[i].pressed;
+
+  // Left stick (analog) + bound d-pad buttons (digital)
+  const [sx, sy] = applyDeadzone(gp.axes[0] || 0, gp.axes[1] || 0, state.settings.padDeadzone);
+  pad.moveX = sx + (pressed(b.right.button) ? 1 : 0) - (pressed(b.left.button) ? 1 : 0);
+  pad.moveY = sy + (pressed(b.down.button) ? 1 : 0) - (pressed(b.up.button) ? 1 : 0);
+
+  // Edge-detect button presses
+  gp.buttons.forEach((btn, i) => {
+    if (btn.pressed && !pad.prevButtons[i]) onPadButtonPress(i, input);
+    pad.prevButtons[i] = btn.pressed;
+  });
+}
+
+function onPadButtonPress(i, input) {
+  if (state.rebind) {
+    if (state.rebind.slot === 'button') finishRebind(i);
+    return;
+  }
 
-  if (k === 'arrowup' || k === 'w') state.input.up = isDown;
-  if (k === 'arrowdown' || k === 's') state.input.down = isDown;
-  if (k === 'arrowleft' || k === 'a') state.input.left = isDown;
-  if (k === 'arrowright' || k === 'd') state.input.right = isDown;
+  const action = actionForButton(i);
+  if (action === 'pause') togglePause();
+  if (action === 'dash' && state.phase === 'play') input.dash = true;
+}
 
-  if (k === ' ' && isDown) state.input.dash = true;
+function gamepadLoop() {
+  pollGamepad();
+  state.pad.rafId = state.pad.connected ? requestAnimationFrame(gamepadLoop) : 0;
 }
 
+window.addEventListener('gamepadconnected', (e) => {
+  state.pad.connected = true;
+  announce(`Gamepad connected: ${e.gamepad.id}`);
+  renderPadStatus();
+  if (!state.pad.rafId) gamepadLoop();
+});
+
+window.addEventListener('gamepaddisconnected', () => {
+  state.pad.connected = !!firstGamepad();
+  for (const pad of [state.pad, state.pad2]) {
+    pad.moveX = 0;
+    pad.moveY = 0;
+    pad.prevButtons = [];
+  }
+  announce('Gamepad disconnected');
+  renderPadStatus();
+});
+
 document.addEventListener('keydown', (e) => setKey(e, true));
 document.addEventListener('keyup', (e) => setKey(e, false));
 
@@ -409,468 +794,3343 @@ el.playfield.addEventListener('mousemove', (e) => {
 el.playfield.addEventListener('mousedown', () => el.playfield.focus());
 
 /* -----------------------------
-   Overlay / screen control
-   Focus management matters for accessibility.
+   Touch controls
+   - A floating joystick appears wherever the thumb lands on the playfield
+   - Dash + Pause are on-screen buttons (Dash shows its cooldown)
+   The joystick is just another source for the move vector, so
+   updatePlayer sees the same intent whether it came from keys, pad or touch.
 ------------------------------ */
-function hideAllScreens() {
-  el.screenStart.classList.add('hidden');
-  el.screenHow.classList.add('hidden');
-  el.screenPause.classList.add('hidden');
-  el.screenSettings.classList.add('hidden');
-  el.screenOver.classList.add('hidden');
+const STICK_RADIUS = 56;     // px the knob can travel from the origin
+const STICK_DEADZONE = 0.12; // ignore tiny thumb wobble
+const coarsePointer = window.matchMedia('(pointer: coarse)');
+
+function applyTouchControls() {
+  const mode = state.settings.touchControls;
+  const enabled = mode === 'on' || (mode === 'auto' && coarsePointer.matches);
+  state.touch.enabled = enabled;
+  el.touchLayer.classList.toggle('hidden', !enabled);
+  if (!enabled) releaseStick();
 }
 
-function showOverlayScreen(name) {
-  hideAllScreens();
-  el.overlay.classList.remove('hidden');
-  el.overlay.setAttribute('aria-hidden', 'false');
+function releaseStick() {
+  const t = state.touch;
+  t.pointerId = null;
+  t.moveX = 0;
+  t.moveY = 0;
+  el.stickBase.classList.add('hidden');
+}
 
-  if (name === 'start') el.screenStart.classList.remove('hidden');
-  if (name === 'how') el.screenHow.classList.remove('hidden');
-  if (name === 'pause') el.screenPause.classList.remove('hidden');
-  if (name === 'settings') el.screenSettings.classList.remove('hidden');
-  if (name === 'over') el.screenOver.classList.remove('hidden');
+function moveStick(clientX, clientY) {
+  const t = state.touch;
+  let dx = clientX - t.originX;
+  let dy = clientY - t.originY;
+  const len = Math.sqrt(dx * dx + dy * dy);
+
+  // Keep the knob inside the ring
+  if (len > STICK_RADIUS) {
+    dx = (dx / len) * STICK_RADIUS;
+    dy = (dy / len) * STICK_RADIUS;
+  }
+  el.stickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+  // Same radial deadzone idea as the gamepad stick
+  const [mx, my] = applyDeadzone(dx / STICK_RADIUS, dy / STICK_RADIUS, STICK_DEADZONE);
+  t.moveX = mx;
+  t.moveY = my;
+}
+
+el.touchLayer.addEventListener('pointerdown', (e) => {
+  const t = state.touch;
+  if (state.phase !== 'play' || t.pointerId !== null) return;
+  if (e.target !== el.touchLayer) return; // buttons handle their own presses
+
+  e.preventDefault();
+  el.touchLayer.setPointerCapture(e.pointerId);
+  t.pointerId = e.pointerId;
+  t.originX = e.clientX;
+  t.originY = e.clientY;
+
+  // Draw the ring where the thumb landed
+  const rect = el.touchLayer.getBoundingClientRect();
+  el.stickBase.style.transform = `translate(${e.clientX - rect.left}px, ${e.clientY - rect.top}px)`;
+  el.stickKnob.style.transform = 'translate(0px, 0px)';
+  el.stickBase.classList.remove('hidden');
+});
+
+el.touchLayer.addEventListener('pointermove', (e) => {
+  if (e.pointerId !== state.touch.pointerId) return;
+  e.preventDefault();
+  moveStick(e.clientX, e.clientY);
+});
+
+['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+  el.touchLayer.addEventListener(type, (e) => {
+    if (e.pointerId === state.touch.pointerId) releaseStick();
+  });
+});
+
+el.btnTouchDash.addEventListener('pointerdown', (e) => {
+  e.preventDefault(); // no focus steal / double-tap zoom
+  if (state.phase === 'play') state.input.dash = true;
+});
+
+el.btnTouchPause.addEventListener('pointerdown', (e) => {
+  e.preventDefault();
+  togglePause();
+});
+
+// Dash button fills up as the cooldown recharges (text too: not color-only).
+function renderTouchDash() {
+  if (!state.touch.enabled) return;
+  const p = state.game.player;
+  const ready = clamp((state.game.time.now - p.dash.lastDashAt) / p.dash.cooldownMs, 0, 1);
+  const text = ready >= 1 ? 'Dash' : `${Math.round(ready * 100)}%`;
+  if (text === state.touch.lastCooldownText) return;
+
+  state.touch.lastCooldownText = text;
+  el.btnTouchDash.style.setProperty('--ready', String(ready));
+  el.btnTouchDash.textContent = text;
+  el.btnTouchDash.classList.toggle('cooling', ready < 1);
+}
+
+coarsePointer.addEventListener('change', applyTouchControls);
+
+el.selectTouchControls.addEventListener('change', () => {
+  state.settings.touchControls = el.selectTouchControls.value;
+  applyTouchControls();
+  saveSettings();
+  announce(state.touch.enabled ? 'Touch controls shown' : 'Touch controls hidden');
+});
+
+// Renderer choice (see RENDERERS). An unavailable backend drops back to DOM.
+function applyRenderer() {
+  if (!useRenderer(state.settings.renderer)) state.settings.renderer = 'dom';
+  el.selectRenderer.value = state.settings.renderer;
+}
+
+el.selectRenderer.addEventListener('change', () => {
+  const wanted = el.selectRenderer.value;
+  state.settings.renderer = wanted;
+  applyRenderer();
+  saveSettings();
+  announce(state.settings.renderer === wanted
+    ? `Renderer: ${renderer.label}`
+    : `${RENDERERS[wanted].label} is not available here, using ${renderer.label}`);
+});
+
+/* -----------------------------
+   Screen router
+   Every overlay screen is registered once in SCREENS. Start, Pause and
+   Game over are "root" screens the game shows by itself; the others are
+   opened on top of a screen, which goes onto a back-stack. Back buttons
+   and Escape pop it, so Settings returns to wherever it was opened from
+   and focus lands back on the button that opened it.
+   Focus management matters for accessibility: the overlay is a modal
+   dialog, so Tab cycles inside the visible screen and never leaks out.
+------------------------------ */
+const SCREENS = {
+  start: { el: el.screenStart, label: 'Start screen', onEnter: leaveDaily },
+  how: { el: el.screenHow, label: 'How it works' },
+  pause: { el: el.screenPause, label: 'Paused' },
+  settings: { el: el.screenSettings, label: 'Settings' },
+  controls: { el: el.screenControls, label: 'Controls', onEnter: renderPadStatus, onLeave: cancelRebind },
+  over: { el: el.screenOver, label: 'Game over' },
+  achievements: { el: el.screenAchievements, label: 'Achievements', onEnter: renderAchievements },
+  daily: { el: el.screenDaily, label: 'Daily challenge', onEnter: enterDailyScreen },
+};
+
+// Which phase may follow which. Anything else is a bug (Resume on a Pause
+// screen with no run behind it...) and is refused rather than leaving the
+// game somewhere it can't get out of.
+const PHASE_MOVES = {
+  start: ['play', 'pause', 'how', 'achievements', 'replay', 'editor', 'daily'],
+  how: ['start'],
+  achievements: ['start', 'over'],
+  play: ['pause', 'over'],
+  pause: ['play', 'settings', 'over', 'editor'], // over: a dev panel frame step can end the run
+  settings: ['pause', 'over', 'controls'],
+  controls: ['settings'],
+  over: ['play', 'settings', 'achievements', 'replay', 'editor'],
+  replay: ['start', 'over'],
+  editor: ['start', 'play'],
+  daily: ['start', 'play'],
+};
+
+// Phases that only make sense with a run in progress
+const RUN_PHASES = ['play', 'pause'];
+
+function canMovePhase(next) {
+  return next === state.phase || (PHASE_MOVES[state.phase] || []).includes(next);
+}
+
+// Returns false (and changes nothing) when the move isn't allowed.
+function setPhase(next) {
+  if (!canMovePhase(next)) return false;
+  if (RUN_PHASES.includes(next) && !state.run) return false;
+  state.phase = next;
+  if (state.settings.devPanel) renderDevPanel(); // phase readout + Step button
+  return true;
+}
+
+function renderScreen(name, focusTarget) {
+  const screen = SCREENS[name];
+  for (const other of Object.values(SCREENS)) other.el.classList.add('hidden');
+  state.nav.screen = name;
+
+  el.overlay.classList.remove('hidden', 'peek');
+  el.overlay.setAttribute('aria-hidden', 'false');
+  screen.el.classList.remove('hidden');
+  if (screen.onEnter) screen.onEnter();
 
   // Lock gameplay input when overlay visible
   state.running = false;
 
-  // Focus the first button on that screen for keyboard users
-  const screen = (
-    name === 'start' ? el.screenStart :
-    name === 'how' ? el.screenHow :
-    name === 'pause' ? el.screenPause :
-    name === 'settings' ? el.screenSettings :
-    el.screenOver
-  );
-
-  const firstBtn = screen.querySelector('button, input, summary');
-  if (firstBtn) firstBtn.focus();
+  // Focus the opener when coming back, else the first control on the
+  // screen (skipping pickers, so Enter on the Start screen starts a game)
+  const target = focusTarget && screen.el.contains(focusTarget)
+    ? focusTarget
+    : focusablesIn(screen.el).find(item => item.tagName !== 'SELECT');
+  if (target) target.focus();
 
   // Announce phase change for screen readers
-  announce(
-    name === 'start' ? 'Start screen' :
-    name === 'how' ? 'How it works' :
-    name === 'pause' ? 'Paused' :
-    name === 'settings' ? 'Settings' :
-    'Game over'
-  );
+  announce(screen.label);
+}
+
+function leaveScreen() {
+  const screen = SCREENS[state.nav.screen];
+  if (screen && screen.onLeave) screen.onLeave();
+}
+
+// Root screen: the back-stack starts over.
+function showScreen(name) {
+  if (!setPhase(name)) return false;
+  leaveScreen();
+  state.nav.stack = [];
+  renderScreen(name);
+  return true;
+}
+
+// On top of the current screen; Back returns to it.
+function openScreen(name) {
+  const from = state.nav.screen;
+  if (from === null || !setPhase(name)) return false;
+  leaveScreen();
+  state.nav.stack.push({ screen: from, focus: document.activeElement });
+  renderScreen(name);
+  return true;
+}
+
+function goBack() {
+  const entry = state.nav.stack[state.nav.stack.length - 1];
+  if (!entry || !setPhase(entry.screen)) return false;
+  state.nav.stack.pop();
+  leaveScreen();
+  renderScreen(entry.screen, entry.focus);
+  return true;
 }
 
 function hideOverlay() {
+  leaveScreen();
+  state.nav.screen = null;
+  state.nav.stack = [];
   el.overlay.classList.add('hidden');
+  el.overlay.classList.remove('peek');
   el.overlay.setAttribute('aria-hidden', 'true');
-  // Return focus to playfield for keyboard play
+  // Return focus to playfield for keyboard play (not to whatever opened
+  // the overlay: a focused Pause button would eat the next Space/Enter)
   el.playfield.focus();
 }
 
+/* Focus trap */
+function focusablesIn(root) {
+  const items = root.querySelectorAll('button, input, select, textarea, summary, a[href], [tabindex]');
+  return [...items].filter((item) => {
+    if (item.disabled || item.tabIndex < 0 || item.closest('.hidden')) return false;
+    // Inside a closed <details> only its summary can be reached
+    const closed = item.closest('details:not([open])');
+    return !closed || (item.tagName === 'SUMMARY' && item.parentElement === closed);
+  });
+}
+
+el.overlay.addEventListener('keydown', (e) => {
+  if (e.key !== 'Tab' || state.nav.screen === null || state.rebind) return;
+  const items = focusablesIn(SCREENS[state.nav.screen].el);
+  if (!items.length) return;
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const at = items.indexOf(document.activeElement);
+
+  if (e.shiftKey && at <= 0) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (at === -1 || at === items.length - 1)) {
+    e.preventDefault();
+    first.focus();
+  }
+});
+
+// Clicks (or screen-reader moves) outside the dialog bring focus back in.
+// The dev panel is the exception: it is meant to be used while paused.
+document.addEventListener('focusin', (e) => {
+  if (state.nav.screen === null || el.overlay.contains(e.target) || el.devPanel.contains(e.target)) return;
+  const first = focusablesIn(SCREENS[state.nav.screen].el)[0];
+  if (first) first.focus();
+});
+
 /* -----------------------------
    Announcements (screen readers)
 ------------------------------ */
 function announce(text) {
+  if (state.replay.silent) return;
   el.srStatus.textContent = text;
 }
 
 /* -----------------------------
    Game lifecycle
 ------------------------------ */
-function resetRunState() {
-  const d = state.difficulty;
-  const p = state.player;
-
-  d.score = 0;
-  d.lives = 3;
-  d.combo = 0;
-  d.level = 1;
-  d.enemyBaseSpeed = 1.7;
-  d.spawnIntervalMs = 950;
-  d.lastSpawnAt = 0;
-  d.nextLevelAt = 200;
-
-  // player centered
-  p.x = state.bounds.w / 2;
-  p.y = state.bounds.h / 2;
-  p.vx = 0;
-  p.vy = 0;
-  p.dash.ready = true;
-  p.dash.lastDashAt = 0;
-
-  // deactivate enemies
-  state.enemies.forEach(e => {
-    e.active = false;
-    e.x = -999;
-    e.y = -999;
-    e.vx = 0;
-    e.vy = 0;
-    e.el.style.transform = `translate(-999px, -999px)`;
-  });
-
-  placeOrb();
+function resetRunState(seed) {
+  NeonSim.resetGame(state.game, seed);
+  clearInput();
+
+  syncEnemyPool();
+  renderer.clear();
+  hideBoss();
+  clearFx();
+  renderArena(state.game.arena);
+
   renderAll(true);
 }
 
 function startGame() {
-  state.phase = 'play';
+  if (!canMovePhase('play')) return;
+  // Play Again after midnight plays the new day's challenge
+  if (state.daily.active) state.daily.active = NeonSim.dailyChallenge(NeonDaily.dateKey(new Date()));
+  useSelectedSetup(); // before the phase changes: a run in progress keeps its setup
+  beginRunStats(); // 'play' needs a run (see setPhase)
+  setPhase('play');
+  state.dev.tuned = false;
   state.running = true;
   hideOverlay();
-  resetRunState();
+  discardSavedRun();
+  resetRunState(state.daily.active ? state.daily.active.seed : newSeed());
+  beginRecording();
   announce('Game started');
   beep(520, 90, 'sine', 0.06);
-  loop(performance.now());
+  syncMusic();
+  startLoop();
 }
 
 function endGame() {
-  state.phase = 'over';
-  state.running = false;
+  // A replay reaching its final hit must not touch scores or screens.
+  if (state.phase === 'replay' || !setPhase('over')) return;
 
-  // Best score persistence
-  const d = state.difficulty;
-  const wasNewBest = d.score > d.best;
-  if (wasNewBest) {
-    d.best = d.score;
-    localStorage.setItem(STORAGE_KEYS.best, String(d.best));
+  state.running = false;
+  syncMusic();
+  finishRecording();
+  discardSavedRun();
+  finishRunStats();
+
+  // Best score persistence (per curve, so Relaxed runs stay off the Hard board).
+  // Daily runs go to the daily history instead (see "Daily challenge").
+  const d = state.game.difficulty;
+  const key = bestKey(state.game);
+  const daily = recordDailyRun();
+  const wasNewBest = daily ? daily.improved && d.score > 0 : !!key && !state.dev.tuned && d.score > state.best;
+  if (wasNewBest && key) {
+    state.best = d.score;
+    state.bests[key] = d.score;
+    saves.set('bests', state.bests);
   }
 
   el.finalScore.textContent = String(d.score);
   el.newBest.classList.toggle('hidden', !wasNewBest);
+  renderFinalPlayers();
+  renderDailyResult(daily);
+  showLeaderboard(key);
+  el.btnWatchReplay.disabled = !state.replay.last;
+  el.btnDownloadReplay.disabled = !state.replay.last;
 
-  announce(`Game over. Final score ${d.score}`);
+  announce(`Game over. Final score ${d.score}. ${el.finalPlayers.textContent} ${el.dailyResult.textContent}`.replace(/\s+/g, ' ').trim());
   beep(220, 140, 'sawtooth', 0.05);
 
-  showOverlayScreen('over');
+  showScreen('over');
+}
+
+// Two-player result line (empty in solo)
+function renderFinalPlayers() {
+  const game = state.game;
+  const [p1, p2] = game.players;
+  let text = '';
+  if (game.mode === 'coop') text = `P1 scored ${p1.score}, P2 scored ${p2.score}.`;
+  if (game.mode === 'versus') {
+    text = p1.score === p2.score
+      ? `Draw at ${p1.score} each!`
+      : `${p1.score > p2.score ? 'P1' : 'P2'} wins, ${Math.max(p1.score, p2.score)} to ${Math.min(p1.score, p2.score)}!`;
+  }
+  el.finalPlayers.textContent = text;
+  el.finalPlayers.classList.toggle('hidden', !text);
 }
 
 function togglePause() {
+  if (state.phase === 'replay') {
+    setReplayPaused(!state.replay.playback.paused);
+    return;
+  }
   if (state.phase === 'play') {
-    state.phase = 'pause';
     state.running = false;
-    showOverlayScreen('pause');
+    saveRun();
+    saveProgress();
+    showScreen('pause');
+    syncMusic();
     beep(300, 70, 'triangle', 0.04);
     return;
   }
-  if (state.phase === 'pause') {
-    state.phase = 'play';
+  // Only from the Pause screen itself (not Settings on top of it), and only
+  // with a run to go back to
+  if (state.phase === 'pause' && setPhase('play')) {
     state.running = true;
+    discardSavedRun();
     hideOverlay();
     announce('Resumed');
     beep(520, 70, 'triangle', 0.04);
-    loop(performance.now());
+    syncMusic();
+    startLoop();
   }
 }
 
 /* -----------------------------
-   Settings persistence + application
+   Saved run + auto-pause
+   Every pause writes the whole run to storage (sim.js does the
+   serializing), so closing the tab mid-run loses nothing. Losing focus
+   pauses too: otherwise keys "held" when focus left would stay held.
 ------------------------------ */
-function loadPersisted() {
-  // Best score
-  const best = Number(localStorage.getItem(STORAGE_KEYS.best)) || 0;
-  state.difficulty.best = best;
-
-  // Settings
-  const saved = safeJsonParse(localStorage.getItem(STORAGE_KEYS.settings), null);
-  if (saved) {
-    state.settings.sound = !!saved.sound;
-    state.settings.reducedMotion = !!saved.reducedMotion;
-    state.settings.mouseFollow = !!saved.mouseFollow;
-  }
-
-  // Apply to UI + body class
-  el.toggleSound.checked = state.settings.sound;
-  el.toggleReducedMotion.checked = state.settings.reducedMotion;
-  el.toggleMouseFollow.checked = state.settings.mouseFollow;
+function saveRun() {
+  // `daily` is the page's: the sim only knows the seed and modifiers.
+  // Storage full or disabled: pausing still works, just not across reloads.
+  saves.set('savedRun', { ...NeonSim.serializeGame(state.game), daily: state.daily.active });
+}
 
-  document.body.classList.toggle('reduced-motion', state.settings.reducedMotion);
+function discardSavedRun() {
+  saves.remove('savedRun');
+  el.btnResumeRun.classList.add('hidden');
 }
 
-function saveSettings() {
-  localStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(state.settings));
+function renderResumeButton() {
+  const saved = saves.get('savedRun', null);
+  const d = saved && saved.difficulty;
+  el.btnResumeRun.classList.toggle('hidden', !d);
+  if (d) el.btnResumeRun.textContent = `Resume ${saved.daily ? 'daily ' : ''}run (level ${d.level}, score ${d.score})`;
 }
 
-el.toggleSound.addEventListener('change', () => {
-  state.settings.sound = el.toggleSound.checked;
-  saveSettings();
-  announce(state.settings.sound ? 'Sound on' : 'Sound off');
-  beep(620, 50, 'sine', 0.04);
-});
+function resumeSavedRun() {
+  const saved = saves.get('savedRun', null);
+  el.btnResumeRun.classList.add('hidden');
 
-el.toggleReducedMotion.addEventListener('change', () => {
-  state.settings.reducedMotion = el.toggleReducedMotion.checked;
-  document.body.classList.toggle('reduced-motion', state.settings.reducedMotion);
-  saveSettings();
-  announce(state.settings.reducedMotion ? 'Reduced motion on' : 'Reduced motion off');
-});
+  if (!NeonSim.restoreGame(state.game, saved)) {
+    discardSavedRun();
+    announce('The saved run could not be restored');
+    beep(180, 60, 'sine', 0.03);
+    useSelectedSetup();
+    return;
+  }
 
-el.toggleMouseFollow.addEventListener('change', () => {
-  state.settings.mouseFollow = el.toggleMouseFollow.checked;
-  saveSettings();
-  announce(state.settings.mouseFollow ? 'Mouse follow on' : 'Mouse follow off');
-});
+  // A daily run stays one if the date still matches its seed
+  const daily = saved.daily && NeonDaily.parseDateKey(saved.daily.date) && NeonSim.dailyChallenge(saved.daily.date);
+  state.daily.active = daily && daily.seed === saved.seed ? daily : null;
 
-/* -----------------------------
-   Buttons
------------------------------- */
-el.btnStart.addEventListener('click', startGame);
-el.btnHow.addEventListener('click', () => { state.phase = 'how'; showOverlayScreen('how'); });
-el.btnBackFromHow.addEventListener('click', () => { state.phase = 'start'; showOverlayScreen('start'); });
+  // The window may have a different size now
+  updateBounds();
+  NeonSim.keepOrbInBounds(state.game);
+  showBest();
 
-el.btnPause.addEventListener('click', togglePause);
-el.btnResume.addEventListener('click', togglePause);
-el.btnRestart.addEventListener('click', startGame);
+  // A replay needs the run from its first step, so this one has none
+  state.replay.recording = null;
+  state.replay.last = null;
 
-el.btnSettings.addEventListener('click', () => { state.phase = 'settings'; showOverlayScreen('settings'); });
-el.btnBackFromSettings.addEventListener('click', () => { state.phase = 'pause'; showOverlayScreen('pause'); });
+  // Stats continue the counters saved with the run (or start fresh)
+  state.run = state.progress.run || NeonProgress.createRun(state.game.mode);
+  state.progress.run = state.run;
 
-el.btnPlayAgain.addEventListener('click', startGame);
-el.btnOverSettings.addEventListener('click', () => { state.phase = 'settings'; showOverlayScreen('settings'); });
+  clearInput();
+  syncEntityElements();
+  clearFx();
+  renderArena(state.game.arena);
+  renderAll(true);
 
-/* -----------------------------
-   Game update systems
------------------------------- */
-function updatePlayer(dt, now) {
-  const p = state.player;
-  const i = state.input;
+  // Land on Pause so the player can get ready. The snapshot stays saved
+  // until they press Resume (togglePause), like any other pause.
+  showScreen('pause');
+  announce('Run restored. Press Resume when ready.');
+}
 
-  // If mouse follow is on, convert mouse position into “intent”
-  // (still keyboard-playable because toggle is optional)
-  let ax = 0;
-  let ay = 0;
-
-  if (state.settings.mouseFollow && i.hasMouse) {
-    const dx = i.mouseX - p.x;
-    const dy = i.mouseY - p.y;
-
-    // Normalize direction into intent-like acceleration
-    const len = Math.max(0.001, Math.sqrt(dx * dx + dy * dy));
-    ax = (dx / len) * p.speed;
-    ay = (dy / len) * p.speed;
-  } else {
-    // Keyboard intent
-    if (i.left) ax -= p.speed;
-    if (i.right) ax += p.speed;
-    if (i.up) ay -= p.speed;
-    if (i.down) ay += p.speed;
-  }
-
-  // Apply acceleration (scaled by dt so different frame rates behave similarly)
-  const scale = dt / 16.67; // 16.67ms ~ 60fps baseline
-  p.vx += ax * scale;
-  p.vy += ay * scale;
-
-  // Dash: short burst, with cooldown
-  if (i.dash) {
-    i.dash = false; // consume input
-    const canDash = (now - p.dash.lastDashAt) >= p.dash.cooldownMs;
-    if (canDash) {
-      // Dash in current movement direction (or toward mouse if no movement)
-      const dx = p.vx || 0.001;
-      const dy = p.vy || 0.001;
-      const len = Math.max(0.001, Math.sqrt(dx * dx + dy * dy));
-      p.vx = (dx / len) * p.dash.burst;
-      p.vy = (dy / len) * p.dash.burst;
-      p.dash.lastDashAt = now;
-      beep(880, 40, 'square', 0.03);
-      announce('Dash');
-    } else {
-      // Not color-only feedback: audio + announcement
-      beep(180, 30, 'sine', 0.02);
-      announce('Dash recharging');
-    }
-  }
+function autoPause() {
+  clearInput();
+  if (state.phase === 'play') togglePause();
+  if (state.phase === 'replay' && !state.replay.playback.paused) setReplayPaused(true);
+}
 
-  // Apply friction (damping)
-  p.vx *= p.friction;
-  p.vy *= p.friction;
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) autoPause();
+});
+window.addEventListener('blur', autoPause);
 
-  // Clamp speed so it stays fair
-  p.vx = clamp(p.vx, -p.maxSpeed, p.maxSpeed);
-  p.vy = clamp(p.vy, -p.maxSpeed, p.maxSpeed);
+/* -----------------------------
+   Stats + achievements
+   progress.js does the counting and the achievement tests; this section
+   feeds it the simulation's events, stores the result and shows unlocks.
+   Replays never count (they re-run events that were already counted).
+------------------------------ */
+const TOAST_MS = 2600;
+const toastQueue = [];
+let toastTimer = 0;
 
-  // Move position
-  p.x += p.vx * scale;
-  p.y += p.vy * scale;
+// Storage full or disabled: stats still work for this session
+function saveProgress() {
+  saves.set('progress', state.progress);
+}
 
-  // Boundary clamp so player stays inside playfield
-  const margin = 2;
-  p.x = clamp(p.x, margin, state.bounds.w - p.size - margin);
-  p.y = clamp(p.y, margin, state.bounds.h - p.size - margin);
+function beginRunStats() {
+  state.run = NeonProgress.createRun(state.game.mode);
+  state.progress.run = state.run; // saved with the paused run, see resumeSavedRun
 }
 
-function updateEnemies(dt) {
-  const scale = dt / 16.67;
-  const { w, h } = state.bounds;
+function trackEvent(e) {
+  if (!state.run || state.phase === 'replay') return;
+  NeonProgress.recordEvent(state.progress, state.run, e);
+  checkAchievements();
+}
 
-  for (const e of state.enemies) {
-    if (!e.active) continue;
+// Time goals: called every frame, tests once per simulated second
+function trackRunTime() {
+  const run = state.run;
+  if (!run) return;
+  const now = state.game.time.now;
+  const newSecond = Math.floor(now / 1000) !== Math.floor(run.timeMs / 1000);
+  run.timeMs = now;
+  if (newSecond) checkAchievements();
+}
 
-    e.x += e.vx * scale;
-    e.y += e.vy * scale;
+function finishRunStats() {
+  if (!state.run) return;
+  state.run.timeMs = state.game.time.now;
+  NeonProgress.finishRun(state.progress, state.run);
+  state.run = null;
+  checkAchievements();
+  saveProgress();
+}
+
+function checkAchievements() {
+  const fresh = NeonProgress.checkAchievements(state.progress, state.run, new Date().toISOString());
+  if (!fresh.length) return;
+  saveProgress();
+  toastQueue.push(...fresh);
+  if (!toastTimer) showNextToast();
+}
+
+// One toast at a time; each one is also announced (the toast itself is
+// aria-hidden so screen readers don't hear it twice).
+function showNextToast() {
+  const a = toastQueue.shift();
+  if (!a) {
+    el.toast.classList.add('hidden');
+    toastTimer = 0;
+    return;
+  }
+  el.toast.textContent = `🏆 Achievement unlocked: ${a.name}`;
+  el.toast.classList.remove('hidden');
+  announce(`Achievement unlocked: ${a.name}. ${a.description}`);
+  beep(880, 80, 'triangle', 0.05);
+  beep(1320, 140, 'triangle', 0.04);
+  toastTimer = setTimeout(showNextToast, TOAST_MS);
+}
+
+function formatDuration(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+const STAT_LABELS = [
+  ['runs', 'Runs finished'],
+  ['orbs', 'Orbs collected'],
+  ['dashes', 'Dashes used'],
+  ['nearMisses', 'Near misses'],
+  ['longestCombo', 'Longest combo'],
+  ['highestLevel', 'Highest level'],
+  ['timeSurvivedMs', 'Time survived'],
+  ['longestRunMs', 'Longest run'],
+  ['bossesDefeated', 'Bosses defeated'],
+  ['powerups', 'Power-ups collected'],
+];
+
+function renderAchievements() {
+  const { stats, unlocked } = state.progress;
+  const all = NeonProgress.ACHIEVEMENTS;
+  const count = all.filter(a => unlocked[a.id]).length;
+  el.achievementsSummary.textContent = `${count} of ${all.length} unlocked`;
+
+  // Unlocked/locked is said in words, not only shown with color
+  el.achievementsList.textContent = '';
+  for (const a of all) {
+    const li = document.createElement('li');
+    li.className = unlocked[a.id] ? 'unlocked' : 'locked';
+    const name = document.createElement('strong');
+    name.textContent = a.name;
+    const status = document.createElement('span');
+    status.className = 'achievement-state';
+    status.textContent = unlocked[a.id] ? `Unlocked ${unlocked[a.id].slice(0, 10)}` : 'Locked';
+    li.append(name, ` — ${a.description} `, status);
+    el.achievementsList.appendChild(li);
+  }
+
+  el.statsList.textContent = '';
+  for (const [key, label] of STAT_LABELS) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = key.endsWith('Ms') ? formatDuration(stats[key]) : String(stats[key]);
+    el.statsList.append(dt, dd);
+  }
+}
+
+el.btnAchievements.addEventListener('click', () => openScreen('achievements'));
+el.btnOverAchievements.addEventListener('click', () => openScreen('achievements'));
+el.btnBackFromAchievements.addEventListener('click', goBack);
+
+/* -----------------------------
+   Daily challenge
+   - NeonSim.dailyChallenge(date) is the run: seed + modifiers, so every
+     player on the same date dodges the same hazards
+   - NeonDaily keeps this player's results by date (best, attempts),
+     separate from the normal best scores, plus streaks and a calendar
+   - state.daily.active marks runs as daily ones until the Start screen
+     shows again (Play Again keeps playing the challenge)
+------------------------------ */
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function todayKey() {
+  return NeonDaily.dateKey(new Date());
+}
+
+function modifierLabels(ids) {
+  return ids.map(id => NeonSim.MODIFIERS[id].label);
+}
+
+// Storage full or disabled: the result still shows on Game Over
+function saveDailyHistory() {
+  saves.set('daily', state.daily.history);
+}
+
+function leaveDaily() {
+  if (!state.daily.active) return;
+  state.daily.active = null;
+  useSelectedSetup();
+}
+
+function startDaily() {
+  state.daily.active = NeonSim.dailyChallenge(todayKey());
+  startGame();
+  if (state.phase !== 'play') {
+    state.daily.active = null;
+    return;
+  }
+  announce(`Daily challenge started: ${modifierLabels(state.daily.active.modifiers).join(', ')}`);
+}
+
+// Called from endGame. Tuned runs (dev panel) don't count, like best scores.
+function recordDailyRun() {
+  const challenge = state.daily.active;
+  if (!challenge || state.dev.tuned) return null;
+  const d = state.game.difficulty;
+  const outcome = NeonDaily.recordResult(
+    state.daily.history,
+    challenge,
+    { score: d.score, level: d.level, timeMs: state.game.time.now },
+    new Date().toISOString(),
+  );
+  saveDailyHistory();
+  state.best = outcome.entry.best;
+  return { ...outcome, streak: NeonDaily.streaks(state.daily.history, todayKey()).current };
+}
+
+function renderDailyResult(daily) {
+  const challenge = state.daily.active;
+  el.dailyResult.classList.toggle('hidden', !challenge);
+  if (!challenge) return;
+  if (!daily) {
+    el.dailyResult.textContent = 'Tuned runs do not count for the daily challenge.';
+    return;
+  }
+  const { entry, streak } = daily;
+  const runs = entry.attempts === 1 ? '1 run' : `${entry.attempts} runs`;
+  el.dailyResult.textContent = `Daily ${challenge.date}: best ${entry.best} (${runs}). Streak: ${streak} ${streak === 1 ? 'day' : 'days'}.`;
+}
+
+function enterDailyScreen() {
+  const now = new Date();
+  state.daily.view = { year: now.getFullYear(), month: now.getMonth() };
+  renderDaily();
+}
+
+function renderDaily() {
+  const today = todayKey();
+  const challenge = NeonSim.dailyChallenge(today);
+  el.dailyDate.textContent = NeonDaily.parseDateKey(today)
+    .toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+  el.dailyModifiers.textContent = '';
+  for (const id of challenge.modifiers) {
+    const li = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = `${NeonSim.MODIFIERS[id].label}:`;
+    li.append(name, ` ${NeonSim.MODIFIERS[id].description}`);
+    el.dailyModifiers.appendChild(li);
+  }
+
+  const result = state.daily.history.results[today];
+  el.dailyToday.textContent = result
+    ? `Your best today: ${result.best} (level ${result.level}, ${formatDuration(result.timeMs)}, ${result.attempts === 1 ? '1 run' : `${result.attempts} runs`}).`
+    : 'Not played yet today.';
+  el.btnDailyCopy.disabled = !result;
+
+  const { current, longest } = NeonDaily.streaks(state.daily.history, today);
+  el.dailyStreak.textContent = `Streak: ${current} ${current === 1 ? 'day' : 'days'} · Longest: ${longest}`;
+
+  renderDailyCalendar(today);
+}
+
+function renderDailyCalendar(today = todayKey()) {
+  const { year, month } = state.daily.view;
+  el.dailyMonth.textContent = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  // No future months: there is nothing to see there yet
+  const now = NeonDaily.parseDateKey(today);
+  el.btnDailyNext.disabled = year > now.getFullYear() || (year === now.getFullYear() && month >= now.getMonth());
+
+  const table = el.dailyCalendar;
+  table.textContent = '';
+  const head = table.createTHead().insertRow();
+  for (const name of WEEKDAYS) {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = name;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const week of NeonDaily.monthGrid(state.daily.history, year, month)) {
+    const row = body.insertRow();
+    for (const day of week) {
+      const td = row.insertCell();
+      td.classList.toggle('out', !day.inMonth);
+      td.classList.toggle('played', !!day.result);
+      td.classList.toggle('today', day.key === today);
+      td.textContent = String(day.day);
+      if (day.result) {
+        const score = document.createElement('span');
+        score.className = 'score';
+        score.textContent = String(day.result.best);
+        td.appendChild(score);
+      }
+      // Said in words too: color alone doesn't say "played"
+      td.setAttribute('aria-label', `${day.key}: ${day.result ? `best ${day.result.best}` : 'not played'}`);
+    }
+  }
+}
+
+function moveDailyMonth(delta) {
+  const view = state.daily.view;
+  const date = new Date(view.year, view.month + delta, 1);
+  state.daily.view = { year: date.getFullYear(), month: date.getMonth() };
+  renderDailyCalendar();
+  announce(el.dailyMonth.textContent);
+}
+
+// Plain text a class can paste into a chat to compare the same challenge
+async function copyDailyResult() {
+  const today = todayKey();
+  const result = state.daily.history.results[today];
+  if (!result) return;
+  const labels = modifierLabels(NeonSim.dailyChallenge(today).modifiers).join(', ');
+  const text = `Neon Drift daily ${today} (${labels}): ${result.best}`;
+  try {
+    await navigator.clipboard.writeText(text);
+    announce('Result copied');
+  } catch {
+    announce(text);
+  }
+}
+
+el.btnDaily.addEventListener('click', () => openScreen('daily'));
+el.btnDailyPlay.addEventListener('click', startDaily);
+el.btnDailyCopy.addEventListener('click', copyDailyResult);
+el.btnDailyPrev.addEventListener('click', () => moveDailyMonth(-1));
+el.btnDailyNext.addEventListener('click', () => moveDailyMonth(1));
+el.btnBackFromDaily.addEventListener('click', goBack);
+
+/* -----------------------------
+   Leaderboard (Game Over)
+   A top 10 for each board the best scores use (difficulty, co-op, level)
+   plus one per daily challenge date. Kept in this browser, shared by
+   every player profile on it, unless Settings names a shared server
+   (shared/leaderboard-server.js). It's all async: a slow server only
+   delays the list, never the Game Over screen.
+------------------------------ */
+const LEADERBOARD_GAME = 'neon-drift';
+
+function leaderboardAdapter() {
+  return state.settings.leaderboardUrl
+    ? Leaderboard.httpAdapter({ baseUrl: state.settings.leaderboardUrl })
+    : Leaderboard.localAdapter({ store: gameStore });
+}
+
+// Board for the run that just ended, or null (versus, test plays, tuned runs).
+function leaderboardMode(key) {
+  if (state.dev.tuned) return null;
+  if (state.daily.active) return `daily-${state.daily.active.date}`;
+  return key ? Leaderboard.slug(key) : null;
+}
+
+function renderLeaderboard(top) {
+  LeaderboardView.render(el.leaderboardList, top, {
+    highlightId: state.leaderboard.entryId,
+    describe: e => [Number.isFinite(e.meta.level) ? `level ${e.meta.level}` : '', Number.isFinite(e.meta.timeMs) ? formatDuration(e.meta.timeMs) : '']
+      .filter(Boolean).join(', '),
+    empty: 'No scores yet: be the first.',
+  });
+}
+
+function showLeaderboard(key) {
+  const lb = state.leaderboard;
+  const request = ++lb.request;
+  const mode = leaderboardMode(key);
+  lb.board = null;
+  lb.run = null;
+  lb.entryId = null;
+  el.leaderboard.classList.toggle('hidden', !mode);
+  el.leaderboardForm.classList.add('hidden');
+  el.leaderboardList.replaceChildren();
+  if (!mode) return;
+
+  const d = state.game.difficulty;
+  lb.run = { score: d.score, meta: { level: d.level, timeMs: Math.round(state.game.time.now) } };
+  el.leaderboardStatus.textContent = 'Loading…';
+  try {
+    lb.board = Leaderboard.createBoard({ game: LEADERBOARD_GAME, mode, adapter: leaderboardAdapter() });
+  } catch (err) {
+    el.leaderboardStatus.textContent = `Leaderboard unavailable: ${err.message}`;
+    return;
+  }
+
+  lb.board.top()
+    .then((top) => {
+      if (request !== lb.request) return;
+      renderLeaderboard(top);
+      const qualifies = Leaderboard.qualifies(top, lb.run.score, lb.board.limit);
+      el.leaderboardForm.classList.toggle('hidden', !qualifies);
+      el.leaderboardName.value = state.settings.playerName || gameStore.activeProfile().name;
+      el.leaderboardStatus.textContent = qualifies
+        ? `${lb.run.score} makes the top ${lb.board.limit}: add your name.`
+        : `Top ${lb.board.limit}${state.settings.leaderboardUrl ? ' (shared)' : ''}`;
+    })
+    .catch((err) => {
+      if (request === lb.request) el.leaderboardStatus.textContent = `Leaderboard unavailable: ${err.message}`;
+    });
+}
+
+async function saveLeaderboardEntry() {
+  const lb = state.leaderboard;
+  const name = el.leaderboardName.value.trim();
+  if (!lb.board || !lb.run || !name) return;
+
+  const request = lb.request;
+  el.btnLeaderboardSave.disabled = true;
+  try {
+    const { entry, kept, rank, top } = await lb.board.submit({ name, ...lb.run });
+    if (request !== lb.request) return;
+    lb.run = null;
+    lb.entryId = entry.id;
+    state.settings.playerName = entry.name;
+    saveSettings();
+
+    el.leaderboardForm.classList.add('hidden');
+    el.btnPlayAgain.focus(); // the form (and the focused button) just went away
+    const tied = top.some(e => e.id !== entry.id && e.score === entry.score);
+    el.leaderboardStatus.textContent = kept
+      ? `${entry.name} is #${rank}${tied ? ' (tied)' : ''}!`
+      : `${entry.name} didn’t make the board this time.`;
+    renderLeaderboard(top);
+    beep(880, 90, 'triangle', 0.05);
+  } catch (err) {
+    if (request === lb.request) el.leaderboardStatus.textContent = `Not added: ${err.message}`;
+  } finally {
+    el.btnLeaderboardSave.disabled = false;
+  }
+}
+
+el.leaderboardForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveLeaderboardEntry();
+});
+
+el.inputLeaderboardUrl.addEventListener('change', () => {
+  const url = el.inputLeaderboardUrl.value.trim();
+  try {
+    if (url) Leaderboard.httpAdapter({ baseUrl: url }); // only to check the address
+  } catch (err) {
+    el.inputLeaderboardUrl.value = state.settings.leaderboardUrl;
+    announce(err.message);
+    return;
+  }
+  state.settings.leaderboardUrl = url;
+  saveSettings();
+  announce(url ? `Leaderboard: shared server at ${url}` : 'Leaderboard: this browser');
+});
+
+/* -----------------------------
+   Settings persistence + application
+------------------------------ */
+function loadPersisted() {
+  // One read: every record of the active profile (migrated if it was old)
+  const data = saves.load();
+  if (saves.recovered) announce('Saved data could not be read, so it was reset');
+
+  // Best scores per curve
+  const bests = data.bests;
+  state.bests = bests && typeof bests === 'object' ? bests : {};
+
+  // Teacher curve (validated again: storage may be stale or edited)
+  const savedCurve = data.customCurve;
+  if (savedCurve) {
+    try {
+      state.customCurve = NeonSim.normalizeCurve(savedCurve);
+    } catch {
+      state.customCurve = null;
+    }
+  }
+
+  // Saved levels (each validated again; a bad one is dropped, not fatal)
+  const levels = data.levels;
+  state.levels = {};
+  for (const name of Object.keys(levels && typeof levels === 'object' ? levels : {})) {
+    try {
+      state.levels[name] = NeonSim.normalizeLevel(levels[name]);
+    } catch {
+      // skip it
+    }
+  }
+
+  // Daily challenge history (loadHistory drops entries that don't make sense)
+  state.daily.history = NeonDaily.loadHistory(data.daily || null);
+
+  // Lifetime stats + achievements (loadProgress repairs or resets bad data)
+  state.progress = NeonProgress.loadProgress(data.progress || null);
+
+  // Settings
+  const saved = data.settings;
+  if (saved && typeof saved === 'object') {
+    state.settings.sound = !!saved.sound;
+    state.settings.reducedMotion = !!saved.reducedMotion;
+    state.settings.mouseFollow = !!saved.mouseFollow;
+    state.settings.showStats = !!saved.showStats;
+    if (typeof saved.devPanel === 'boolean') state.settings.devPanel = saved.devPanel;
+    state.settings.hitboxes = !!saved.hitboxes;
+    if (Number.isFinite(saved.padDeadzone)) state.settings.padDeadzone = clamp(saved.padDeadzone, 0.05, 0.5);
+    if (['auto', 'on', 'off'].includes(saved.touchControls)) state.settings.touchControls = saved.touchControls;
+    if (Object.keys(RENDERERS).includes(saved.renderer)) state.settings.renderer = saved.renderer;
+    if (NeonSim.PRESETS[saved.preset] || (saved.preset === 'custom' && state.customCurve)) {
+      state.settings.preset = saved.preset;
+    }
+    if (NeonSim.MODES.includes(saved.mode)) state.settings.mode = saved.mode;
+    if (typeof saved.level === 'string') state.settings.level = saved.level;
+    if (typeof saved.leaderboardUrl === 'string') state.settings.leaderboardUrl = saved.leaderboardUrl;
+    if (typeof saved.playerName === 'string') state.settings.playerName = saved.playerName.slice(0, 24);
+    NeonAudio.BUSES.forEach((bus) => {
+      const v = saved.volumes && saved.volumes[bus];
+      if (Number.isFinite(v)) state.settings.volumes[bus] = clamp(v, 0, 1);
+    });
+  }
+  state.settings.bindings = sanitizeBindings(saved && saved.bindings);
+
+  // Apply to UI + body class
+  el.toggleSound.checked = state.settings.sound;
+  renderVolumes();
+  el.toggleReducedMotion.checked = state.settings.reducedMotion;
+  el.toggleMouseFollow.checked = state.settings.mouseFollow;
+  el.toggleShowStats.checked = state.settings.showStats;
+  el.rangeDeadzone.value = String(state.settings.padDeadzone);
+  el.selectTouchControls.value = state.settings.touchControls;
+  el.inputLeaderboardUrl.value = state.settings.leaderboardUrl;
+  applyRenderer();
+
+  fillPresetSelects();
+  el.selectMode.value = state.settings.mode;
+  fillLevelSelect();
+  useSelectedSetup();
+  applyShowStats();
+  el.toggleHitboxes.checked = state.settings.hitboxes;
+  applyDevPanel();
+  applyTouchControls();
+  renderBindings();
+  document.body.classList.toggle('reduced-motion', state.settings.reducedMotion);
+  syncSimSettings();
+}
+
+function saveSettings() {
+  saves.set('settings', state.settings);
+}
+
+// Copy the settings that change physics into the simulation.
+function syncSimSettings() {
+  state.game.settings.mouseFollow = state.settings.mouseFollow;
+  state.game.settings.reducedMotion = state.settings.reducedMotion;
+}
+
+el.toggleSound.addEventListener('change', () => {
+  state.settings.sound = el.toggleSound.checked;
+  saveSettings();
+  announce(state.settings.sound ? 'Sound on' : 'Sound off');
+  beep(620, 50, 'sine', 0.04);
+});
+
+// Volume sliders: one per mixer bus. The audio graph may not exist yet
+// (no gesture so far); ensureAudio() reads the saved volumes when it does.
+function renderVolumes() {
+  NeonAudio.BUSES.forEach((bus) => {
+    el.volumeRanges[bus].value = String(state.settings.volumes[bus]);
+    el.volumeValues[bus].textContent = `${Math.round(state.settings.volumes[bus] * 100)}%`;
+  });
+}
+
+NeonAudio.BUSES.forEach((bus) => {
+  const range = el.volumeRanges[bus];
+  range.addEventListener('input', () => {
+    state.settings.volumes[bus] = Number(range.value);
+    el.volumeValues[bus].textContent = `${Math.round(state.settings.volumes[bus] * 100)}%`;
+    if (audio.mixer) NeonAudio.setVolume(audio.mixer, bus, state.settings.volumes[bus]);
+  });
+  range.addEventListener('change', () => {
+    saveSettings();
+    // A short preview at the new level (music has no preview: it plays in-run)
+    if (bus !== 'music') beep(620, 50, 'sine', 0.04);
+  });
+});
+
+el.toggleReducedMotion.addEventListener('change', () => {
+  state.settings.reducedMotion = el.toggleReducedMotion.checked;
+  document.body.classList.toggle('reduced-motion', state.settings.reducedMotion);
+  syncSimSettings();
+  clearFx(); // effects in flight were started with the other variant
+  saveSettings();
+  announce(state.settings.reducedMotion ? 'Reduced motion on' : 'Reduced motion off');
+});
+
+el.toggleMouseFollow.addEventListener('change', () => {
+  state.settings.mouseFollow = el.toggleMouseFollow.checked;
+  syncSimSettings();
+  saveSettings();
+  announce(state.settings.mouseFollow ? 'Mouse follow on' : 'Mouse follow off');
+});
+
+el.toggleShowStats.addEventListener('change', () => {
+  state.settings.showStats = el.toggleShowStats.checked;
+  applyShowStats();
+  saveSettings();
+  announce(state.settings.showStats ? 'Performance stats shown' : 'Performance stats hidden');
+});
+
+/* -----------------------------
+   Difficulty presets
+   The curves themselves are data in sim.js (NeonSim.PRESETS); the page
+   only picks one. The choice is stored with the run (game.curve), so
+   best scores and replays always know which curve they belong to.
+------------------------------ */
+function selectedCurve() {
+  if (state.settings.preset === 'custom' && state.customCurve) return state.customCurve;
+  return NeonSim.PRESETS[state.settings.preset] || NeonSim.PRESETS[NeonSim.DEFAULT_PRESET];
+}
+
+// Hand the selected curve + player mode to the simulation (used from its
+// next reset) and show their best. A run in progress keeps its own setup.
+function useSelectedSetup() {
+  if (state.phase === 'play' || state.phase === 'pause') return;
+  // The daily challenge is the same setup for everyone, whatever is picked
+  const daily = state.daily.active;
+  NeonSim.setCurve(state.game, daily ? NeonSim.PRESETS[daily.preset] : selectedCurve());
+  NeonSim.setMode(state.game, daily ? 'solo' : state.settings.mode);
+  NeonSim.setLevel(state.game, daily ? null : selectedLevel());
+  NeonSim.setModifiers(state.game, daily ? daily.modifiers : []);
+  showBest();
+}
+
+// Best scores are per curve (and level); co-op has its own board and versus
+// has none (two players' scores don't compare with one player's). Neither
+// do play-tests: the level may still change.
+function bestKey(game) {
+  if (game.mode === 'versus' || state.editor.testing || state.daily.active) return null;
+  const key = game.mode === 'coop' ? `${game.curve.id}:coop` : game.curve.id;
+  return game.level ? `${key}@${game.level.name}` : key;
+}
+
+function showBest() {
+  const game = state.game;
+  const daily = state.daily.active;
+  if (daily) {
+    const result = state.daily.history.results[daily.date];
+    state.best = result ? result.best : 0;
+    el.bestLabel.textContent = `Daily best (${daily.date})`;
+    renderAll(true);
+    return;
+  }
+
+  const key = bestKey(game);
+  state.best = key ? state.bests[key] || 0 : 0;
+  el.bestLabel.textContent = key
+    ? `Best (${game.curve.name}${game.mode === 'coop' ? ', co-op' : ''}${game.level ? `, ${game.level.name}` : ''})`
+    : `Best (not kept in ${state.editor.testing ? 'play-tests' : 'versus'})`;
+  renderAll(true);
+}
+
+function fillPresetSelects() {
+  for (const select of [el.selectPreset, el.selectPresetStart]) {
+    select.textContent = '';
+    for (const preset of Object.values(NeonSim.PRESETS)) {
+      select.append(new Option(preset.name, preset.id));
+    }
+    if (state.customCurve) select.append(new Option(`Custom: ${state.customCurve.name}`, 'custom'));
+    select.value = state.settings.preset;
+  }
+}
+
+function choosePreset(id) {
+  state.settings.preset = id;
+  el.selectPreset.value = id;
+  el.selectPresetStart.value = id;
+  saveSettings();
+  useSelectedSetup();
+
+  const inRun = state.phase === 'play' || state.phase === 'pause';
+  announce(`Difficulty ${selectedCurve().name}${inRun ? ', from the next run' : ''}`);
+}
+
+function chooseMode(mode) {
+  state.settings.mode = NeonSim.MODES.includes(mode) ? mode : 'solo';
+  el.selectMode.value = state.settings.mode;
+  saveSettings();
+  useSelectedSetup();
+  announce(el.selectMode.selectedOptions[0].textContent);
+}
+
+el.selectMode.addEventListener('change', () => chooseMode(el.selectMode.value));
+el.selectPreset.addEventListener('change', () => choosePreset(el.selectPreset.value));
+el.selectPresetStart.addEventListener('change', () => choosePreset(el.selectPresetStart.value));
+
+el.btnLoadCurve.addEventListener('click', () => el.curveFile.click());
+el.curveFile.addEventListener('change', async () => {
+  const file = el.curveFile.files[0];
+  el.curveFile.value = ''; // allow loading the same file twice
+  if (!file) return;
+
+  const raw = safeJsonParse(await file.text(), null);
+  let curve;
+  try {
+    curve = NeonSim.normalizeCurve(raw);
+  } catch (err) {
+    announce(`Curve not loaded: ${err.message}`);
+    beep(180, 60, 'sine', 0.03);
+    return;
+  }
+
+  // Own namespace for best scores, so a file can't claim "normal"
+  if (!curve.id.startsWith('custom-')) curve.id = `custom-${curve.id}`;
+  state.customCurve = curve;
+  saves.set('customCurve', curve);
+  fillPresetSelects();
+  choosePreset('custom');
+});
+
+/* -----------------------------
+   Controls screen (rebinding)
+   Each action has: key, alt key, gamepad button.
+   Choosing a slot "listens" for the next key or button press.
+------------------------------ */
+function buildBindingsTable() {
+  el.bindingsBody.innerHTML = '';
+  for (const action of ACTIONS) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.textContent = ACTION_LABELS[action];
+    row.appendChild(name);
+
+    for (const slot of [0, 1, 'button']) {
+      const cell = document.createElement('td');
+      if (slot === 'button' && P2_ACTIONS.includes(action)) {
+        cell.textContent = 'Pad 2';
+        cell.title = 'A second gamepad uses the same buttons as P1';
+        row.appendChild(cell);
+        continue;
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-ghost bind-btn';
+      btn.dataset.action = action;
+      btn.dataset.slot = String(slot);
+      btn.addEventListener('click', () => startRebind(action, slot, btn));
+      cell.appendChild(btn);
+      row.appendChild(cell);
+    }
+    el.bindingsBody.appendChild(row);
+  }
+}
+
+function slotLabel(slot) {
+  return slot === 'button' ? 'gamepad button' : slot === 0 ? 'key' : 'alternate key';
+}
+
+function renderBindings() {
+  const b = state.settings.bindings;
+  el.bindingsBody.querySelectorAll('.bind-btn').forEach(btn => {
+    const action = btn.dataset.action;
+    const slot = btn.dataset.slot === 'button' ? 'button' : Number(btn.dataset.slot);
+    const text = slot === 'button' ? buttonLabel(b[action].button) : keyLabel(b[action].keys[slot]);
+    btn.textContent = text;
+    btn.setAttribute('aria-label', `${ACTION_LABELS[action]} ${slotLabel(slot)}: ${text}. Activate to change.`);
+    btn.classList.remove('listening');
+  });
+
+  // Keep on-screen hints in sync with the pause binding
+  const pauseKey = b.pause.keys.find(k => k !== null) || null;
+  el.btnPause.textContent = pauseKey ? `Pause (${keyLabel(pauseKey)})` : 'Pause';
+  el.btnPause.setAttribute('aria-keyshortcuts', pauseKey ? keyLabel(pauseKey) : '');
+  el.pauseKeyHint.textContent = pauseKey ? keyLabel(pauseKey) : buttonLabel(b.pause.button);
+}
+
+function renderPadStatus() {
+  const gp = firstGamepad();
+  el.padStatus.textContent = gp
+    ? `Gamepad: ${gp.id}`
+    : 'No gamepad detected. Connect one and press any button.';
+}
+
+function startRebind(action, slot, btn) {
+  cancelRebind();
+  state.rebind = { action, slot, btn };
+  btn.classList.add('listening');
+  btn.textContent = slot === 'button' ? 'Press a pad button…' : 'Press a key…';
+  announce(`Press a new ${slotLabel(slot)} for ${ACTION_LABELS[action]}. Escape cancels, Delete clears.`);
+}
+
+function cancelRebind() {
+  if (!state.rebind) return;
+  const { btn } = state.rebind;
+  state.rebind = null;
+  renderBindings();
+  btn.focus();
+}
+
+function captureRebindKey(e, k) {
+  e.preventDefault();
+  const { slot } = state.rebind;
+
+  if (k === 'escape') {
+    cancelRebind();
+    announce('Rebinding cancelled');
+    return;
+  }
+  if (k === 'delete' || k === 'backspace') {
+    finishRebind(null);
+    return;
+  }
+  if (slot === 'button') return; // waiting for a gamepad button, not a key
+  if (RESERVED_KEYS.includes(k)) {
+    announce(`${keyLabel(k)} is reserved for menus`);
+    return;
+  }
+  finishRebind(k);
+}
+
+// Assign the captured key/button. Anything else using it is unbound,
+// so one input never triggers two actions.
+function finishRebind(value) {
+  const { action, slot } = state.rebind;
+  const b = state.settings.bindings;
+  let moved = '';
+
+  if (value !== null) {
+    for (const other of ACTIONS) {
+      if (slot === 'button' && b[other].button === value && other !== action) {
+        b[other].button = null;
+        moved = other;
+      }
+      if (slot !== 'button') {
+        b[other].keys = b[other].keys.map((k, i) => {
+          if (k !== value || (other === action && i === slot)) return k;
+          moved = other;
+          return null;
+        });
+      }
+    }
+  }
+
+  if (slot === 'button') b[action].button = value;
+  else b[action].keys[slot] = value;
+
+  const label = slot === 'button' ? buttonLabel(value) : keyLabel(value);
+  cancelRebind();
+  saveSettings();
+  announce(
+    value === null ? `${ACTION_LABELS[action]} ${slotLabel(slot)} cleared` :
+    `${ACTION_LABELS[action]} set to ${label}` + (moved ? `, removed from ${ACTION_LABELS[moved]}` : '')
+  );
+}
+
+el.rangeDeadzone.addEventListener('input', () => {
+  state.settings.padDeadzone = Number(el.rangeDeadzone.value);
+  el.deadzoneValue.textContent = `${Math.round(state.settings.padDeadzone * 100)}%`;
+});
+el.rangeDeadzone.addEventListener('change', saveSettings);
+
+el.btnResetControls.addEventListener('click', () => {
+  cancelRebind();
+  state.settings.bindings = cloneBindings(DEFAULT_BINDINGS);
+  saveSettings();
+  renderBindings();
+  announce('Controls reset to defaults');
+});
+
+/* -----------------------------
+   Buttons
+------------------------------ */
+el.btnStart.addEventListener('click', startGame);
+el.btnResumeRun.addEventListener('click', resumeSavedRun);
+el.btnHow.addEventListener('click', () => openScreen('how'));
+el.btnBackFromHow.addEventListener('click', goBack);
+
+el.btnPause.addEventListener('click', togglePause);
+el.btnResume.addEventListener('click', togglePause);
+el.btnRestart.addEventListener('click', startGame);
+
+// Back returns to whichever screen opened Settings (Pause or Game over)
+el.btnSettings.addEventListener('click', () => openScreen('settings'));
+el.btnBackFromSettings.addEventListener('click', goBack);
+
+el.btnPlayAgain.addEventListener('click', startGame);
+el.btnOverSettings.addEventListener('click', () => openScreen('settings'));
+
+el.btnControls.addEventListener('click', () => openScreen('controls'));
+el.btnBackFromControls.addEventListener('click', goBack);
+
+// Pickups show a glyph as well as a color (not color-only feedback).
+const POWERUP_GLYPHS = {
+  shield: 'S',
+  slow: '◷',
+  magnet: 'M',
+  multiplier: '×2',
+  life: '+1',
+};
+
+/* -----------------------------
+   Simulation events -> feedback
+   The simulation never beeps or announces; the page subscribes instead.
+   Feedback stays "not color-only": every event has sound + announcement.
+------------------------------ */
+function bindSimEvents(game) {
+  const E = NeonSim.EVENTS;
+
+  // "P2: " in two-player modes, nothing in solo (messages stay as they were)
+  const who = (e) => (game.mode === 'solo' ? '' : `P${e.player + 1}: `);
+
+  // Sounds with an x are panned to where they happened on screen, so a
+  // spawn on the far left is heard on the left.
+  NeonSim.on(game, E.ENEMY_SPAWNED, (e) => {
+    setEnemyClass(e.index, e.enemyType);
+    spawnTelegraph(e.x, e.y);
+    beep(240, 30, 'sine', 0.015, e.x);
+  });
+
+  NeonSim.on(game, E.ENEMY_SPLIT, (e) => {
+    beep(300, 50, 'square', 0.03, e.x);
+    announce('Splitter broke apart');
+  });
+
+  // Boss: every phase is announced, so the fight is readable without visuals
+  NeonSim.on(game, E.BOSS_SPAWNED, (e) => {
+    showBoss(e.hp, e.maxHp);
+    beep(110, 260, 'sawtooth', 0.05);
+    announce('Boss incoming! Dash into it to deal damage.');
+  });
+
+  NeonSim.on(game, E.BOSS_TELEGRAPH, (e) => {
+    el.boss.classList.add('telegraph');
+    if (e.attack === 'charge') {
+      // Aim line from the boss to where it will charge
+      const b = game.boss;
+      const x1 = e.x + b.size / 2;
+      const y1 = e.y + b.size / 2;
+      const dx = e.targetX + b.size / 2 - x1;
+      const dy = e.targetY + b.size / 2 - y1;
+      el.bossAim.style.width = `${Math.hypot(dx, dy)}px`;
+      el.bossAim.style.transform = `translate(${x1}px, ${y1}px) rotate(${Math.atan2(dy, dx)}rad)`;
+      el.bossAim.classList.add('show');
+    }
+    beep(e.attack === 'burst' ? 500 : 240, 180, 'square', 0.03, e.x);
+    announce(e.attack === 'burst' ? 'Boss charging a burst' : 'Boss about to charge');
+  });
+
+  NeonSim.on(game, E.BOSS_ATTACK, (e) => {
+    el.boss.classList.remove('telegraph');
+    el.bossAim.classList.remove('show');
+    beep(150, 140, 'sawtooth', 0.05, e.x);
+  });
+
+  NeonSim.on(game, E.BOSS_DAMAGED, (e) => {
+    renderBossHud(e.hp, e.maxHp);
+    el.boss.classList.add('hurt');
+    setTimeout(() => el.boss.classList.remove('hurt'), 200);
+    beep(980, 70, 'square', 0.05);
+    if (e.hp > 0) announce(`${who(e)}Boss hit! ${e.hp} of ${e.maxHp} left`);
+  });
+
+  NeonSim.on(game, E.BOSS_DEFEATED, (e) => {
+    hideBoss();
+    beep(660, 120, 'triangle', 0.06);
+    beep(990, 200, 'triangle', 0.05);
+    announce(`${who(e)}Boss defeated! +${e.bonus} points`);
+  });
+
+  NeonSim.on(game, E.DASH, (e) => {
+    dashTrail(e.player);
+    beep(e.player ? 990 : 880, 40, 'square', 0.03, e.x);
+    announce(`${who(e)}Dash`);
+  });
+
+  NeonSim.on(game, E.DASH_DENIED, (e) => {
+    beep(180, 30, 'sine', 0.02);
+    announce(`${who(e)}Dash recharging`);
+  });
+
+  NeonSim.on(game, E.ORB_COLLECTED, (e) => {
+    orbBurst(e.x, e.y);
+    beep(e.player ? 830 : 740, 60, 'triangle', 0.05, e.x);
+    announce(`${who(e)}Orb collected. +${e.gained} points`);
+  });
+
+  NeonSim.on(game, E.HIT, (e) => {
+    hitFlash();
+    beep(160, 110, 'sawtooth', 0.04, e.x);
+    if (game.mode === 'coop' && e.down) {
+      announce(`${who(e)}Down! Partner, touch them to revive. Lives remaining ${e.lives}`);
+    } else {
+      announce(`${who(e)}Hit! Lives remaining ${e.lives}`);
+    }
+  });
+
+  NeonSim.on(game, E.PLAYER_REVIVED, (e) => {
+    beep(600, 80, 'triangle', 0.05);
+    beep(900, 100, 'triangle', 0.04);
+    announce(e.by === -1 ? 'Both players back up' : `${who(e)}Back up, revived by P${e.by + 1}`);
+  });
+
+  NeonSim.on(game, E.PLAYER_OUT, (e) => {
+    beep(140, 200, 'sawtooth', 0.04);
+    announce(`${who(e)}Out of lives`);
+  });
+
+  // Power-ups: each type has its own pitch, so they are tellable by ear too
+  const POWERUP_TONES = { shield: 520, slow: 330, magnet: 620, multiplier: 880, life: 990 };
+
+  NeonSim.on(game, E.POWERUP_SPAWNED, (e) => {
+    showPickupType(e.powerup);
+    beep(1040, 40, 'sine', 0.03, e.x);
+    announce(`${NeonSim.POWERUPS[e.powerup].label} power-up appeared`);
+  });
+
+  NeonSim.on(game, E.POWERUP_COLLECTED, (e) => {
+    const label = NeonSim.POWERUPS[e.powerup].label;
+    beep(POWERUP_TONES[e.powerup], 70, 'triangle', 0.05);
+    beep(POWERUP_TONES[e.powerup] * 1.5, 90, 'triangle', 0.04);
+    announce(who(e) + (e.durationMs > 0
+      ? `${label} for ${Math.round(e.durationMs / 1000)} seconds`
+      : `${label}! Lives ${e.lives}`));
+  });
+
+  NeonSim.on(game, E.POWERUP_EXPIRED, (e) => {
+    beep(260, 90, 'triangle', 0.03);
+    announce(`${NeonSim.POWERUPS[e.powerup].label} ended`);
+  });
+
+  NeonSim.on(game, E.POWERUP_VANISHED, (e) => {
+    announce(`${NeonSim.POWERUPS[e.powerup].label} power-up vanished`);
+  });
+
+  NeonSim.on(game, E.SHIELD_BLOCKED, (e) => {
+    beep(420, 120, 'square', 0.04, e.x);
+    announce('Shield absorbed the hit');
+  });
+
+  NeonSim.on(game, E.LEVEL_UP, (e) => {
+    levelBanner(e.level);
+    announce(`Level ${e.level}`);
+    beep(660, 90, 'triangle', 0.06);
+  });
+
+  NeonSim.on(game, E.GAME_OVER, () => endGame());
+
+  // Every event also feeds the lifetime stats + achievements
+  NeonSim.on(game, '*', trackEvent);
+}
+
+/* -----------------------------
+   Rendering
+   We update DOM transforms (fast) and throttle HUD text updates.
+------------------------------ */
+// Update DOM class once per spawn (not every frame); shape per type lives in CSS
+function setEnemyClass(index, type) {
+  enemyEls[index].className = type === 'normal' ? 'enemy' : `enemy ${type}`;
+}
+
+function showPickupType(type) {
+  el.pickup.className = `pickup ${type}`;
+  el.pickup.textContent = POWERUP_GLYPHS[type];
+  el.pickup.setAttribute('aria-label', `${NeonSim.POWERUPS[type].label} power-up`);
+}
+
+function showBoss(hp, maxHp) {
+  el.bossHp.max = maxHp;
+  renderBossHud(hp, maxHp);
+  el.bossHud.classList.remove('hidden');
+  el.boss.className = 'boss';
+}
+
+// After a restore no spawn events fire, so set every element from the data.
+function syncEntityElements() {
+  const game = state.game;
+  syncEnemyPool();
+  for (const e of game.enemies) setEnemyClass(e.index, e.type);
+  if (game.pickup.active) showPickupType(game.pickup.type);
+
+  const b = game.boss;
+  hideBoss();
+  if (b.active) {
+    showBoss(b.hp, b.maxHp);
+    el.boss.classList.toggle('telegraph', b.mode === 'telegraph');
+  }
+}
+
+function renderBossHud(hp, maxHp) {
+  el.bossHp.value = hp;
+  el.bossHp.setAttribute('aria-label', `Boss health ${hp} of ${maxHp}`);
+}
+
+function hideBoss() {
+  el.bossHud.classList.add('hidden');
+  el.boss.className = 'boss';
+  el.bossAim.classList.remove('show');
+}
+
+// Interpolate between the last two simulation steps.
+// alpha 0 = previous step, 1 = latest step.
+function lerp(a, b, alpha) {
+  return a + (b - a) * alpha;
+}
+
+/* -----------------------------
+   Renderers
+   Drawing the moving things (players, orb, pickup, hazards, boss) goes
+   through `renderer`, which is one of RENDERERS. Both read the same
+   simulation state and interpolate the same way:
+
+   - dom     one element per entity, moved with transforms. Simple, and
+             every entity is inspectable in DevTools.
+   - canvas  one <canvas> redrawn each frame. Cost grows with *active*
+             hazards only, so swarm curves (maxHazards in the hundreds)
+             stay smooth.
+
+   Accessibility does not depend on the backend: the role="img" elements
+   keep their labels and state classes (canvas mode only makes them
+   transparent), and announcements go through srStatus as always.
+
+   A renderer is { label, mount(), unmount(), clear(), draw(alpha) };
+   mount() returns false if the backend can't run here.
+------------------------------ */
+const PARKED = 'translate(-999px, -999px)';
+
+// Theme colors come from the stylesheet, so canvas drawing matches the DOM
+function themeColors() {
+  const css = getComputedStyle(document.documentElement);
+  const color = (name) => css.getPropertyValue(name).trim();
+  return {
+    accent: color('--accent'), accent2: color('--accent2'), danger: color('--danger'),
+    warn: color('--warn'), good: color('--good'), text: color('--text'), muted: color('--muted'),
+  };
+}
+
+// Playfield canvases: the backing store follows the simulation bounds (a
+// replay may use the recorded size) and the screen's pixel density.
+function fitCanvas(canvas, ctx) {
+  const { w, h } = state.game.bounds;
+  const dpr = window.devicePixelRatio || 1;
+  const cw = Math.round(w * dpr);
+  const ch = Math.round(h * dpr);
+  if (canvas.width !== cw || canvas.height !== ch) {
+    canvas.width = cw;
+    canvas.height = ch;
+    canvas.style.width = `${w}px`;
+    canvas.style.height = `${h}px`;
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+const domRenderer = {
+  label: 'DOM elements',
+
+  mount() {
+    // Positions went stale while another renderer ran: rewrite everything
+    enemyParked.fill(false);
+    return true;
+  },
+
+  unmount() {},
+
+  // Park every pooled enemy element offscreen
+  clear() {
+    enemyEls.forEach((div, i) => {
+      div.style.transform = PARKED;
+      enemyParked[i] = true;
+    });
+  },
+
+  draw(alpha) {
+    const game = state.game;
+    const p = game.player;
+    const o = game.orb;
+
+    // Player + orb always render (visual core)
+    el.player.style.transform = `translate(${lerp(p.prevX, p.x, alpha)}px, ${lerp(p.prevY, p.y, alpha)}px)`;
+    const p2 = game.players[1];
+    if (p2.active) el.player2.style.transform = `translate(${lerp(p2.prevX, p2.x, alpha)}px, ${lerp(p2.prevY, p2.y, alpha)}px)`;
+    el.orb.style.transform = `translate(${lerp(o.prevX, o.x, alpha)}px, ${lerp(o.prevY, o.y, alpha)}px)`;
+
+    // Enemies render
+    for (const e of game.enemies) {
+      const div = enemyEls[e.index];
+      if (!e.active) {
+        // move offscreen once (cheaper than removing; no rewrite while parked)
+        if (!enemyParked[e.index]) {
+          div.style.transform = PARKED;
+          enemyParked[e.index] = true;
+        }
+        continue;
+      }
+      div.style.transform = `translate(${lerp(e.prevX, e.x, alpha)}px, ${lerp(e.prevY, e.y, alpha)}px)`;
+      enemyParked[e.index] = false;
+    }
+
+    // Power-up pickup (one pooled element)
+    const pu = game.pickup;
+    el.pickup.style.transform = pu.active
+      ? `translate(${lerp(pu.prevX, pu.x, alpha)}px, ${lerp(pu.prevY, pu.y, alpha)}px)`
+      : PARKED;
+
+    // Boss (one element)
+    const b = game.boss;
+    el.boss.style.transform = b.active
+      ? `translate(${lerp(b.prevX, b.x, alpha)}px, ${lerp(b.prevY, b.y, alpha)}px)`
+      : PARKED;
+  },
+};
+
+// Shapes copy the CSS clip-paths (fractions of the entity's box), so both
+// backends keep the "not color-only" shape language.
+const CANVAS_POLYGONS = {
+  zigzag: [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]],
+  homing: [[0.5, 0], [1, 1], [0, 1]],
+  bolt: [[0.5, 0], [0.61, 0.39], [1, 0.5], [0.61, 0.61], [0.5, 1], [0.39, 0.61], [0, 0.5], [0.39, 0.39]],
+  boss: [[0.3, 0], [0.7, 0], [1, 0.3], [1, 0.7], [0.7, 1], [0.3, 1], [0, 0.7], [0, 0.3]],
+};
+const CANVAS_ROUND = { fast: true, orbiter: true };
+
+const canvasRenderer = {
+  label: 'Canvas 2D',
+  ctx: null,
+  colors: null,
+
+  mount() {
+    const ctx = el.playCanvas.getContext && el.playCanvas.getContext('2d');
+    if (!ctx) return false;
+    this.ctx = ctx;
+
+    this.colors = themeColors();
+
+    el.playCanvas.classList.remove('hidden');
+    el.playfield.classList.add('canvas-render');
+    return true;
+  },
+
+  unmount() {
+    el.playCanvas.classList.add('hidden');
+    el.playfield.classList.remove('canvas-render');
+  },
+
+  clear() {
+    if (this.ctx) this.ctx.clearRect(0, 0, el.playCanvas.width, el.playCanvas.height);
+  },
+
+  draw(alpha) {
+    const ctx = this.ctx;
+    const c = this.colors;
+    const game = state.game;
+    const now = game.time.now;
+    fitCanvas(el.playCanvas, ctx);
+    ctx.clearRect(0, 0, game.bounds.w, game.bounds.h);
+
+    // Orb
+    const o = game.orb;
+    this.circle(lerp(o.prevX, o.x, alpha), lerp(o.prevY, o.y, alpha), o.size, c.good);
+
+    // Pickup: outlined box/circle + glyph, like the DOM version
+    const pu = game.pickup;
+    if (pu.active) {
+      const x = lerp(pu.prevX, pu.x, alpha);
+      const y = lerp(pu.prevY, pu.y, alpha);
+      const round = pu.type === 'shield' || pu.type === 'life';
+      const edge = { shield: c.accent, slow: c.accent2, magnet: c.good, life: c.danger }[pu.type] || c.warn;
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = edge;
+      ctx.beginPath();
+      if (round) ctx.arc(x + pu.size / 2, y + pu.size / 2, pu.size / 2 - 1, 0, Math.PI * 2);
+      else ctx.rect(x + 1, y + 1, pu.size - 2, pu.size - 2);
+      ctx.stroke();
+      this.glyph(POWERUP_GLYPHS[pu.type], x, y, pu.size, c.text);
+    }
+
+    // Hazards: only active ones cost anything
+    for (const e of game.enemies) {
+      if (!e.active) continue;
+      const x = lerp(e.prevX, e.x, alpha);
+      const y = lerp(e.prevY, e.y, alpha);
+      const fill = e.type === 'bolt' ? c.warn : (e.type === 'homing' ? c.accent2 : c.danger);
+      if (CANVAS_POLYGONS[e.type]) this.polygon(CANVAS_POLYGONS[e.type], x, y, e.size, fill);
+      else if (CANVAS_ROUND[e.type]) this.circle(x, y, e.size, fill);
+      else this.box(x, y, e.size, fill);
+
+      // Dashed = will break apart, ring = circles the orb (as in CSS)
+      if (e.type === 'splitter' || e.type === 'orbiter') {
+        ctx.setLineDash(e.type === 'splitter' ? [3, 3] : []);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = c.text;
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+
+    // Boss: octagon; brighter while telegraphing, white while hurt
+    const b = game.boss;
+    if (b.active) {
+      const fill = now < b.hurtUntil ? '#fff' : (b.mode === 'telegraph' ? c.warn : c.accent2);
+      this.polygon(CANVAS_POLYGONS.boss, lerp(b.prevX, b.x, alpha), lerp(b.prevY, b.y, alpha), b.size, fill);
+    }
+
+    // Players on top (square = P1, round = P2, number label in two-player)
+    const duo = game.mode !== 'solo';
+    for (const p of game.players) {
+      if (!p.active) continue;
+      const x = lerp(p.prevX, p.x, alpha);
+      const y = lerp(p.prevY, p.y, alpha);
+      const blink = now < p.safeUntil && !state.settings.reducedMotion && Math.floor(now / 125) % 2;
+      ctx.globalAlpha = p.down ? 0.4 : (blink ? 0.5 : 1);
+      if (p.index === 0) this.box(x, y, p.size, c.accent);
+      else this.circle(x, y, p.size, c.good);
+      ctx.globalAlpha = 1;
+      if (duo) this.glyph(String(p.index + 1), x, y, p.size, '#0b1020');
+
+      // Outlines carry state without color alone: dashed = down, solid = shield / safe
+      if (p.down || game.mods.shield || now < p.safeUntil) {
+        ctx.setLineDash(p.down ? [4, 3] : []);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = p.down ? c.danger : (game.mods.shield ? c.accent : c.text);
+        ctx.strokeRect(x - 3, y - 3, p.size + 6, p.size + 6);
+        ctx.setLineDash([]);
+      }
+    }
+  },
+
+  // Drawing helpers (each leaves its shape as the current path)
+  box(x, y, size, fill) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.rect(x, y, size, size);
+    ctx.fillStyle = fill;
+    ctx.fill();
+  },
+
+  circle(x, y, size, fill) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+    ctx.fillStyle = fill;
+    ctx.fill();
+  },
+
+  polygon(points, x, y, size, fill) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    points.forEach(([px, py], i) => {
+      if (i === 0) ctx.moveTo(x + px * size, y + py * size);
+      else ctx.lineTo(x + px * size, y + py * size);
+    });
+    ctx.closePath();
+    ctx.fillStyle = fill;
+    ctx.fill();
+  },
+
+  glyph(text, x, y, size, color) {
+    const ctx = this.ctx;
+    ctx.fillStyle = color;
+    ctx.font = '800 11px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + size / 2, y + size / 2 + 1);
+  },
+};
+
+const RENDERERS = { dom: domRenderer, canvas: canvasRenderer };
+let renderer = domRenderer;
+
+// Switch backends. Falls back to DOM (and returns false) when the canvas
+// can't be used, e.g. a browser without 2D canvas support.
+function useRenderer(id) {
+  const next = RENDERERS[id] || domRenderer;
+  if (next === renderer) return true;
+
+  renderer.unmount();
+  const ok = next.mount();
+  renderer = ok ? next : domRenderer;
+  if (!ok) renderer.mount();
+  renderAll(true);
+  return ok;
+}
+
+function renderAll(force = false, alpha = 1) {
+  const game = state.game;
+
+  // Moving things go through the active renderer (DOM or canvas)
+  renderer.draw(alpha);
+  renderPlayerStates(force);
+  renderEffects(force);
+  renderFx();
+  if (hitboxes.ctx) drawHitboxes();
+
+  // HUD updates: only update when text actually changes
+  const d = game.difficulty;
+
+  const scoreText = String(d.score);
+  if (force || scoreText !== state.ui.lastScoreText) {
+    el.score.textContent = scoreText;
+    state.ui.lastScoreText = scoreText;
+  }
+
+  const bestText = String(state.best);
+  if (force || bestText !== state.ui.lastBestText) {
+    el.best.textContent = bestText;
+    state.ui.lastBestText = bestText;
+  }
+
+  const levelText = String(d.level);
+  if (force || levelText !== state.ui.lastLevelText) {
+    el.level.textContent = levelText;
+    state.ui.lastLevelText = levelText;
+  }
+
+  // Versus: each player has their own lives
+  const livesText = game.mode === 'versus'
+    ? game.players.map(q => q.lives).join(' / ')
+    : String(d.lives);
+  if (force || livesText !== state.ui.lastLivesText) {
+    el.lives.textContent = livesText;
+    state.ui.lastLivesText = livesText;
+  }
+
+  const playersText = game.mode === 'solo' ? '' : game.players
+    .map(q => `P${q.index + 1} ${q.score}${q.down ? (game.mode === 'coop' ? ' (down)' : ' (out)') : ''}`)
+    .join(' · ');
+  if (force || playersText !== state.ui.lastPlayersText) {
+    el.playersText.textContent = playersText;
+    el.hudPlayers.classList.toggle('hidden', !playersText);
+    state.ui.lastPlayersText = playersText;
+  }
+}
+
+// Number labels + down/safe classes (only touched on change).
+function renderPlayerStates(force) {
+  const game = state.game;
+  const now = game.time.now;
+  const classesFor = (p) => (p.down ? ' down' : '') + (now < p.safeUntil ? ' safe' : '');
+
+  const key = game.mode + classesFor(game.players[0]) + '|' + classesFor(game.players[1]);
+  if (!force && key === state.ui.lastP2Class) return;
+  state.ui.lastP2Class = key;
+
+  const duo = game.mode !== 'solo';
+  game.players.forEach((p, k) => {
+    const div = k === 0 ? el.player : el.player2;
+    div.classList.toggle('hidden', !p.active);
+    div.classList.toggle('down', p.down);
+    div.classList.toggle('safe', now < p.safeUntil);
+    div.textContent = duo ? String(k + 1) : '';
+  });
+}
+
+// Active power-ups: HUD timers + state classes (only touched on change).
+function renderEffects(force) {
+  const game = state.game;
+  const ui = state.ui;
+
+  const parts = Object.keys(game.effects)
+    .map(type => `${NeonSim.POWERUPS[type].label} ${Math.ceil(game.effects[type] / 1000)}s`);
+  const effectsText = parts.length ? parts.join(' · ') : '—';
+  if (force || effectsText !== ui.lastEffectsText) {
+    el.effects.textContent = effectsText;
+    ui.lastEffectsText = effectsText;
+  }
+
+  // The shield covers the whole team
+  const shield = game.mods.shield;
+  if (force || shield !== ui.lastShield) {
+    el.player.classList.toggle('shielded', shield);
+    el.player.setAttribute('aria-label', shield ? 'Player (shielded)' : 'Player');
+    el.player2.classList.toggle('shielded', shield);
+    el.player2.setAttribute('aria-label', shield ? 'Player 2 (shielded)' : 'Player 2');
+    ui.lastShield = shield;
+  }
+
+  const slow = game.mods.hazardTimeScale < 1;
+  if (force || slow !== ui.lastSlow) {
+    el.playfield.classList.toggle('slowmo', slow);
+    ui.lastSlow = slow;
+  }
+}
+
+/* -----------------------------
+   Juice effects (particles, trails, flashes, banners)
+   Purely decorative: every effect repeats information the HUD, the sound
+   and the announcements already give, so all of it is aria-hidden.
+
+   Same idea as the enemy pool: FX_POOL_SIZE elements are created once at
+   init and recycled, so a busy moment never creates DOM nodes mid-run.
+   If the pool is full, a new effect is simply skipped.
+
+   Timing uses simulation time (game.time.now): effects freeze on pause
+   and follow replay speed for free.
+
+   Reduced motion: each effect has a variant that keeps the information
+   without the movement (a static ring instead of flying sparks, an
+   outline instead of shake, a banner that fades instead of slides).
+------------------------------ */
+const FX_POOL_SIZE = 48;
+
+const FX_KINDS = {
+  spark:     { className: 'fx spark', lifeMs: 420 },      // orb burst particle
+  ring:      { className: 'fx ring', lifeMs: 420 },       // reduced-motion orb burst
+  ghost:     { className: 'fx ghost', lifeMs: 220 },      // dash afterimage
+  ghost2:    { className: 'fx ghost p2', lifeMs: 220 },
+  telegraph: { className: 'fx telegraph', lifeMs: 600 },  // enemy entering here
+};
+
+const ORB_SPARKS = 8;
+const SPARK_DISTANCE = 38;   // px travelled over a spark's life
+const TRAIL_MS = 180;        // dash afterimages are left for this long...
+const TRAIL_EVERY_MS = 30;   // ...one every 30 ms
+const HIT_FLASH_MS = 260;
+const SHAKE_MS = 280;
+const SHAKE_PX = 6;
+const BANNER_MS = 1100;
+
+const fxPool = [];
+
+// One-off effects that are not pooled particles
+const fx = {
+  hitUntil: 0,
+  bannerAt: -Infinity,
+  shaking: false,
+  trailUntil: [0, 0],    // per player
+  lastGhostAt: [0, 0],
+};
+
+function createFxElement() {
+  const div = document.createElement('div');
+  div.className = 'fx';
+  el.fxLayer.appendChild(div);
+  return { div, active: false, kind: 'spark', x: 0, y: 0, vx: 0, vy: 0, bornAt: 0 };
+}
+
+function initFxPool() {
+  el.fxLayer.innerHTML = '';
+  fxPool.length = 0;
+  for (let i = 0; i < FX_POOL_SIZE; i++) {
+    fxPool.push(createFxElement());
+  }
+}
+
+// (vx, vy) is the direction of travel over the whole life (unit-ish)
+function spawnFx(kind, x, y, vx = 0, vy = 0) {
+  if (state.replay.silent) return; // seeking a replay: nothing to see
+  const f = fxPool.find(item => !item.active);
+  if (!f) return;
+
+  f.active = true;
+  f.kind = kind;
+  f.x = x;
+  f.y = y;
+  f.vx = vx;
+  f.vy = vy;
+  f.bornAt = state.game.time.now;
+  f.div.className = FX_KINDS[kind].className;
+}
+
+function clearFx() {
+  for (const f of fxPool) {
+    f.active = false;
+    f.div.style.transform = `translate(-999px, -999px)`;
+  }
+  fx.hitUntil = 0;
+  fx.bannerAt = -Infinity;
+  fx.trailUntil.fill(0);
+  el.fxFlash.style.opacity = '0';
+  el.levelBanner.style.opacity = '0';
+  el.playfield.classList.remove('hit-outline');
+  if (fx.shaking) {
+    el.playfield.style.transform = '';
+    fx.shaking = false;
+  }
+}
+
+/* Effect triggers (called from the simulation event handlers) */
+
+function orbBurst(x, y) {
+  const cx = x + state.game.orb.size / 2;
+  const cy = y + state.game.orb.size / 2;
+  if (state.settings.reducedMotion) {
+    spawnFx('ring', cx, cy);
+    return;
+  }
+  for (let i = 0; i < ORB_SPARKS; i++) {
+    const angle = (i / ORB_SPARKS) * Math.PI * 2;
+    spawnFx('spark', cx, cy, Math.cos(angle), Math.sin(angle));
+  }
+}
+
+function dashTrail(player) {
+  const p = state.game.players[player];
+  if (state.settings.reducedMotion) {
+    // One still outline where the dash started
+    spawnFx(player ? 'ghost2' : 'ghost', p.x, p.y);
+    return;
+  }
+  fx.trailUntil[player] = state.game.time.now + TRAIL_MS;
+  fx.lastGhostAt[player] = -Infinity;
+}
+
+function hitFlash() {
+  if (state.replay.silent) return;
+  fx.hitUntil = state.game.time.now + Math.max(HIT_FLASH_MS, SHAKE_MS);
+}
+
+function levelBanner(level) {
+  if (state.replay.silent) return;
+  el.levelBanner.textContent = `Level ${level}`;
+  fx.bannerAt = state.game.time.now;
+}
+
+// Enemies spawn just outside the playfield: mark the edge where one enters
+function spawnTelegraph(x, y) {
+  const b = state.game.bounds;
+  spawnFx('telegraph', clamp(x, 0, b.w - 14), clamp(y, 0, b.h - 14));
+}
+
+/* Per-frame update (from renderAll) */
+
+function renderFx() {
+  const game = state.game;
+  const now = game.time.now;
+  const reduced = state.settings.reducedMotion;
+
+  // Dash afterimages: drop a ghost every TRAIL_EVERY_MS while the trail lasts
+  game.players.forEach((p, k) => {
+    if (now < fx.trailUntil[k] && now - fx.lastGhostAt[k] >= TRAIL_EVERY_MS) {
+      spawnFx(k ? 'ghost2' : 'ghost', p.x, p.y);
+      fx.lastGhostAt[k] = now;
+    }
+  });
+
+  // Pooled particles
+  for (const f of fxPool) {
+    if (!f.active) continue;
+    const t = (now - f.bornAt) / FX_KINDS[f.kind].lifeMs;
+    if (t >= 1 || t < 0) {
+      f.active = false;
+      f.div.style.transform = `translate(-999px, -999px)`;
+      continue;
+    }
+
+    let x = f.x;
+    let y = f.y;
+    let scale = 1;
+    if (f.kind === 'spark') {
+      x += f.vx * SPARK_DISTANCE * t;
+      y += f.vy * SPARK_DISTANCE * t;
+      scale = 1 - t * 0.6;
+    } else if (f.kind === 'telegraph' && !reduced) {
+      scale = 1 + 0.35 * Math.sin(t * Math.PI * 3);
+    }
+    f.div.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    f.div.style.opacity = String(1 - t);
+  }
+
+  // Hit: red flash + shake, or a steady red outline with reduced motion
+  const hitLeft = fx.hitUntil - now;
+  const hit = hitLeft > 0;
+  el.playfield.classList.toggle('hit-outline', hit && reduced);
+  el.fxFlash.style.opacity = hit && !reduced ? String(0.35 * clamp(hitLeft / HIT_FLASH_MS, 0, 1)) : '0';
+
+  if (hit && !reduced) {
+    // Deterministic wobble that decays to zero (no Math.random needed)
+    const amp = SHAKE_PX * clamp(hitLeft / SHAKE_MS, 0, 1);
+    el.playfield.style.transform = `translate(${Math.sin(now * 0.09) * amp}px, ${Math.cos(now * 0.11) * amp}px)`;
+    fx.shaking = true;
+  } else if (fx.shaking) {
+    el.playfield.style.transform = '';
+    fx.shaking = false;
+  }
+
+  // Level-up banner: drops in and fades, or just fades with reduced motion
+  const bt = (now - fx.bannerAt) / BANNER_MS;
+  if (bt >= 0 && bt < 1) {
+    const drop = reduced ? 0 : (1 - Math.min(1, bt * 4)) * -24;
+    el.levelBanner.style.transform = `translate(-50%, ${drop}px)`;
+    el.levelBanner.style.opacity = String(bt < 0.7 ? 1 : (1 - bt) / 0.3);
+  } else if (el.levelBanner.style.opacity !== '0') {
+    el.levelBanner.style.opacity = '0';
+  }
+}
+
+/* -----------------------------
+   Main loop
+------------------------------ */
+// Fixed timestep: the simulation always advances in STEP_MS slices.
+// Rendering interpolates between the last two steps, so motion stays smooth
+// on any refresh rate while physics is identical on every machine.
+const STEP_MS = NeonSim.STEP_MS;
+const MAX_FRAME_MS = 250;        // ignore longer gaps (tab switch, debugger)
+const MAX_STEPS_PER_FRAME = 12;  // spiral-of-death guard (~100 ms of game time)
+
+// One simulation step. Live play and replay playback both come through here,
+// so a recorded run re-runs exactly the same systems in the same order.
+function stepRun() {
+  const solo = state.game.mode === 'solo';
+  NeonSim.step(state.game, solo ? state.input : [state.input, state.input2], STEP_MS);
+  state.input.dash = false; // one-shot press, consumed by this step
+  state.input2.dash = false;
+}
+
+function loop(now) {
+  // If we’re not in play, don’t keep spinning the loop
+  if (state.phase !== 'play' || !state.running) return;
+
+  const t = state.time;
+  const last = t.lastFrame || now;
+  t.accumulator += clamp(now - last, 0, MAX_FRAME_MS);
+  t.lastFrame = now;
+
+  updateMoveIntent();
+
+  // Run as many fixed steps as real time allows
+  let steps = 0;
+  while (t.accumulator >= STEP_MS && steps < MAX_STEPS_PER_FRAME) {
+    // Log this step's intent before the systems consume it (dash is one-shot)
+    recordFrame();
+    stepRun();
+    t.accumulator -= STEP_MS;
+    steps++;
+    if (state.phase !== 'play') break; // game over mid-frame
+  }
+
+  // Too far behind (slow device / long frame): drop the backlog instead of
+  // trying to catch up forever, which would only make the next frame slower.
+  if (steps === MAX_STEPS_PER_FRAME && t.accumulator >= STEP_MS) {
+    state.stats.droppedMs += t.accumulator;
+    t.accumulator = 0;
+  }
+
+  // Render from state (between the last two steps)
+  renderAll(false, t.accumulator / STEP_MS);
+  renderTouchDash();
+  trackRunTime();
+  updatePerfStats(now, steps);
+  if (state.settings.devPanel) updateDevPanel(now);
+
+  // Continue loop
+  if (state.phase === 'play') t.rafId = requestAnimationFrame(loop);
+}
+
+// (Re)start the loop without stacking a second rAF chain,
+// and without counting the time spent on an overlay as frame time.
+function startLoop() {
+  cancelAnimationFrame(state.time.rafId);
+  state.time.lastFrame = 0;
+  state.time.accumulator = 0;
+  state.time.rafId = requestAnimationFrame(loop);
+}
+
+/* -----------------------------
+   Performance readout (optional)
+   Counts rendered frames vs simulation steps. At any refresh rate
+   steps/s should sit at the fixed step rate; that is the point.
+------------------------------ */
+function updatePerfStats(now, steps) {
+  if (!state.settings.showStats) return;
+
+  const st = state.stats;
+  if (!st.windowStart) st.windowStart = now;
+  st.frames++;
+  st.steps += steps;
+
+  const elapsed = now - st.windowStart;
+  if (elapsed < 500) return; // refresh twice a second (cheap text update)
+
+  const fps = Math.round((st.frames * 1000) / elapsed);
+  const sps = Math.round((st.steps * 1000) / elapsed);
+  const hazards = state.game.enemies.reduce((n, e) => n + (e.active ? 1 : 0), 0);
+  el.perfStats.textContent =
+    `FPS ${fps} · steps/s ${sps} (${NeonSim.STEP_HZ} Hz) · dropped ${Math.round(st.droppedMs)} ms` +
+    ` · hazards ${hazards}/${state.game.enemies.length} · ${renderer.label}`;
+
+  st.windowStart = now;
+  st.frames = 0;
+  st.steps = 0;
+}
+
+function applyShowStats() {
+  el.perfStats.classList.toggle('hidden', !state.settings.showStats);
+  state.stats.windowStart = 0;
+  state.stats.frames = 0;
+  state.stats.steps = 0;
+}
+
+/* -----------------------------
+   Developer panel
+   A live inspector for teaching and balancing: readouts straight from
+   `state`, a frame-time graph, sliders that edit the run while it plays,
+   single-frame stepping while paused, and the collision boxes drawn over
+   the playfield.
+   Closed, it costs one boolean check per frame: nothing is sampled,
+   measured or drawn, and the panel itself is display: none.
+------------------------------ */
+const DEV_REFRESH_MS = 100;   // readouts + graph (text updates are the costly part)
+const DEV_GRAPH_MAX_MS = 50;  // frame time at the top of the graph
+
+// What the sliders edit. get/set go to the live run, so a slider always
+// shows the real value (a level-up changes the hazard ones, for example).
+const DEV_TUNABLES = [
+  { key: 'speed', label: 'Acceleration', min: 0.1, max: 1.5, step: 0.05,
+    get: () => state.game.player.speed, set: (v) => setPlayerPhysics('speed', v) },
+  { key: 'friction', label: 'Friction', min: 0.5, max: 0.99, step: 0.01,
+    get: () => state.game.player.friction, set: (v) => setPlayerPhysics('friction', v) },
+  { key: 'maxSpeed', label: 'Max speed', min: 1, max: 12, step: 0.1,
+    get: () => state.game.player.maxSpeed, set: (v) => setPlayerPhysics('maxSpeed', v) },
+  { key: 'enemyBaseSpeed', label: 'Hazard speed', min: 0.2, max: 10, step: 0.1,
+    get: () => state.game.difficulty.enemyBaseSpeed, set: (v) => { state.game.difficulty.enemyBaseSpeed = v; } },
+  { key: 'spawnIntervalMs', label: 'Spawn every (ms)', min: 100, max: 3000, step: 50,
+    get: () => state.game.difficulty.spawnIntervalMs, set: (v) => { state.game.difficulty.spawnIntervalMs = v; } },
+];
+
+const devSliders = {}; // key -> { input, output }
+const devGraph = { ctx: null, colors: null };
+const hitboxes = { ctx: null, colors: null }; // ctx only while hitboxes are shown
+
+// Both players share one feel (resetGame puts NeonSim.PLAYER_PHYSICS back)
+function setPlayerPhysics(key, value) {
+  for (const p of state.game.players) p[key] = value;
+}
 
-    // Deactivate if far outside bounds (keeps pool reusable)
-    const pad = 60;
-    if (e.x < -pad || e.x > w + pad || e.y < -pad || e.y > h + pad) {
-      e.active = false;
-      e.x = -999;
-      e.y = -999;
-    }
+function formatTunable(t, value) {
+  return t.step >= 1 ? String(Math.round(value)) : value.toFixed(2);
+}
+
+function buildDevSliders() {
+  for (const t of DEV_TUNABLES) {
+    const row = document.createElement('label');
+    row.className = 'toggle';
+    const name = document.createElement('span');
+    name.textContent = t.label;
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(t.min);
+    input.max = String(t.max);
+    input.step = String(t.step);
+    const output = document.createElement('output');
+    row.append(name, input, output);
+    el.devSliders.append(row);
+    devSliders[t.key] = { input, output };
+
+    input.addEventListener('input', () => {
+      if (!state.run) return;
+      t.set(Number(input.value));
+      state.dev.tuned = true;
+      output.textContent = formatTunable(t, t.get());
+    });
   }
 }
 
-function resolveOrbCollection() {
-  const p = state.player;
-  const o = state.orb;
-  const d = state.difficulty;
+function applyDevPanel() {
+  const open = state.settings.devPanel;
+  el.devPanel.classList.toggle('hidden', !open);
+  document.body.classList.toggle('dev-panel-closed', !open);
+  el.btnDevPanel.setAttribute('aria-expanded', String(open));
 
-  if (aabbCollide(p.x, p.y, p.size, o.x, o.y, o.size)) {
-    // Score logic: combo rewards consistent play
-    d.combo += 1;
-    const gained = 20 + Math.min(30, d.combo * 2);
-    d.score += gained;
+  // Canvases are looked up once, and only when there is something to draw
+  if (open && !devGraph.colors) {
+    devGraph.ctx = el.devGraph.getContext && el.devGraph.getContext('2d');
+    devGraph.colors = themeColors();
+  }
+  const showBoxes = open && state.settings.hitboxes;
+  hitboxes.ctx = showBoxes ? (el.hitboxCanvas.getContext && el.hitboxCanvas.getContext('2d')) : null;
+  if (hitboxes.ctx && !hitboxes.colors) hitboxes.colors = themeColors();
+  el.hitboxCanvas.classList.toggle('hidden', !hitboxes.ctx);
 
-    // Reposition orb
-    placeOrb();
+  // Frame times restart (the gap while closed is not a frame)
+  state.dev.lastFrame = 0;
+  state.dev.frameCount = 0;
 
-    // Feedback (not color-only)
-    beep(740, 60, 'triangle', 0.05);
-    announce(`Orb collected. +${gained} points`);
+  // The playfield changes width with the panel
+  if (state.phase !== 'replay') {
+    updateBounds();
+    NeonSim.keepOrbInBounds(state.game);
   }
+  if (open) renderDevPanel();
+  if (hitboxes.ctx) drawHitboxes();
 }
 
-function resolveEnemyCollisions() {
-  const p = state.player;
-  const d = state.difficulty;
+// Called every frame while the panel is open (live play and replays).
+function updateDevPanel(now) {
+  const dev = state.dev;
+  if (dev.lastFrame) {
+    dev.frameMs[dev.frameIndex] = now - dev.lastFrame;
+    dev.frameIndex = (dev.frameIndex + 1) % dev.frameMs.length;
+    dev.frameCount = Math.min(dev.frameCount + 1, dev.frameMs.length);
+  }
+  dev.lastFrame = now;
 
-  // Minimal collision checks (pool is capped)
-  for (const e of state.enemies) {
-    if (!e.active) continue;
+  if (now - dev.lastRefresh < DEV_REFRESH_MS) return;
+  dev.lastRefresh = now;
+  renderDevPanel();
+}
 
-    if (aabbCollide(p.x, p.y, p.size, e.x, e.y, e.size)) {
-      // Hit!
-      e.active = false; // remove enemy
+function setText(node, text) {
+  if (node.textContent !== text) node.textContent = text;
+}
 
-      d.lives -= 1;
-      d.combo = 0;
+function renderDevPanel() {
+  const game = state.game;
+  const d = game.difficulty;
+  const p = game.player;
+  const inRun = !!state.run;
+
+  setText(el.devPhase, state.phase + (state.dev.tuned ? ' (tuned)' : ''));
+  setText(el.devPosition, `${p.x.toFixed(1)}, ${p.y.toFixed(1)}`);
+  setText(el.devVelocity, `${p.vx.toFixed(2)}, ${p.vy.toFixed(2)}`);
+  const cooldown = Math.max(0, p.dash.cooldownMs - (game.time.now - p.dash.lastDashAt));
+  setText(el.devDash, cooldown > 0 ? `${Math.ceil(cooldown)} ms` : 'ready');
+  const active = game.enemies.reduce((n, e) => n + (e.active ? 1 : 0), 0);
+  setText(el.devHazards, `${active} / ${game.enemies.length}`);
+  setText(el.devSpawn, `${Math.round(d.spawnIntervalMs)} ms`);
+  setText(el.devNextLevel, `${d.nextLevelAt} (score ${d.score})`);
+
+  // Sliders follow the live values, unless being dragged right now
+  for (const t of DEV_TUNABLES) {
+    const { input, output } = devSliders[t.key];
+    input.disabled = !inRun;
+    if (document.activeElement !== input) input.value = String(t.get());
+    setText(output, formatTunable(t, t.get()));
+  }
+  el.btnDevStep.disabled = state.phase !== 'pause';
 
-      // Feedback: sound + announcement
-      beep(160, 110, 'sawtooth', 0.04);
-      announce(`Hit! Lives remaining ${d.lives}`);
+  drawDevGraph();
+}
 
-      // Small knockback for game feel (skipped in reduced motion mode)
-      if (!state.settings.reducedMotion) {
-        p.vx *= -0.7;
-        p.vy *= -0.7;
-      }
+// Bars of recent frame times (oldest left), with 60 fps and 30 fps lines.
+function drawDevGraph() {
+  const dev = state.dev;
+  const n = dev.frameCount;
+  let total = 0;
+  let worst = 0;
+  for (let i = 0; i < n; i++) {
+    const ms = dev.frameMs[(dev.frameIndex - n + i + dev.frameMs.length) % dev.frameMs.length];
+    total += ms;
+    worst = Math.max(worst, ms);
+  }
+  if (n) setText(el.devFps, `${Math.round((n * 1000) / total)} fps · avg ${(total / n).toFixed(1)} ms · worst ${worst.toFixed(1)} ms`);
+
+  const ctx = devGraph.ctx;
+  if (!ctx) return;
+  const c = devGraph.colors;
+  const { width, height } = el.devGraph;
+  const y = (ms) => height - (Math.min(ms, DEV_GRAPH_MAX_MS) / DEV_GRAPH_MAX_MS) * height;
+  const barW = width / dev.frameMs.length;
+
+  ctx.clearRect(0, 0, width, height);
+  for (let i = 0; i < n; i++) {
+    const ms = dev.frameMs[(dev.frameIndex - n + i + dev.frameMs.length) % dev.frameMs.length];
+    ctx.fillStyle = ms > 1000 / 30 ? c.danger : ms > 1000 / 55 ? c.warn : c.good;
+    ctx.fillRect((dev.frameMs.length - n + i) * barW, y(ms), Math.max(1, barW - 1), height - y(ms));
+  }
+  ctx.fillStyle = c.muted;
+  ctx.fillRect(0, Math.round(y(1000 / 60)), width, 1);
+  ctx.fillRect(0, Math.round(y(1000 / 30)), width, 1);
+}
 
-      if (d.lives <= 0) {
-        endGame();
-      }
-      return; // only handle one hit per frame (prevents “insta-death” chains)
-    }
+// The boxes aabbCollide sees: last simulation step, not interpolated, so
+// they can trail the drawn sprites by up to one step. Dashed: near-miss zone.
+function drawHitboxes() {
+  const ctx = hitboxes.ctx;
+  const c = hitboxes.colors;
+  const game = state.game;
+  fitCanvas(el.hitboxCanvas, ctx);
+  ctx.clearRect(0, 0, game.bounds.w, game.bounds.h);
+  ctx.lineWidth = 1;
+
+  const box = (o, color) => {
+    ctx.strokeStyle = color;
+    ctx.strokeRect(o.x + 0.5, o.y + 0.5, o.size, o.size);
+  };
+
+  for (const e of game.enemies) if (e.active) box(e, c.danger);
+  if (game.boss.active) box(game.boss, c.danger);
+  if (game.pickup.active) box(game.pickup, c.warn);
+  box(game.orb, c.good);
+
+  const pad = NeonSim.NEAR_MISS_PX;
+  for (const p of game.players) {
+    if (!p.active) continue;
+    box(p, c.accent);
+    ctx.setLineDash([3, 3]);
+    ctx.strokeRect(p.x - pad + 0.5, p.y - pad + 0.5, p.size + pad * 2, p.size + pad * 2);
+    ctx.setLineDash([]);
+  }
+}
+
+// Advance a paused run by exactly one simulation step. It goes through
+// stepRun like any other frame (and into the replay recording).
+function stepOneFrame() {
+  if (state.phase !== 'pause') return;
+  recordFrame();
+  stepRun();
+  trackRunTime();
+  if (state.phase !== 'pause') return; // that step ended the run
+
+  saveRun();
+  el.overlay.classList.add('peek'); // see-through until the next screen change
+  renderAll(true);
+  renderDevPanel();
+  announce(`Stepped to ${(state.game.time.now / 1000).toFixed(3)} s`);
+}
+
+el.btnDevPanel.addEventListener('click', () => {
+  state.settings.devPanel = !state.settings.devPanel;
+  saveSettings();
+  applyDevPanel();
+  announce(state.settings.devPanel ? 'Developer panel shown' : 'Developer panel hidden');
+});
+
+el.toggleHitboxes.addEventListener('change', () => {
+  state.settings.hitboxes = el.toggleHitboxes.checked;
+  saveSettings();
+  applyDevPanel();
+  if (state.settings.hitboxes && !hitboxes.ctx) announce('Canvas 2D is not available here, so hitboxes cannot be drawn');
+});
+
+el.btnDevStep.addEventListener('click', stepOneFrame);
+
+/* -----------------------------
+   Replays
+   A replay is: seed + starting bounds + difficulty curve + player mode
+   + one entry per fixed step.
+   Every step is stepMs long, so no timing is stored per frame.
+   Frame format (compact arrays keep files small):
+     [inputBits, moveX, moveY, mouseX, mouseY]         normal step
+     [inputBits, moveX, moveY, mouseX, mouseY, w, h]   step where the playfield resized
+   Two-player modes insert P2's [dashBit, moveX, moveY] after mouseY
+   (before any w, h).
+   Settings that change physics (mouse follow, reduced-motion knockback)
+   are stored as bits too, because they can be toggled mid-run from Pause.
+------------------------------ */
+const REPLAY_FORMAT = 'neon-drift-replay';
+const REPLAY_VERSION = 7; // v7: run modifiers (v6 level, v5 player mode + P2 input, v4 curve, v3 analog move, v2 direction bits, v1 variable dt)
+
+const INPUT_BITS = {
+  dash: 1,
+  hasMouse: 2,
+  mouseFollow: 4,
+  reducedMotion: 8,
+};
+
+function encodeInputBits() {
+  const i = state.input;
+  const s = state.game.settings;
+  let bits = 0;
+  if (i.dash) bits |= INPUT_BITS.dash;
+  if (i.hasMouse) bits |= INPUT_BITS.hasMouse;
+  if (s.mouseFollow) bits |= INPUT_BITS.mouseFollow;
+  if (s.reducedMotion) bits |= INPUT_BITS.reducedMotion;
+  return bits;
+}
+
+function beginRecording() {
+  const { w, h } = state.game.bounds;
+  state.replay.recording = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: state.game.seed,
+    stepMs: STEP_MS,
+    rules: NeonSim.RULES_VERSION,
+    difficulty: state.game.curve,
+    mode: state.game.mode,
+    level: state.game.level, // null on the open field
+    modifiers: [...state.game.modifiers],
+    bounds: { w, h },
+    recordedAt: new Date().toISOString(),
+    finalScore: 0,
+    frames: [],
+  };
+  state.replay.recordBounds = { w, h };
+}
+
+function recordFrame() {
+  const rec = state.replay.recording;
+  if (!rec) return;
+
+  const i = state.input;
+  const frame = [encodeInputBits(), i.moveX, i.moveY, i.mouseX, i.mouseY];
+  if (state.game.mode !== 'solo') {
+    const i2 = state.input2;
+    frame.push(i2.dash ? INPUT_BITS.dash : 0, i2.moveX, i2.moveY);
+  }
+
+  // Only write bounds when they change (resize mid-run)
+  const rb = state.replay.recordBounds;
+  const { w, h } = state.game.bounds;
+  if (w !== rb.w || h !== rb.h) {
+    frame.push(w, h);
+    rb.w = w;
+    rb.h = h;
+  }
+  rec.frames.push(frame);
+}
+
+function finishRecording() {
+  const rec = state.replay.recording;
+  if (!rec) return;
+  rec.finalScore = state.game.difficulty.score;
+  // Replays don't store tuning, so a tuned run would not play back the same
+  state.replay.last = state.dev.tuned ? null : rec;
+  state.replay.recording = null;
+}
+
+// Write a recorded frame back into the same intent object the keyboard uses.
+function applyRecordedFrame(frame) {
+  const [bits, moveX, moveY, mouseX, mouseY] = frame;
+  const game = state.game;
+  const i = state.input;
+  i.moveX = moveX;
+  i.moveY = moveY;
+  i.dash = !!(bits & INPUT_BITS.dash);
+  i.hasMouse = !!(bits & INPUT_BITS.hasMouse);
+  i.mouseX = mouseX;
+  i.mouseY = mouseY;
+
+  let size = 5;
+  if (game.mode !== 'solo') {
+    const i2 = state.input2;
+    i2.dash = !!(frame[5] & INPUT_BITS.dash);
+    i2.moveX = frame[6];
+    i2.moveY = frame[7];
+    size = 8;
+  }
+  const w = frame[size];
+  const h = frame[size + 1];
+
+  // Rule toggles go straight to the simulation; the player's own
+  // settings are copied back in on exit (syncSimSettings).
+  game.settings.mouseFollow = !!(bits & INPUT_BITS.mouseFollow);
+  game.settings.reducedMotion = !!(bits & INPUT_BITS.reducedMotion);
+
+  if (w !== undefined) {
+    game.bounds.w = w;
+    game.bounds.h = h;
+    NeonSim.keepOrbInBounds(game);
+  }
+}
+
+// Returns replay data, or null if the text is not a replay we understand.
+function parseReplay(text) {
+  const data = safeJsonParse(text, null);
+  // v5/v6 files are v7 files without a level (open field) / modifiers
+  if (!data || data.format !== REPLAY_FORMAT || ![5, 6, REPLAY_VERSION].includes(data.version)) return null;
+  if (!Number.isFinite(data.seed) || !data.bounds || !Array.isArray(data.frames)) return null;
+  if (data.stepMs !== STEP_MS) return null; // recorded with a different simulation rate
+  if (data.rules !== NeonSim.RULES_VERSION) return null; // recorded under different game rules
+  try {
+    data.difficulty = NeonSim.normalizeCurve(data.difficulty);
+  } catch {
+    return null;
   }
+  if (!NeonSim.MODES.includes(data.mode)) return null;
+  try {
+    data.level = data.level ? NeonSim.normalizeLevel(data.level) : null;
+  } catch {
+    return null;
+  }
+  if (data.modifiers === undefined) data.modifiers = [];
+  if (!Array.isArray(data.modifiers) || !data.modifiers.every(id => NeonSim.MODIFIERS[id])) return null;
+  const minLength = data.mode === 'solo' ? 5 : 8;
+  const ok = data.frames.every(f => Array.isArray(f) && f.length >= minLength && f.every(Number.isFinite));
+  return ok ? data : null;
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadReplay(data) {
+  downloadJson(data, `neon-drift-replay-${data.seed}.json`);
+  announce('Replay downloaded');
+}
+
+// Rewind to frame 0: same seed, same starting bounds.
+function restartPlaybackRun(pb) {
+  state.game.bounds.w = pb.data.bounds.w;
+  state.game.bounds.h = pb.data.bounds.h;
+  NeonSim.setCurve(state.game, pb.data.difficulty);
+  NeonSim.setMode(state.game, pb.data.mode);
+  NeonSim.setLevel(state.game, pb.data.level);
+  NeonSim.setModifiers(state.game, pb.data.modifiers);
+  resetRunState(pb.data.seed);
+  pb.cursor = 0;
+  pb.accumulator = 0;
+}
+
+function stepReplayFrame(pb) {
+  applyRecordedFrame(pb.data.frames[pb.cursor]);
+  stepRun();
+  pb.cursor++;
+}
+
+// Scrubbing backwards re-simulates from the start (runs are deterministic,
+// and stepping thousands of frames without rendering takes milliseconds).
+function seekReplay(target) {
+  const pb = state.replay.playback;
+  if (!pb) return;
+  target = clamp(target, 0, pb.data.frames.length);
+
+  if (target < pb.cursor) restartPlaybackRun(pb);
+
+  state.replay.silent = true;
+  while (pb.cursor < target) stepReplayFrame(pb);
+  state.replay.silent = false;
+  clearFx();
+
+  pb.accumulator = 0;
+  renderAll(true);
+  renderReplayBar();
+}
+
+function setReplayPaused(paused) {
+  const pb = state.replay.playback;
+  if (!pb) return;
+
+  // Pressing play at the end starts over
+  if (!paused && pb.cursor >= pb.data.frames.length) seekReplay(0);
+
+  pb.paused = paused;
+  pb.lastFrame = 0;
+  syncMusic();
+  renderReplayBar();
+  announce(paused ? 'Replay paused' : 'Replay playing');
+}
+
+function renderReplayBar() {
+  const pb = state.replay.playback;
+  if (!pb) return;
+  el.btnReplayPlay.textContent = pb.paused ? 'Play' : 'Pause';
+  el.btnReplaySpeed.setAttribute('aria-pressed', String(pb.speed === 2));
+  el.replayScrub.value = String(pb.cursor);
+  el.replayTime.textContent =
+    `${(state.game.time.now / 1000).toFixed(1)}s / ${(pb.totalMs / 1000).toFixed(1)}s`;
 }
 
-function maybeSpawnEnemies(now) {
-  const d = state.difficulty;
-  if (now - d.lastSpawnAt >= d.spawnIntervalMs) {
-    spawnEnemy(now);
+function replayLoop(now) {
+  const pb = state.replay.playback;
+  if (state.phase !== 'replay' || !pb) return;
+
+  const last = pb.lastFrame || now;
+  pb.lastFrame = now;
 
-    // At higher levels, sometimes spawn a second enemy (controlled chaos)
-    if (d.level >= 7 && Math.random() < 0.30) spawnEnemy(now);
-    if (d.level >= 10 && Math.random() < 0.18) spawnEnemy(now);
+  if (!pb.paused) {
+    // Consume recorded frames as wall time passes (faster at 2x)
+    pb.accumulator += clamp(now - last, 0, 100) * pb.speed;
+    const frames = pb.data.frames;
+    while (pb.cursor < frames.length && pb.accumulator >= STEP_MS) {
+      pb.accumulator -= STEP_MS;
+      stepReplayFrame(pb);
+    }
+
+    renderAll(false, Math.min(1, pb.accumulator / STEP_MS));
+    renderReplayBar();
+    if (state.settings.devPanel) updateDevPanel(now);
+
+    if (pb.cursor >= frames.length) {
+      setReplayPaused(true);
+      announce(`Replay finished. Final score ${state.game.difficulty.score}`);
+    }
   }
+
+  state.time.rafId = requestAnimationFrame(replayLoop);
+}
+
+function startReplay(data, returnTo) {
+  const pb = {
+    data,
+    cursor: 0,
+    accumulator: 0,
+    lastFrame: 0,
+    speed: 1,
+    paused: false,
+    returnTo, // screen to show when playback ends
+    totalMs: data.frames.length * STEP_MS,
+  };
+
+  if (!setPhase('replay')) return;
+  cancelAnimationFrame(state.time.rafId);
+  state.replay.playback = pb;
+  state.running = false;
+
+  hideOverlay();
+  restartPlaybackRun(pb);
+
+  el.replayScrub.max = String(data.frames.length);
+  el.replayBar.classList.remove('hidden');
+  renderReplayBar();
+  announce('Replay started. P to pause, Escape to exit.');
+  syncMusic();
+
+  state.time.rafId = requestAnimationFrame(replayLoop);
+}
+
+function stopReplay() {
+  const pb = state.replay.playback;
+  if (!pb) return;
+
+  cancelAnimationFrame(state.time.rafId);
+  syncSimSettings();
+  state.replay.playback = null;
+  state.replay.silent = false;
+  el.replayBar.classList.add('hidden');
+
+  clearInput();
+  updateBounds();
+
+  showScreen(pb.returnTo);
+  syncMusic();
+  useSelectedSetup();
 }
 
+el.btnWatchReplay.addEventListener('click', () => {
+  if (state.replay.last) startReplay(state.replay.last, 'over');
+});
+el.btnDownloadReplay.addEventListener('click', () => {
+  if (state.replay.last) downloadReplay(state.replay.last);
+});
+
+el.btnLoadReplay.addEventListener('click', () => el.replayFile.click());
+el.replayFile.addEventListener('change', async () => {
+  const file = el.replayFile.files[0];
+  el.replayFile.value = ''; // allow loading the same file twice
+  if (!file) return;
+
+  const data = parseReplay(await file.text());
+  if (!data) {
+    announce('That file is not a Neon Drift replay');
+    beep(180, 60, 'sine', 0.03);
+    return;
+  }
+  startReplay(data, state.phase);
+});
+
+el.btnReplayPlay.addEventListener('click', () => {
+  setReplayPaused(!state.replay.playback.paused);
+});
+el.btnReplaySpeed.addEventListener('click', () => {
+  const pb = state.replay.playback;
+  pb.speed = pb.speed === 2 ? 1 : 2;
+  renderReplayBar();
+  announce(pb.speed === 2 ? 'Replay speed 2x' : 'Replay speed 1x');
+});
+el.replayScrub.addEventListener('input', () => seekReplay(Number(el.replayScrub.value)));
+el.btnReplayExit.addEventListener('click', stopReplay);
+
 /* -----------------------------
-   Rendering
-   We update DOM transforms (fast) and throttle HUD text updates.
+   Level editor
+   - Levels are sim data (see "Levels" in sim.js); this is only a way to
+     draw one on the playfield with the mouse or a finger
+   - The level being edited is sized to the playfield in whole pixels,
+     so what you draw is exactly what you play
+   - Play-test runs the editor's level as-is (no best scores, see bestKey);
+     Pause and Game Over then offer "Back to editor"
+   - Share links carry the whole level in the URL hash (#level=...):
+     'z' + deflated JSON where the browser can compress, else 'j' + JSON,
+     both base64url so the link survives chat apps
 ------------------------------ */
-function renderAll(force = false) {
-  // Player + orb always render (visual core)
-  el.player.style.transform = `translate(${state.player.x}px, ${state.player.y}px)`;
-  el.orb.style.transform = `translate(${state.orb.x}px, ${state.orb.y}px)`;
-
-  // Enemies render
-  for (const e of state.enemies) {
-    if (!e.active) {
-      // move offscreen (cheaper than removing)
-      e.el.style.transform = `translate(-999px, -999px)`;
-      continue;
+const SPAWNER_PICK_PX = 14;   // erase: how close to a spawner/start marker counts
+const LEVEL_ITEM_LABELS = { walls: 'Wall', orbZones: 'Orb zone', spawners: 'Spawner' };
+
+function selectedLevel() {
+  if (state.editor.testing) return state.editor.level;
+  return state.levels[state.settings.level] || null;
+}
+
+function fillHazardTypes() {
+  el.editorType.textContent = '';
+  for (const type of Object.keys(NeonSim.ENEMY_TYPES)) {
+    el.editorType.append(new Option(type[0].toUpperCase() + type.slice(1), type));
+  }
+}
+
+function fillLevelSelect() {
+  el.selectLevel.textContent = '';
+  el.selectLevel.append(new Option('Open field', ''));
+  for (const name of Object.keys(state.levels).sort()) el.selectLevel.append(new Option(name, name));
+  if (!state.levels[state.settings.level]) state.settings.level = '';
+  el.selectLevel.value = state.settings.level;
+}
+
+function chooseLevel(name) {
+  state.settings.level = state.levels[name] ? name : '';
+  el.selectLevel.value = state.settings.level;
+  saveSettings();
+  useSelectedSetup();
+}
+
+function persistLevels() {
+  if (saves.set('levels', state.levels).ok) return true;
+  announce('Level not saved: browser storage is full or turned off');
+  beep(180, 60, 'sine', 0.03);
+  return false;
+}
+
+// Keep a level under a free name ("Name (2)", ...) unless that exact
+// level is already saved. Returns the name it is saved under.
+function storeLevel(level) {
+  const json = JSON.stringify(level);
+  let name = level.name;
+  for (let n = 2; state.levels[name]; n++) {
+    if (JSON.stringify(state.levels[name]) === json) return name;
+    name = `${level.name} (${n})`;
+  }
+  state.levels[name] = { ...level, name };
+  return persistLevels() ? name : null;
+}
+
+/* Drawing the layout (play and editor share it) */
+function renderArena(arena, editing = false) {
+  el.arenaLayer.textContent = '';
+  if (!arena) return;
+
+  const add = (className, x, y, transform = '') => {
+    const node = document.createElement('div');
+    node.className = className;
+    node.style.transform = `translate(${x}px, ${y}px)${transform}`;
+    el.arenaLayer.append(node);
+    return node;
+  };
+  const addRect = (className, r) => {
+    const node = add(className, r.x, r.y);
+    node.style.width = `${r.w}px`;
+    node.style.height = `${r.h}px`;
+  };
+
+  for (const r of arena.orbZones) addRect('orb-zone', r);
+  for (const r of arena.walls) addRect('wall', r);
+  for (const s of arena.spawners) add('spawner', s.x, s.y, ` rotate(${s.angle}deg)`);
+  // Players already stand on the start point during a run
+  if (editing && arena.start) add('start-point', arena.start.x, arena.start.y);
+}
+
+function itemLabel(key, item) {
+  if (key === 'start') return `Start point at ${item.x}, ${item.y}`;
+  if (key === 'spawners') return `Spawner (${item.type}, every ${item.rateMs} ms) at ${item.x}, ${item.y}`;
+  return `${LEVEL_ITEM_LABELS[key]} ${item.w}×${item.h} at ${item.x}, ${item.y}`;
+}
+
+function renderEditor() {
+  const level = state.editor.level;
+  renderArena(level, true);
+
+  for (const btn of el.editorTools) {
+    btn.setAttribute('aria-pressed', String(btn.dataset.tool === state.editor.tool));
+  }
+
+  // One row per item; Remove is the keyboard way to erase
+  el.editorItems.textContent = '';
+  const rows = [];
+  if (level.start) rows.push(['start', 0, level.start]);
+  for (const key of ['walls', 'spawners', 'orbZones']) {
+    level[key].forEach((item, index) => rows.push([key, index, item]));
+  }
+  for (const [key, index, item] of rows) {
+    const li = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = itemLabel(key, item);
+    const btn = document.createElement('button');
+    btn.className = 'btn btn-ghost';
+    btn.type = 'button';
+    btn.textContent = 'Remove';
+    btn.setAttribute('aria-label', `Remove ${text.textContent}`);
+    btn.addEventListener('click', () => removeLevelItem(key, index));
+    li.append(text, btn);
+    el.editorItems.append(li);
+  }
+  el.editorCount.textContent = String(rows.length);
+}
+
+function renderEditorButtons() {
+  el.btnPauseEditor.classList.toggle('hidden', !state.editor.testing);
+  el.btnOverEditor.classList.toggle('hidden', !state.editor.testing);
+}
+
+// A copy of `level` (or a blank one) stretched to the playfield in whole pixels.
+function editableLevel(level) {
+  const w = Math.floor(state.game.bounds.w);
+  const h = Math.floor(state.game.bounds.h);
+  if (!level) return NeonSim.createLevel(w, h);
+
+  const scaled = NeonSim.scaleLevel(level, w, h);
+  const point = p => ({ x: clamp(Math.round(p.x), 0, w), y: clamp(Math.round(p.y), 0, h) });
+  const rect = (r) => {
+    const { x, y } = point(r);
+    return { x, y, w: Math.min(Math.round(r.w), w - x), h: Math.min(Math.round(r.h), h - y) };
+  };
+  return {
+    ...scaled,
+    size: { w, h },
+    start: scaled.start && point(scaled.start),
+    walls: scaled.walls.map(rect),
+    orbZones: scaled.orbZones.map(rect),
+    spawners: scaled.spawners.map(s => ({ ...s, ...point(s) })),
+  };
+}
+
+// The editor's level, checked like a loaded file would be (null + announced if not valid).
+function validEditorLevel() {
+  try {
+    return NeonSim.normalizeLevel(state.editor.level);
+  } catch (err) {
+    announce(`Level not ready: ${err.message}`);
+    beep(180, 60, 'sine', 0.03);
+    return null;
+  }
+}
+
+function openEditor() {
+  if (state.game.bounds.w < 200 || state.game.bounds.h < 200) {
+    announce('The playfield is too small for the level editor');
+    return;
+  }
+  const fromTest = state.editor.testing;
+  if (!setPhase('editor')) return;
+
+  // Leaving a paused run here abandons it (its stats are already counted)
+  if (state.run) {
+    state.run = null;
+    state.progress.run = null;
+    saveProgress();
+    discardSavedRun();
+  }
+  state.running = false;
+
+  const ed = state.editor;
+  ed.level = editableLevel(fromTest ? ed.level : selectedLevel());
+  ed.testing = false;
+  ed.drag = null;
+  el.editorName.value = ed.level.name;
+  el.editorEdgeSpawns.checked = ed.level.edgeSpawns;
+
+  hideOverlay();
+  renderer.clear();
+  hideBoss();
+  clearFx();
+  el.playfield.classList.add('editing');
+  el.editorBar.classList.remove('hidden');
+  renderEditorButtons();
+  renderEditor();
+  el.editorTools[0].focus();
+  announce('Level editor. Choose a tool, then click or drag on the playfield.');
+}
+
+function leaveEditorView() {
+  state.editor.drag = null;
+  el.editorBar.classList.add('hidden');
+  el.editorPreview.classList.add('hidden');
+  el.playfield.classList.remove('editing');
+}
+
+function closeEditor() {
+  if (!canMovePhase('start')) return;
+  leaveEditorView();
+  renderArena(null);
+  showScreen('start');
+  useSelectedSetup();
+}
+
+function playTestLevel() {
+  const level = validEditorLevel();
+  if (!level || !canMovePhase('play')) return;
+  state.editor.level = level;
+  state.editor.testing = true;
+  leaveEditorView();
+  renderEditorButtons();
+  startGame();
+}
+
+/* Placing and erasing */
+function addLevelItem(key, item) {
+  const list = state.editor.level[key];
+  const limit = NeonSim.LEVEL_LIMITS[key];
+  if (list.length >= limit) {
+    announce(`Limit reached: at most ${limit} of these`);
+    beep(180, 60, 'sine', 0.03);
+    return;
+  }
+  list.push(item);
+  renderEditor();
+  announce(`${itemLabel(key, item)} added`);
+  beep(640, 40, 'triangle', 0.03);
+}
+
+function removeLevelItem(key, index) {
+  const level = state.editor.level;
+  const item = key === 'start' ? level.start : level[key][index];
+  if (!item) return;
+  if (key === 'start') level.start = null;
+  else level[key].splice(index, 1);
+  renderEditor();
+  announce(`${itemLabel(key, item)} removed`);
+}
+
+// Topmost item under a point, in drawing order reversed (see renderArena)
+function levelItemAt(p) {
+  const level = state.editor.level;
+  const near = q => Math.abs(q.x - p.x) <= SPAWNER_PICK_PX && Math.abs(q.y - p.y) <= SPAWNER_PICK_PX;
+  const inside = r => p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
+
+  if (level.start && near(level.start)) return ['start', 0];
+  for (const [key, test] of [['spawners', near], ['walls', inside], ['orbZones', inside]]) {
+    for (let i = level[key].length - 1; i >= 0; i--) {
+      if (test(level[key][i])) return [key, i];
     }
-    e.el.style.transform = `translate(${e.x}px, ${e.y}px)`;
   }
+  return null;
+}
 
-  // HUD updates: only update when text actually changes
-  const d = state.difficulty;
+function placeAt(p) {
+  const tool = state.editor.tool;
+  if (tool === 'spawner') {
+    addLevelItem('spawners', {
+      x: p.x,
+      y: p.y,
+      angle: Number(el.editorAngle.value),
+      rateMs: clamp(Math.round(Number(el.editorRate.value) || 1200), 250, 20000),
+      type: el.editorType.value,
+    });
+  } else if (tool === 'start') {
+    state.editor.level.start = { x: p.x, y: p.y };
+    renderEditor();
+    announce(`${itemLabel('start', p)} set`);
+  } else if (tool === 'erase') {
+    const hit = levelItemAt(p);
+    if (hit) removeLevelItem(...hit);
+  }
+}
 
-  const scoreText = String(d.score);
-  if (force || scoreText !== state.ui.lastScoreText) {
-    el.score.textContent = scoreText;
-    state.ui.lastScoreText = scoreText;
+function dragRect(d) {
+  return { x: Math.min(d.x0, d.x1), y: Math.min(d.y0, d.y1), w: Math.abs(d.x1 - d.x0), h: Math.abs(d.y1 - d.y0) };
+}
+
+function renderEditorPreview() {
+  const d = state.editor.drag;
+  el.editorPreview.classList.toggle('hidden', !d);
+  if (!d) return;
+  const r = dragRect(d);
+  el.editorPreview.style.transform = `translate(${r.x}px, ${r.y}px)`;
+  el.editorPreview.style.width = `${r.w}px`;
+  el.editorPreview.style.height = `${r.h}px`;
+}
+
+function finishDrag() {
+  const ed = state.editor;
+  const r = dragRect(ed.drag);
+  ed.drag = null;
+  renderEditorPreview();
+
+  const key = ed.tool === 'wall' ? 'walls' : 'orbZones';
+  const min = key === 'walls' ? NeonSim.MIN_WALL_PX : NeonSim.MIN_ZONE_PX;
+  if (r.w < min || r.h < min) {
+    announce(`Too small: drag out at least ${min} by ${min} px`);
+    return;
   }
+  addLevelItem(key, r);
+}
 
-  const bestText = String(d.best);
-  if (force || bestText !== state.ui.lastBestText) {
-    el.best.textContent = bestText;
-    state.ui.lastBestText = bestText;
+function editorPoint(e) {
+  const rect = el.playfield.getBoundingClientRect();
+  const { w, h } = state.editor.level.size;
+  return { x: clamp(Math.round(e.clientX - rect.left), 0, w), y: clamp(Math.round(e.clientY - rect.top), 0, h) };
+}
+
+el.playfield.addEventListener('pointerdown', (e) => {
+  if (state.phase !== 'editor' || e.button !== 0) return;
+  e.preventDefault();
+  const p = editorPoint(e);
+  const tool = state.editor.tool;
+  if (tool === 'wall' || tool === 'zone') {
+    el.playfield.setPointerCapture(e.pointerId);
+    state.editor.drag = { x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+    renderEditorPreview();
+    return;
   }
+  placeAt(p);
+});
 
-  const levelText = String(d.level);
-  if (force || levelText !== state.ui.lastLevelText) {
-    el.level.textContent = levelText;
-    state.ui.lastLevelText = levelText;
+el.playfield.addEventListener('pointermove', (e) => {
+  const d = state.editor.drag;
+  if (state.phase !== 'editor' || !d) return;
+  const p = editorPoint(e);
+  d.x1 = p.x;
+  d.y1 = p.y;
+  renderEditorPreview();
+});
+
+el.playfield.addEventListener('pointerup', () => {
+  if (state.phase === 'editor' && state.editor.drag) finishDrag();
+});
+
+el.playfield.addEventListener('pointercancel', () => {
+  state.editor.drag = null;
+  renderEditorPreview();
+});
+
+/* Share links */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+async function encodeLevel(level) {
+  const bytes = new TextEncoder().encode(JSON.stringify(level));
+  if (typeof CompressionStream === 'function') {
+    try {
+      return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+    } catch {
+      // fall through to the uncompressed form
+    }
   }
+  return `j${toBase64Url(bytes)}`;
+}
 
-  const livesText = String(d.lives);
-  if (force || livesText !== state.ui.lastLivesText) {
-    el.lives.textContent = livesText;
-    state.ui.lastLivesText = livesText;
+// Throws (with a message worth showing) when the code is not a level.
+async function decodeLevel(code) {
+  let bytes;
+  try {
+    bytes = fromBase64Url(code.slice(1));
+  } catch {
+    throw new Error('the link is damaged');
+  }
+  if (code[0] === 'z') {
+    if (typeof DecompressionStream !== 'function') throw new Error('this browser cannot unpack compressed links');
+    bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  } else if (code[0] !== 'j') {
+    throw new Error('unknown link format');
   }
+  return NeonSim.normalizeLevel(safeJsonParse(new TextDecoder().decode(bytes), null));
 }
 
-/* -----------------------------
-   Main loop
------------------------------- */
-function loop(now) {
-  // If we’re not in play, don’t keep spinning the loop
-  if (state.phase !== 'play' || !state.running) return;
+async function loadLevelFromHash() {
+  const match = /^#level=([\w-]+)$/.exec(location.hash);
+  if (!match) return;
 
-  const t = state.time;
-  const last = t.lastFrame || now;
-  const dt = clamp(now - last, 0, 40); // clamp to avoid huge jumps when tab refocuses
-  t.lastFrame = now;
+  let level;
+  try {
+    level = await decodeLevel(match[1]);
+  } catch (err) {
+    announce(`Shared level not loaded: ${err.message}`);
+    beep(180, 60, 'sine', 0.03);
+    return;
+  }
+  const name = storeLevel(level);
+  if (!name) return;
+  fillLevelSelect();
+  chooseLevel(name); // a run in progress keeps its level (see useSelectedSetup)
+  announce(`Shared level “${name}” selected`);
+}
 
-  // Systems update
-  updatePlayer(dt, now);
-  maybeSpawnEnemies(now);
-  updateEnemies(dt);
-  resolveOrbCollection();
-  resolveEnemyCollisions();
-  scaleDifficultyOnScore();
+async function shareLevel() {
+  const level = validEditorLevel();
+  if (!level) return;
+  const url = `${location.href.split('#')[0]}#level=${await encodeLevel(level)}`;
+  history.replaceState(null, '', url); // no hashchange: this tab already has it
+  try {
+    await navigator.clipboard.writeText(url);
+    announce('Share link copied');
+  } catch {
+    announce('Share link is in the address bar (copying was not allowed)');
+  }
+}
 
-  // Render from state
-  renderAll(false);
+/* Editor controls */
+el.btnEditor.addEventListener('click', openEditor);
+el.btnPauseEditor.addEventListener('click', openEditor);
+el.btnOverEditor.addEventListener('click', openEditor);
+el.selectLevel.addEventListener('change', () => {
+  chooseLevel(el.selectLevel.value);
+  announce(state.settings.level ? `Level ${state.settings.level}` : 'Open field');
+});
 
-  // Continue loop
-  t.rafId = requestAnimationFrame(loop);
+for (const btn of el.editorTools) {
+  btn.addEventListener('click', () => {
+    state.editor.tool = btn.dataset.tool;
+    renderEditor();
+    announce(`${btn.textContent} tool`);
+  });
 }
 
+el.editorName.addEventListener('change', () => {
+  state.editor.level.name = el.editorName.value.trim() || 'Untitled';
+});
+el.editorEdgeSpawns.addEventListener('change', () => {
+  state.editor.level.edgeSpawns = el.editorEdgeSpawns.checked;
+});
+
+el.btnEditorTest.addEventListener('click', playTestLevel);
+el.btnEditorDone.addEventListener('click', closeEditor);
+el.btnEditorShare.addEventListener('click', shareLevel);
+
+el.btnEditorSave.addEventListener('click', () => {
+  const level = validEditorLevel();
+  if (!level) return;
+  state.levels[level.name] = level; // same name = overwrite (that's what Save means here)
+  if (!persistLevels()) return;
+  fillLevelSelect();
+  chooseLevel(level.name);
+  announce(`Level “${level.name}” saved`);
+});
+
+el.btnEditorExport.addEventListener('click', () => {
+  const level = validEditorLevel();
+  if (!level) return;
+  const slug = level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level';
+  downloadJson(level, `neon-drift-level-${slug}.json`);
+  announce('Level downloaded');
+});
+
+el.btnEditorImport.addEventListener('click', () => el.levelFile.click());
+el.levelFile.addEventListener('change', async () => {
+  const file = el.levelFile.files[0];
+  el.levelFile.value = ''; // allow loading the same file twice
+  if (!file) return;
+
+  let level;
+  try {
+    level = NeonSim.normalizeLevel(safeJsonParse(await file.text(), null));
+  } catch (err) {
+    announce(`Level not loaded: ${err.message}`);
+    beep(180, 60, 'sine', 0.03);
+    return;
+  }
+  state.editor.level = editableLevel(level);
+  el.editorName.value = level.name;
+  el.editorEdgeSpawns.checked = level.edgeSpawns;
+  renderEditor();
+  announce(`Level “${level.name}” loaded into the editor`);
+});
+
+el.btnEditorClear.addEventListener('click', () => {
+  const { name, edgeSpawns } = state.editor.level;
+  state.editor.level = editableLevel(null);
+  Object.assign(state.editor.level, { name, edgeSpawns });
+  renderEditor();
+  announce('Level cleared');
+});
+
 /* -----------------------------
    Initialization
 ------------------------------ */
 function init() {
   updateBounds();
   initEnemyPool();
+  initFxPool();
+  buildDevSliders();
+  fillHazardTypes();
+  bindSimEvents(state.game);
+  buildBindingsTable();
   loadPersisted();
+  el.deadzoneValue.textContent = `${Math.round(state.settings.padDeadzone * 100)}%`;
+
+  // A pad may already be connected (events only fire on first button press
+  // in some browsers, so check once too)
+  if (firstGamepad()) {
+    state.pad.connected = true;
+    gamepadLoop();
+  }
 
   // Render best score at start
   renderAll(true);
+  renderResumeButton();
 
   // Start screen visible
-  state.phase = 'start';
-  showOverlayScreen('start');
+  showScreen('start');
+
+  // A level shared as a link (#level=...) is added to the saved levels
+  loadLevelFromHash();
+  window.addEventListener('hashchange', loadLevelFromHash);
 
   // Resize handling
   window.addEventListener('resize', () => {
+    // Playback runs in the recorded bounds; real bounds are re-read on exit.
+    if (state.phase === 'replay') return;
     updateBounds();
-    placeOrb();
+    NeonSim.keepOrbInBounds(state.game);
   });
 
   // Gentle instruction for keyboard users:
@@ -0,0 +1,2106 @@
+/**
+ * Neon Drift — simulation core (no DOM).
+ *
+ * BIG IDEA:
+ * - Game rules live here: physics, spawning, collisions, scoring, scaling.
+ * - Nothing in this file touches document, window, audio or timers.
+ * - The page (script.js) owns input, rendering and sound; it calls step()
+ *   and reacts to the events the simulation emits.
+ * - Because it is plain data + functions, the same file runs in Node,
+ *   so systems can be unit-tested or simulated headlessly.
+ *
+ * Usage:
+ *   const game = NeonSim.createGame({ seed: 42, bounds: { w: 800, h: 560 } });
+ *   NeonSim.on(game, NeonSim.EVENTS.HIT, (e) => console.log('hit', e.lives));
+ *   NeonSim.step(game, { right: true }, NeonSim.STEP_MS);
+ *   NeonSim.setCurve(game, NeonSim.PRESETS.hard); // used from the next resetGame
+ *   NeonSim.setMode(game, 'coop');                // two players: step(game, [p1, p2], ms)
+ *   NeonSim.setLevel(game, levelJson);            // walls + spawners, from the next resetGame
+ *   NeonSim.setModifiers(game, ['noDash']);       // run modifiers (daily challenge), same
+ */
+const NeonSim = (() => {
+  /* -----------------------------
+     Fixed timestep
+     The page always advances the simulation in STEP_MS slices, whatever
+     the monitor refresh rate, so every machine plays the same game.
+     Tuning values below are still written "per 60 fps frame" (BASE_FRAME_MS)
+     because those numbers are easier to reason about.
+  ------------------------------ */
+  const STEP_HZ = 120;
+  const STEP_MS = 1000 / STEP_HZ;
+  const BASE_FRAME_MS = 16.67;
+
+  // Bump whenever a rule change would make old replays play out differently.
+  const RULES_VERSION = 3;
+
+  /* -----------------------------
+     Event types
+     Every event is a plain object: { type, ...payload }.
+  ------------------------------ */
+  // `player` is the player's index (0 = P1, 1 = P2).
+  const EVENTS = Object.freeze({
+    ORB_COLLECTED: 'orbCollected', // { player, gained, score, combo, x, y }
+    HIT: 'hit',                    // { player, lives, down, enemyType, x, y }
+    LEVEL_UP: 'levelUp',           // { level }
+    GAME_OVER: 'gameOver',         // { score, level, scores, winner }
+    DASH: 'dash',                  // { player, x, y }
+    DASH_DENIED: 'dashDenied',     // { player, remainingMs }
+    ENEMY_SPAWNED: 'enemySpawned', // { index, enemyType, x, y }
+
+    POWERUP_SPAWNED: 'powerupSpawned',     // { powerup, x, y }
+    POWERUP_COLLECTED: 'powerupCollected', // { player, powerup, durationMs, lives }
+    POWERUP_EXPIRED: 'powerupExpired',     // { powerup }
+    POWERUP_VANISHED: 'powerupVanished',   // { powerup } (pickup not collected in time)
+    SHIELD_BLOCKED: 'shieldBlocked',       // { enemyType, x, y }
+
+    ENEMY_SPLIT: 'enemySplit',         // { x, y }
+    BOSS_SPAWNED: 'bossSpawned',       // { hp, maxHp, level }
+    BOSS_TELEGRAPH: 'bossTelegraph',   // { attack, x, y, targetX, targetY }
+    BOSS_ATTACK: 'bossAttack',         // { attack, x, y }
+    BOSS_DAMAGED: 'bossDamaged',       // { player, hp, maxHp }
+    BOSS_DEFEATED: 'bossDefeated',     // { player, bonus, score }
+
+    PLAYER_REVIVED: 'playerRevived',   // { player, by } (co-op; by = -1 when both were down)
+    PLAYER_OUT: 'playerOut',           // { player } (versus: no lives left)
+    NEAR_MISS: 'nearMiss',             // { player, enemyType, x, y } (hazard passed within NEAR_MISS_PX)
+  });
+
+  /* -----------------------------
+     Player modes
+       solo    one player (the classic game)
+       coop    two players share score + lives; a hit knocks a player down
+               until the other one touches them
+       versus  two players race for orbs with their own score + lives;
+               the run ends when both are out, highest score wins
+  ------------------------------ */
+  const MODES = ['solo', 'coop', 'versus'];
+  const MAX_PLAYERS = 2;
+  const REVIVE_SAFE_MS = 1500; // invulnerable for this long after getting up
+
+  function playerCount(game) {
+    return game.mode === 'solo' ? 1 : 2;
+  }
+
+  // In the run and not downed / out
+  function isLive(p) {
+    return p.active && !p.down;
+  }
+
+  // Hazards and the boss chase whoever is closest. Falls back to P1 so
+  // callers always get a player.
+  function nearestLivePlayer(game, x, y) {
+    let best = game.player;
+    let bestDist = Infinity;
+    for (const p of game.players) {
+      if (!isLive(p)) continue;
+      const dist = distSq(x, y, p.x, p.y);
+      if (dist < bestDist) {
+        best = p;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  /* -----------------------------
+     Power-ups
+     Data-driven: each type lists what it changes (mods) and for how long.
+     Systems read the combined game.mods, never the power-up names,
+     so a new power-up is usually just a new row here.
+       shield          absorbs one hit (then ends early)
+       hazardTimeScale multiplies hazard movement
+       magnetRadius    pulls the orb toward the player inside this radius
+       scoreMultiplier multiplies orb points
+     `weight` is the relative spawn chance; `lives` is an instant bonus.
+  ------------------------------ */
+  const POWERUPS = Object.freeze({
+    shield: { label: 'Shield', durationMs: 12000, weight: 30, minLevel: 1, mods: { shield: true } },
+    slow: { label: 'Slow motion', durationMs: 6000, weight: 24, minLevel: 2, mods: { hazardTimeScale: 0.5 } },
+    magnet: { label: 'Orb magnet', durationMs: 9000, weight: 24, minLevel: 1, mods: { magnetRadius: 180 } },
+    multiplier: { label: 'Score x2', durationMs: 9000, weight: 18, minLevel: 3, mods: { scoreMultiplier: 2 } },
+    life: { label: 'Extra life', durationMs: 0, weight: 4, minLevel: 4, mods: {}, lives: 1 },
+  });
+
+  const BASE_MODS = Object.freeze({
+    shield: false,
+    hazardTimeScale: 1,
+    magnetRadius: 0,
+    scoreMultiplier: 1,
+    noDash: false,
+    noPowerups: false,
+    onlyType: null,
+  });
+
+  /* -----------------------------
+     Run modifiers (daily challenge)
+     Rules that hold for a whole run. Same shape as power-ups: each lists
+     its mods, and recomputeMods folds modifiers in before power-ups, so a
+     Slow motion pickup still halves double-speed hazards.
+       noDash     dash presses do nothing
+       noPowerups no pickups appear
+       onlyType   hazards from the edges are always this type
+  ------------------------------ */
+  const MODIFIERS = Object.freeze({
+    noDash: { label: 'No dash', description: 'Dashing is switched off.', mods: { noDash: true } },
+    fastHazards: { label: 'Double-speed hazards', description: 'Hazards and the boss move twice as fast.', mods: { hazardTimeScale: 2 } },
+    heavyOnly: { label: 'Heavy hazards only', description: 'Every hazard from the edges is a heavy one.', mods: { onlyType: 'heavy' } },
+    noPowerups: { label: 'No power-ups', description: 'No pickups appear.', mods: { noPowerups: true } },
+  });
+
+  const DAILY_PRESET = 'normal';
+
+  // FNV-1a: a date string -> a 32-bit seed, identical on every machine.
+  function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let k = 0; k < text.length; k++) {
+      h ^= text.charCodeAt(k);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Everyone playing on `dateKey` ('YYYY-MM-DD') gets the same seed (so the
+  // same hazards and orbs) and the same one or two modifiers. Picks come
+  // from the list above, so editing MODIFIERS re-rolls every date.
+  function dailyChallenge(dateKey) {
+    const seed = hashString(`neon-drift-daily:${dateKey}`);
+    const rng = createRng(seed);
+    const ids = Object.keys(MODIFIERS);
+    const count = rng() < 0.5 ? 1 : 2;
+    const modifiers = [];
+    while (modifiers.length < count) {
+      const id = ids[Math.floor(rng() * ids.length)];
+      if (!modifiers.includes(id)) modifiers.push(id);
+    }
+    return { date: dateKey, seed, preset: DAILY_PRESET, modifiers };
+  }
+
+  // Run modifiers by id; takes effect on the next resetGame.
+  function setModifiers(game, ids = []) {
+    for (const id of ids) {
+      if (!MODIFIERS[id]) throw new Error(`Unknown modifier: ${id}`);
+    }
+    game.modifiers = [...new Set(ids)];
+    return game.modifiers;
+  }
+
+  const PICKUP_LIFETIME_MS = 7000; // uncollected pickups fade out
+  const MAX_LIVES = 9;
+
+  /* -----------------------------
+     Difficulty curves (presets)
+     Plain JSON-shaped data, so a teacher can write their own file
+     (see curves/example-curve.json) and load it from Settings.
+
+       lives        lives at the start of a run
+       start        level 1 values
+       growth       how each level-up changes them (used past the table)
+       levels       optional table: row i holds level i+1's values; any
+                    field a row leaves out is grown from the level before
+       extraSpawns  { level, chance }: from that level on, each spawn may
+                    bring one more hazard
+       bossEvery    boss fight every N levels (0 = no bosses)
+       maxHazards   most hazards on the field at once (default 22; raise
+                    it for swarm levels, the collision grid keeps up)
+
+     `nextLevelAt` is the score that ends the level it belongs to.
+  ------------------------------ */
+  const PRESETS = {
+    relaxed: {
+      id: 'relaxed',
+      name: 'Relaxed',
+      lives: 4,
+      start: { enemyBaseSpeed: 1.4, spawnIntervalMs: 1150, nextLevelAt: 200 },
+      growth: { thresholdScale: 1.35, thresholdAdd: 120, speedStep: 0.1, maxSpeed: 3.2, intervalStep: 30, minIntervalMs: 600 },
+      levels: [],
+      extraSpawns: [{ level: 9, chance: 0.2 }],
+      bossEvery: 5,
+    },
+    normal: {
+      id: 'normal',
+      name: 'Normal',
+      lives: 3,
+      start: { enemyBaseSpeed: 1.7, spawnIntervalMs: 950, nextLevelAt: 200 },
+      growth: { thresholdScale: 1.35, thresholdAdd: 120, speedStep: 0.15, maxSpeed: 4.2, intervalStep: 40, minIntervalMs: 420 },
+      levels: [],
+      extraSpawns: [{ level: 7, chance: 0.3 }, { level: 10, chance: 0.18 }],
+      bossEvery: 5,
+    },
+    hard: {
+      id: 'hard',
+      name: 'Hard',
+      lives: 3,
+      start: { enemyBaseSpeed: 2.0, spawnIntervalMs: 850, nextLevelAt: 180 },
+      growth: { thresholdScale: 1.3, thresholdAdd: 100, speedStep: 0.2, maxSpeed: 5, intervalStep: 45, minIntervalMs: 360 },
+      levels: [],
+      extraSpawns: [{ level: 5, chance: 0.3 }, { level: 8, chance: 0.25 }],
+      bossEvery: 4,
+    },
+    // Slower hazards, more lives, gentle ramp, rare bosses: for players who
+    // need more reaction time (switch access, tremor, low vision, ...).
+    accessibility: {
+      id: 'accessibility',
+      name: 'Accessibility',
+      lives: 6,
+      start: { enemyBaseSpeed: 1.2, spawnIntervalMs: 1300, nextLevelAt: 200 },
+      growth: { thresholdScale: 1.35, thresholdAdd: 120, speedStep: 0.08, maxSpeed: 2.6, intervalStep: 25, minIntervalMs: 750 },
+      levels: [],
+      extraSpawns: [],
+      bossEvery: 10,
+    },
+  };
+
+  const DEFAULT_PRESET = 'normal';
+  const DEFAULT_MAX_HAZARDS = 22;
+
+  // Validate a curve (a preset, a loaded file, a replay header) and return a
+  // clean copy. Missing sections fall back to Normal; bad values throw an
+  // Error whose message says what to fix.
+  function normalizeCurve(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Curve must be a JSON object');
+    const base = PRESETS[DEFAULT_PRESET];
+
+    const num = (value, fallback, min, max, label) => {
+      if (value === undefined) return fallback;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${label} must be a number from ${min} to ${max}`);
+      }
+      return value;
+    };
+
+    const start = raw.start || {};
+    const growth = raw.growth || {};
+    const curve = {
+      id: typeof raw.id === 'string' && raw.id ? raw.id.slice(0, 40) : 'custom',
+      name: typeof raw.name === 'string' && raw.name ? raw.name.slice(0, 40) : 'Custom',
+      lives: Math.round(num(raw.lives, base.lives, 1, MAX_LIVES, 'lives')),
+      start: {
+        enemyBaseSpeed: num(start.enemyBaseSpeed, base.start.enemyBaseSpeed, 0.2, 10, 'start.enemyBaseSpeed'),
+        spawnIntervalMs: num(start.spawnIntervalMs, base.start.spawnIntervalMs, 100, 10000, 'start.spawnIntervalMs'),
+        nextLevelAt: num(start.nextLevelAt, base.start.nextLevelAt, 1, 1e9, 'start.nextLevelAt'),
+      },
+      growth: {
+        thresholdScale: num(growth.thresholdScale, base.growth.thresholdScale, 1, 5, 'growth.thresholdScale'),
+        thresholdAdd: num(growth.thresholdAdd, base.growth.thresholdAdd, 1, 1e6, 'growth.thresholdAdd'),
+        speedStep: num(growth.speedStep, base.growth.speedStep, 0, 5, 'growth.speedStep'),
+        maxSpeed: num(growth.maxSpeed, base.growth.maxSpeed, 0.2, 10, 'growth.maxSpeed'),
+        intervalStep: num(growth.intervalStep, base.growth.intervalStep, 0, 5000, 'growth.intervalStep'),
+        minIntervalMs: num(growth.minIntervalMs, base.growth.minIntervalMs, 100, 10000, 'growth.minIntervalMs'),
+      },
+      levels: [],
+      extraSpawns: [],
+      bossEvery: Math.round(num(raw.bossEvery, base.bossEvery, 0, 100, 'bossEvery')),
+      maxHazards: Math.round(num(raw.maxHazards, DEFAULT_MAX_HAZARDS, 1, 1000, 'maxHazards')),
+    };
+
+    const rows = raw.levels === undefined ? [] : raw.levels;
+    if (!Array.isArray(rows) || rows.length > 200) throw new Error('levels must be a list of at most 200 rows');
+    let lastTarget = 0;
+    rows.forEach((row, i) => {
+      const label = `levels[${i}]`;
+      if (!row || typeof row !== 'object') throw new Error(`${label} must be an object`);
+      const clean = {};
+      if (row.enemyBaseSpeed !== undefined) clean.enemyBaseSpeed = num(row.enemyBaseSpeed, 0, 0.2, 10, `${label}.enemyBaseSpeed`);
+      if (row.spawnIntervalMs !== undefined) clean.spawnIntervalMs = num(row.spawnIntervalMs, 0, 100, 10000, `${label}.spawnIntervalMs`);
+      if (row.nextLevelAt !== undefined) {
+        clean.nextLevelAt = num(row.nextLevelAt, 0, 1, 1e9, `${label}.nextLevelAt`);
+        // Targets must climb, or one orb would skip several levels
+        if (clean.nextLevelAt <= lastTarget) throw new Error(`${label}.nextLevelAt must be higher than the row before`);
+        lastTarget = clean.nextLevelAt;
+      }
+      curve.levels.push(clean);
+    });
+
+    const extras = raw.extraSpawns === undefined ? base.extraSpawns : raw.extraSpawns;
+    if (!Array.isArray(extras) || extras.length > 5) throw new Error('extraSpawns must be a list of at most 5 rules');
+    extras.forEach((rule, i) => {
+      if (!rule || typeof rule !== 'object') throw new Error(`extraSpawns[${i}] must be an object`);
+      curve.extraSpawns.push({
+        level: Math.round(num(rule.level, 1, 1, 1000, `extraSpawns[${i}].level`)),
+        chance: num(rule.chance, 0, 0, 1, `extraSpawns[${i}].chance`),
+      });
+    });
+
+    return curve;
+  }
+
+  /* -----------------------------
+     Levels (walls, spawners, orb zones, start point)
+     A level is plain JSON, drawn in the editor at some playfield size:
+       { version, name, size: { w, h }, edgeSpawns,
+         start: { x, y } | null,                 player start (center)
+         walls: [{ x, y, w, h }],                solid for players
+         spawners: [{ x, y, angle, rateMs, type }], fixed hazard sources
+         orbZones: [{ x, y, w, h }] }            orbs only appear inside these
+     Angles are degrees (0 = right, 90 = down). resetGame scales the level
+     to the run's bounds into game.arena (same shape), so a level made on a
+     wide screen still fits a narrow one. Hazards are energy: they fly over
+     walls, which keeps their cost independent of the level.
+  ------------------------------ */
+  const LEVEL_VERSION = 1;
+  const LEVEL_LIMITS = { walls: 64, spawners: 16, orbZones: 16 };
+  const MIN_WALL_PX = 8;
+  const MIN_ZONE_PX = 24;
+
+  function createLevel(w, h, name = 'Untitled') {
+    return {
+      version: LEVEL_VERSION,
+      name,
+      size: { w: Math.round(w), h: Math.round(h) },
+      edgeSpawns: true,
+      start: null,
+      walls: [],
+      spawners: [],
+      orbZones: [],
+    };
+  }
+
+  // Validate a level (editor, file, link, saved run) and return a clean copy
+  // with whole-pixel coordinates. Bad values throw an Error saying what to fix.
+  function normalizeLevel(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Level must be a JSON object');
+    if (raw.version !== LEVEL_VERSION) throw new Error(`Level version must be ${LEVEL_VERSION}`);
+
+    const num = (value, min, max, label) => {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${label} must be a number from ${min} to ${max}`);
+      }
+      return Math.round(value);
+    };
+    const list = (value, key) => {
+      const items = value === undefined ? [] : value;
+      if (!Array.isArray(items) || items.length > LEVEL_LIMITS[key]) {
+        throw new Error(`${key} must be a list of at most ${LEVEL_LIMITS[key]}`);
+      }
+      return items.map((item, i) => {
+        if (!item || typeof item !== 'object') throw new Error(`${key}[${i}] must be an object`);
+        return item;
+      });
+    };
+
+    const size = raw.size || {};
+    const w = num(size.w, 200, 4000, 'size.w');
+    const h = num(size.h, 200, 4000, 'size.h');
+    const rect = (r, minSide, label) => {
+      const x = num(r.x, 0, w - minSide, `${label}.x`);
+      const y = num(r.y, 0, h - minSide, `${label}.y`);
+      return { x, y, w: num(r.w, minSide, w - x, `${label}.w`), h: num(r.h, minSide, h - y, `${label}.h`) };
+    };
+
+    const level = createLevel(w, h, typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 40) : 'Untitled');
+    level.edgeSpawns = raw.edgeSpawns !== false;
+    if (raw.start) level.start = { x: num(raw.start.x, 0, w, 'start.x'), y: num(raw.start.y, 0, h, 'start.y') };
+    level.walls = list(raw.walls, 'walls').map((r, i) => rect(r, MIN_WALL_PX, `walls[${i}]`));
+    level.orbZones = list(raw.orbZones, 'orbZones').map((r, i) => rect(r, MIN_ZONE_PX, `orbZones[${i}]`));
+    level.spawners = list(raw.spawners, 'spawners').map((s, i) => {
+      const label = `spawners[${i}]`;
+      const type = s.type === undefined ? 'normal' : s.type;
+      if (!ENEMY_TYPES[type]) throw new Error(`${label}.type must be one of ${Object.keys(ENEMY_TYPES).join(', ')}`);
+      return {
+        x: num(s.x, 0, w, `${label}.x`),
+        y: num(s.y, 0, h, `${label}.y`),
+        angle: num(s.angle, -360, 360, `${label}.angle`),
+        rateMs: num(s.rateMs, 250, 20000, `${label}.rateMs`),
+        type,
+      };
+    });
+    return level;
+  }
+
+  // The same level stretched to w x h (used for play, and by the editor).
+  function scaleLevel(level, w, h) {
+    const sx = w / level.size.w;
+    const sy = h / level.size.h;
+    const rect = (r, minSide) => ({
+      x: r.x * sx,
+      y: r.y * sy,
+      w: Math.max(minSide, r.w * sx),
+      h: Math.max(minSide, r.h * sy),
+    });
+    return {
+      ...level,
+      size: { w, h },
+      start: level.start && { x: level.start.x * sx, y: level.start.y * sy },
+      walls: level.walls.map(r => rect(r, MIN_WALL_PX)),
+      spawners: level.spawners.map(s => ({ ...s, x: s.x * sx, y: s.y * sy })),
+      orbZones: level.orbZones.map(r => rect(r, MIN_ZONE_PX)),
+    };
+  }
+
+  // Play a level (or null for the open field); takes effect on the next resetGame.
+  function setLevel(game, level) {
+    game.level = level ? normalizeLevel(level) : null;
+    return game.level;
+  }
+
+  // Scale game.level to the current bounds and restart the spawner clocks.
+  function buildArena(game) {
+    const { w, h } = game.bounds;
+    game.arena = game.level ? scaleLevel(game.level, w, h) : createLevel(w, h, '');
+    game.spawnerNextAt = game.arena.spawners.map(s => s.rateMs);
+  }
+
+  // Does a size x size box at (x, y) overlap a wall? (touching is not overlapping)
+  function hitsWall(game, x, y, size) {
+    for (const r of game.arena.walls) {
+      if (x < r.x + r.w && x + size > r.x && y < r.y + r.h && y + size > r.y) return r;
+    }
+    return null;
+  }
+
+  /* -----------------------------
+     Utility: clamp, distance, seeded random
+  ------------------------------ */
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function distSq(ax, ay, bx, by) {
+    const dx = ax - bx;
+    const dy = ay - by;
+    return dx * dx + dy * dy;
+  }
+
+  // Seeded PRNG (mulberry32). Tiny and fast; plenty for game randomness.
+  // Same seed => same sequence, which is what makes replays possible.
+  // The generator's position lives on rng.state (not hidden in a closure)
+  // so a saved run can continue with exactly the same rolls.
+  function createRng(seed) {
+    function rng() {
+      rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+      let t = rng.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    rng.state = seed >>> 0;
+    return rng;
+  }
+
+  function rand(game, min, max) {
+    return game.rng() * (max - min) + min;
+  }
+
+  /* -----------------------------
+     Collision (AABB)
+     Why AABB?
+     - Fast, simple, perfect for DOM rectangles.
+  ------------------------------ */
+  function aabbCollide(ax, ay, as, bx, by, bs) {
+    return !(
+      ax + as < bx ||
+      ax > bx + bs ||
+      ay + as < by ||
+      ay > by + bs
+    );
+  }
+
+  /* -----------------------------
+     Broad phase (uniform grid)
+     Checking every hazard against every player is fine for 22 hazards,
+     not for hundreds. Each step the active hazards are dropped into a
+     grid of GRID_CELL-sized cells (by their top-left corner); a player
+     then only runs aabbCollide on hazards in the few cells around it.
+
+     Each cell is a linked list stored in two typed arrays (heads/next),
+     so rebuilding allocates nothing unless the playfield or pool grows.
+     Hazards outside the playfield go into the nearest edge cell.
+  ------------------------------ */
+  const GRID_CELL = 64;
+
+  function createGrid() {
+    return {
+      cell: GRID_CELL,
+      cols: 0,
+      rows: 0,
+      maxSize: 0,                 // largest active hazard (widens queries)
+      heads: new Int32Array(0),   // cell -> first enemy index (-1 = empty)
+      next: new Int32Array(0),    // enemy index -> next index in its cell
+    };
+  }
+
+  function gridCol(grid, x) {
+    return clamp(Math.floor(x / grid.cell), 0, grid.cols - 1);
+  }
+
+  function gridRow(grid, y) {
+    return clamp(Math.floor(y / grid.cell), 0, grid.rows - 1);
+  }
+
+  function rebuildGrid(game) {
+    const grid = game.grid;
+    const enemies = game.enemies;
+    grid.cols = Math.max(1, Math.ceil(game.bounds.w / grid.cell));
+    grid.rows = Math.max(1, Math.ceil(game.bounds.h / grid.cell));
+
+    const cells = grid.cols * grid.rows;
+    if (grid.heads.length < cells) grid.heads = new Int32Array(cells);
+    if (grid.next.length < enemies.length) grid.next = new Int32Array(enemies.length);
+    grid.heads.fill(-1, 0, cells);
+    grid.maxSize = 0;
+
+    // Back to front, so every cell lists its hazards in pool order
+    for (let i = enemies.length - 1; i >= 0; i--) {
+      const e = enemies[i];
+      if (!e.active) continue;
+      const c = gridRow(grid, e.y) * grid.cols + gridCol(grid, e.x);
+      grid.next[i] = grid.heads[c];
+      grid.heads[c] = i;
+      if (e.size > grid.maxSize) grid.maxSize = e.size;
+    }
+  }
+
+  // Lowest-index active hazard overlapping the box, or null. Lowest index
+  // keeps results identical to scanning the whole pool in order.
+  function queryGrid(game, x, y, size) {
+    const grid = game.grid;
+    const c0 = gridCol(grid, x - grid.maxSize);
+    const c1 = gridCol(grid, x + size);
+    const r0 = gridRow(grid, y - grid.maxSize);
+    const r1 = gridRow(grid, y + size);
+
+    let best = null;
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        for (let i = grid.heads[r * grid.cols + c]; i !== -1; i = grid.next[i]) {
+          if (best && i > best.index) break; // lists are sorted: nothing lower here
+          const e = game.enemies[i];
+          if (e.active && aabbCollide(x, y, size, e.x, e.y, e.size)) {
+            best = e;
+            break;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /* -----------------------------
+     Game creation + reset
+  ------------------------------ */
+
+  /**
+   * Create a new simulation.
+   * @param {Object} [options]
+   * @param {number} [options.seed] run seed (defaults to 1)
+   * @param {{w:number,h:number}} [options.bounds] playfield size in px
+   * @param {{mouseFollow?:boolean, reducedMotion?:boolean}} [options.settings]
+   * @param {number} [options.enemyPoolSize] cap on simultaneous hazards (overrides curve.maxHazards)
+   * @param {'solo'|'coop'|'versus'} [options.mode] player mode (defaults to solo)
+   */
+  function createGame(options = {}) {
+    const bounds = options.bounds || { w: 800, h: 560 };
+    const settings = options.settings || {};
+    const game = {
+      seed: 0,
+      rng: null,
+      over: false,
+
+      // Playfield dimensions (the page updates these on resize)
+      bounds: { w: bounds.w, h: bounds.h },
+
+      // Rule toggles that change physics
+      settings: {
+        mouseFollow: !!settings.mouseFollow,
+        reducedMotion: !!settings.reducedMotion, // skips knockback on hit
+      },
+
+      // Players (both preallocated; `active` says who is in this run).
+      // game.player is always P1, which is all solo code needs.
+      mode: MODES.includes(options.mode) ? options.mode : 'solo',
+      players: [],
+      player: null,
+
+      // Orb (collectible)
+      orb: {
+        x: 320,
+        y: 180,
+        prevX: 320,
+        prevY: 180,
+        size: 18,
+      },
+
+      // Enemy pool (performance-friendly): fixed array, entries toggle active.
+      // Sized from curve.maxHazards at each reset, never during a run.
+      enemies: [],
+      poolSizeOverride: options.enemyPoolSize || 0,
+      grid: createGrid(), // collision broad phase (rebuilt every step)
+
+      // Power-ups: at most one pickup on the field, any number of active effects
+      pickup: {
+        active: false,
+        type: 'shield',
+        x: -999,
+        y: -999,
+        prevX: -999,
+        prevY: -999,
+        size: 20,
+        expiresAt: 0,
+      },
+      effects: {},             // power-up type -> remaining ms
+      mods: { ...BASE_MODS },  // combined effect of everything active
+      modifiers: [],           // run modifier ids (see "Run modifiers")
+      nextPowerupAt: 0,
+
+      // Boss (one preallocated entity, active every curve.bossEvery levels)
+      boss: {
+        active: false,
+        x: -999,
+        y: -999,
+        prevX: -999,
+        prevY: -999,
+        vx: 0,
+        vy: 0,
+        size: 56,
+        hp: 0,
+        maxHp: 0,
+        nextLevel: 0,     // level that brings the next boss (unused if curve.bossEvery is 0)
+        mode: 'enter',    // 'enter' | 'roam' | 'telegraph' | 'attack'
+        attack: 'burst',  // 'burst' | 'charge'
+        timer: 0,         // ms left in the current mode
+        targetX: 0,       // charge destination (locked in during the telegraph)
+        targetY: 0,
+        hurtUntil: 0,     // boss can't take damage again until then
+        contactUntil: 0,  // touching the boss can't hurt the player again until then
+      },
+
+      // Difficulty curve (a preset or a custom file); applied by resetGame
+      curve: normalizeCurve(options.curve || PRESETS[DEFAULT_PRESET]),
+
+      // Level layout (null = open field) and its copy scaled to this run's
+      // bounds; both set up by resetGame (see "Levels")
+      level: options.level ? normalizeLevel(options.level) : null,
+      arena: null,
+      spawnerNextAt: [], // per spawner: sim time of its next hazard
+
+      // Spawning and difficulty (live values; see applyLevel)
+      difficulty: {
+        level: 1,
+        score: 0,
+        lives: 3,
+        combo: 0,
+
+        // Spawn pacing: lower means more frequent spawns
+        spawnIntervalMs: 0,
+        lastSpawnAt: 0,
+
+        // Enemy speed baseline
+        enemyBaseSpeed: 0,
+
+        // Level-up thresholds
+        nextLevelAt: 0, // score target for next level; increases over time
+      },
+
+      // Input intent per player for the current step (written by step()).
+      // game.input is P1's.
+      inputs: [],
+      input: null,
+
+      // Simulation clock (ms since run start); never wall-clock time
+      time: { now: 0 },
+
+      // Events emitted during the latest step + subscribers
+      events: [],
+      listeners: {},
+    };
+
+    for (let k = 0; k < MAX_PLAYERS; k++) {
+      game.players.push(createPlayer(k));
+      game.inputs.push({
+        moveX: 0, // -1..1 (keys give -1/0/1, analog sticks anything between)
+        moveY: 0,
+        dash: false,
+        mouseX: 0, // mouse follow is P1 only
+        mouseY: 0,
+        hasMouse: false,
+      });
+    }
+    game.player = game.players[0];
+    game.input = game.inputs[0];
+
+    resetGame(game, options.seed === undefined ? 1 : options.seed);
+    return game;
+  }
+
+  // Movement feel. Every run starts from these (a tuning panel may change
+  // a player's copy mid-run; resetGame puts them back).
+  const PLAYER_PHYSICS = {
+    speed: 0.55,      // acceleration force per frame (scaled by dt)
+    maxSpeed: 5.2,    // clamp speed for fairness
+    friction: 0.88,   // damping (higher = more slide)
+  };
+
+  function createPlayer(index) {
+    return {
+      index,
+      active: index === 0,
+      down: false,      // co-op: knocked down until revived; versus: out of lives
+      safeUntil: 0,     // hits are ignored until then (after a revive)
+      score: 0,         // this player's points (solo/co-op: their share of the team score)
+      combo: 0,         // versus combo (solo/co-op use difficulty.combo)
+      lives: 0,         // versus lives (solo/co-op use difficulty.lives)
+      x: 200,
+      y: 200,
+      prevX: 200, // position at the start of the latest step (for interpolation)
+      prevY: 200,
+      vx: 0,
+      vy: 0,
+      size: 24,
+      ...PLAYER_PHYSICS,
+      dash: {
+        ready: true,
+        cooldownMs: 900,
+        burst: 9.0,
+        lastDashAt: 0,
+      },
+    };
+  }
+
+  // Switch between solo / coop / versus; takes effect on the next resetGame.
+  function setMode(game, mode) {
+    game.mode = MODES.includes(mode) ? mode : 'solo';
+    return game.mode;
+  }
+
+  // One pooled enemy, inactive and off-field until spawned.
+  function createEnemy(index) {
+    return {
+      index,
+      active: false,
+      x: -999,
+      y: -999,
+      prevX: -999,
+      prevY: -999,
+      vx: 0,
+      vy: 0,
+      size: 18,
+      type: 'normal', // any key of ENEMY_TYPES
+
+      // Per-type scratch state. Every pooled enemy owns all of these up
+      // front, so behaviors never add properties (or allocate) mid-run.
+      age: 0,     // ms since spawn
+      speed: 0,   // px per 60 fps frame
+      angle: 0,   // heading / orbit angle (radians)
+      baseX: 0,   // zigzag: position along the straight path
+      baseY: 0,
+      fuse: 0,    // splitter: ms until it breaks apart
+      graze: -1,  // index of the player it is passing close to (-1 = none)
+    };
+  }
+
+  // Grow or shrink the pool to the curve's cap (existing entries are kept).
+  function sizeEnemyPool(game) {
+    const size = game.poolSizeOverride || game.curve.maxHazards;
+    while (game.enemies.length < size) game.enemies.push(createEnemy(game.enemies.length));
+    game.enemies.length = size;
+  }
+
+  // Start a fresh run in the same game object (keeps listeners + pool).
+  function resetGame(game, seed) {
+    const d = game.difficulty;
+    sizeEnemyPool(game);
+
+    // Reseed before anything rolls (placeOrb below) so the run is reproducible.
+    game.seed = seed >>> 0;
+    game.rng = createRng(game.seed);
+    game.time.now = 0;
+    game.over = false;
+    game.events.length = 0;
+
+    d.score = 0;
+    d.lives = game.curve.lives;
+    d.combo = 0;
+    d.level = 1;
+    applyLevel(game);
+    d.lastSpawnAt = -d.spawnIntervalMs; // first hazard spawns right away
+    buildArena(game);
+
+    // Player at the level's start point, else centered (two players side by side)
+    const count = playerCount(game);
+    const start = game.arena.start;
+    for (const p of game.players) {
+      const offset = count === 1 ? 0 : (p.index === 0 ? -40 : 40);
+      p.active = p.index < count;
+      p.down = false;
+      p.safeUntil = 0;
+      p.score = 0;
+      p.combo = 0;
+      p.lives = game.curve.lives;
+      p.x = p.prevX = p.active ? (start ? start.x - p.size / 2 : game.bounds.w / 2) + offset : -999;
+      p.y = p.prevY = p.active ? (start ? start.y - p.size / 2 : game.bounds.h / 2) : -999;
+      p.vx = 0;
+      p.vy = 0;
+      Object.assign(p, PLAYER_PHYSICS);
+      p.dash.ready = true;
+      p.dash.lastDashAt = -p.dash.cooldownMs; // dash available immediately
+    }
+
+    for (const i of game.inputs) {
+      i.moveX = 0;
+      i.moveY = 0;
+      i.dash = false;
+    }
+
+    // deactivate enemies
+    for (const e of game.enemies) {
+      e.active = false;
+      e.graze = -1;
+      e.x = e.prevX = -999;
+      e.y = e.prevY = -999;
+      e.vx = 0;
+      e.vy = 0;
+    }
+
+    placeOrb(game);
+
+    // power-ups
+    const pu = game.pickup;
+    pu.active = false;
+    pu.x = pu.prevX = -999;
+    pu.y = pu.prevY = -999;
+    game.effects = {};
+    recomputeMods(game); // run modifiers only, until a pickup is collected
+    game.nextPowerupAt = nextPowerupDelay(game);
+
+    const b = game.boss;
+    b.active = false;
+    b.nextLevel = game.curve.bossEvery;
+    b.x = b.prevX = -999;
+    b.y = b.prevY = -999;
+    return game;
+  }
+
+  /* -----------------------------
+     Events
+  ------------------------------ */
+
+  // Subscribe to one event type (or '*' for all). Returns an unsubscribe function.
+  function on(game, type, handler) {
+    (game.listeners[type] || (game.listeners[type] = [])).push(handler);
+    return () => {
+      const list = game.listeners[type];
+      const idx = list.indexOf(handler);
+      if (idx !== -1) list.splice(idx, 1);
+    };
+  }
+
+  function emit(game, type, payload) {
+    const event = { type, ...payload };
+    game.events.push(event);
+    const specific = game.listeners[type];
+    if (specific) specific.forEach(fn => fn(event, game));
+    const all = game.listeners['*'];
+    if (all) all.forEach(fn => fn(event, game));
+  }
+
+  /* -----------------------------
+     Interpolation support
+     Renderers draw between prev and current positions, so
+     teleports (respawn, orb move) must snap prev to avoid a visible slide.
+  ------------------------------ */
+  function snap(entity) {
+    entity.prevX = entity.x;
+    entity.prevY = entity.y;
+  }
+
+  function snapshotPositions(game) {
+    for (const p of game.players) snap(p);
+    snap(game.orb);
+    if (game.pickup.active) snap(game.pickup);
+    if (game.boss.active) snap(game.boss);
+    for (const e of game.enemies) {
+      if (e.active) snap(e);
+    }
+  }
+
+  /* -----------------------------
+     Orb placement
+  ------------------------------ */
+
+  // Move an entity to a random spot away from the players (fairness),
+  // never inside a wall. `zones` (a level's orb zones) limits where.
+  function placeAwayFromPlayer(game, entity, minDist, zones = []) {
+    const margin = 24;
+    const { w, h } = game.bounds;
+    const p = game.player;
+
+    let tries = 0;
+    while (tries < 50) {
+      let x;
+      let y;
+      if (zones.length) {
+        const zone = zones[Math.floor(rand(game, 0, zones.length))];
+        x = rand(game, zone.x, Math.max(zone.x, zone.x + zone.w - entity.size));
+        y = rand(game, zone.y, Math.max(zone.y, zone.y + zone.h - entity.size));
+      } else {
+        x = rand(game, margin, w - margin);
+        y = rand(game, margin, h - margin);
+      }
+      const near = nearestLivePlayer(game, x, y);
+      if (distSq(x, y, near.x, near.y) >= minDist * minDist && !hitsWall(game, x, y, entity.size)) {
+        entity.x = x;
+        entity.y = y;
+        snap(entity);
+        return;
+      }
+      tries++;
+    }
+    // fallback (rare)
+    if (zones.length) {
+      entity.x = zones[0].x;
+      entity.y = zones[0].y;
+    } else {
+      entity.x = clamp(p.x + 150, margin, w - margin);
+      entity.y = clamp(p.y + 80, margin, h - margin);
+    }
+    snap(entity);
+  }
+
+  // Place orb away from player for fairness (inside an orb zone, if the
+  // level has any; a zone is small, so "away" matters less there).
+  function placeOrb(game) {
+    const zones = game.arena.orbZones;
+    placeAwayFromPlayer(game, game.orb, zones.length ? 60 : 130, zones);
+  }
+
+  // Keep the orb reachable after a resize (no random roll, so replays stay in sync).
+  function keepOrbInBounds(game) {
+    const margin = 24;
+    const { w, h } = game.bounds;
+    game.orb.x = clamp(game.orb.x, margin, w - margin);
+    game.orb.y = clamp(game.orb.y, margin, h - margin);
+    snap(game.orb);
+  }
+
+  /* -----------------------------
+     Difficulty scaling
+     Goal: "fair but harder over time"
+  ------------------------------ */
+  // Swap in a different curve; takes effect on the next resetGame.
+  function setCurve(game, curve) {
+    game.curve = normalizeCurve(curve);
+    return game.curve;
+  }
+
+  // Set d's pacing for d.level: the table row if there is one,
+  // otherwise grow from the previous level's values.
+  function applyLevel(game) {
+    const d = game.difficulty;
+    const { start, growth, levels } = game.curve;
+    const row = levels[d.level - 1] || {};
+
+    if (d.level === 1) {
+      d.enemyBaseSpeed = start.enemyBaseSpeed;
+      d.spawnIntervalMs = start.spawnIntervalMs;
+      d.nextLevelAt = start.nextLevelAt;
+    } else {
+      // Increase enemy speed slightly
+      d.enemyBaseSpeed = Math.min(growth.maxSpeed, d.enemyBaseSpeed + growth.speedStep);
+
+      // Spawn a bit faster (lower interval)
+      d.spawnIntervalMs = Math.max(growth.minIntervalMs, d.spawnIntervalMs - growth.intervalStep);
+
+      d.nextLevelAt = Math.floor(d.nextLevelAt * growth.thresholdScale + growth.thresholdAdd);
+    }
+
+    if (row.enemyBaseSpeed !== undefined) d.enemyBaseSpeed = row.enemyBaseSpeed;
+    if (row.spawnIntervalMs !== undefined) d.spawnIntervalMs = row.spawnIntervalMs;
+    // A table target below the score already reached would chain level-ups
+    if (row.nextLevelAt !== undefined) d.nextLevelAt = Math.max(row.nextLevelAt, d.score + 1);
+  }
+
+  function scaleDifficultyOnScore(game) {
+    const d = game.difficulty;
+
+    // Level up when reaching threshold.
+    if (d.score >= d.nextLevelAt) {
+      d.level += 1;
+      applyLevel(game);
+      emit(game, EVENTS.LEVEL_UP, { level: d.level });
+    }
+  }
+
+  /* -----------------------------
+     Enemy behaviors
+     Each type declares its size, speed, when it starts appearing and an
+     update(game, e, scale) function that moves it. updateEnemies just calls
+     the type's update, so adding a hazard = adding a row (registerEnemyType).
+     `scale` is "60 fps frames this step", already slowed by power-ups.
+  ------------------------------ */
+  function moveStraight(game, e, scale) {
+    e.x += e.vx * scale;
+    e.y += e.vy * scale;
+  }
+
+  // Homing: steers toward the player, but can only turn so fast,
+  // so a sidestep or dash still beats it. Gives up after a while.
+  function updateHoming(game, e, scale) {
+    if (e.age < 6000) {
+      const p = nearestLivePlayer(game, e.x, e.y);
+      const want = Math.atan2(p.y - e.y, p.x - e.x);
+      let diff = want - e.angle;
+      diff = Math.atan2(Math.sin(diff), Math.cos(diff)); // wrap to -PI..PI
+      const maxTurn = 0.035 * scale;
+      e.angle += clamp(diff, -maxTurn, maxTurn);
+      e.vx = Math.cos(e.angle) * e.speed;
+      e.vy = Math.sin(e.angle) * e.speed;
+    }
+    moveStraight(game, e, scale);
+  }
+
+  // Zigzag: travels a straight base path and weaves across it on a sine wave.
+  function updateZigzag(game, e, scale) {
+    e.baseX += e.vx * scale;
+    e.baseY += e.vy * scale;
+    const offset = Math.sin(e.age / 180) * 34; // px either side of the path
+    e.x = e.baseX - Math.sin(e.angle) * offset;
+    e.y = e.baseY + Math.cos(e.angle) * offset;
+  }
+
+  // Splitter: breaks into two small shards when its fuse runs out
+  // or when it gets close to the player.
+  function updateSplitter(game, e, scale) {
+    moveStraight(game, e, scale);
+    e.fuse -= (scale * BASE_FRAME_MS);
+    const p = nearestLivePlayer(game, e.x, e.y);
+    const close = distSq(e.x, e.y, p.x, p.y) < 120 * 120;
+    if (e.fuse <= 0 || close) splitEnemy(game, e);
+  }
+
+  // Orbiter: heads for the orb, circles it for a while, then leaves.
+  function updateOrbiter(game, e, scale) {
+    const o = game.orb;
+    const cx = o.x + o.size / 2;
+    const cy = o.y + o.size / 2;
+    const radius = 70;
+
+    if (e.age > 7000) {
+      moveStraight(game, e, scale); // drifting away (vx/vy set when it let go)
+      return;
+    }
+
+    const dx = e.x - cx;
+    const dy = e.y - cy;
+    if (dx * dx + dy * dy > (radius + 8) * (radius + 8) && e.fuse > 0) {
+      // Approach
+      e.angle = Math.atan2(cy - e.y, cx - e.x);
+      e.x += Math.cos(e.angle) * e.speed * scale;
+      e.y += Math.sin(e.angle) * e.speed * scale;
+      return;
+    }
+
+    // Orbit (fuse doubles as "has reached the orb" flag)
+    if (e.fuse > 0) {
+      e.fuse = 0;
+      e.angle = Math.atan2(dy, dx);
+    }
+    e.angle += 0.03 * scale;
+    e.x = cx + Math.cos(e.angle) * radius;
+    e.y = cy + Math.sin(e.angle) * radius;
+
+    // Tangent velocity, used when it breaks orbit
+    e.vx = -Math.sin(e.angle) * e.speed;
+    e.vy = Math.cos(e.angle) * e.speed;
+  }
+
+  /**
+   * Enemy type table.
+   *   size        hitbox size (px); bigger = visibly different, not color-only
+   *   speedScale  multiplier on difficulty.enemyBaseSpeed
+   *   minLevel    first level it can spawn (Infinity = only spawned by others)
+   *   weight      relative spawn chance among unlocked types
+   *   update      behavior (see above)
+   */
+  const ENEMY_TYPES = {
+    normal: { size: 18, speedScale: 1, minLevel: 1, weight: 60, update: moveStraight },
+    fast: { size: 18, speedScale: 1.35, minLevel: 4, weight: 25, update: moveStraight },
+    heavy: { size: 24, speedScale: 0.85, minLevel: 6, weight: 14, update: moveStraight },
+    zigzag: { size: 18, speedScale: 1, minLevel: 7, weight: 16, update: updateZigzag },
+    homing: { size: 18, speedScale: 0.8, minLevel: 8, weight: 12, update: updateHoming },
+    splitter: { size: 22, speedScale: 0.8, minLevel: 9, weight: 10, update: updateSplitter },
+    orbiter: { size: 16, speedScale: 1.1, minLevel: 11, weight: 8, update: updateOrbiter },
+    shard: { size: 12, speedScale: 1.3, minLevel: Infinity, weight: 0, update: moveStraight },
+    bolt: { size: 14, speedScale: 1.2, minLevel: Infinity, weight: 0, update: moveStraight },
+  };
+
+  // Extension point: add or replace an enemy type (same shape as the table rows).
+  function registerEnemyType(name, def) {
+    ENEMY_TYPES[name] = { size: 18, speedScale: 1, minLevel: Infinity, weight: 0, update: moveStraight, ...def };
+  }
+
+  /* -----------------------------
+     Enemy spawning
+     Uses pool: activate an inactive enemy.
+  ------------------------------ */
+  function findFreeEnemy(game) {
+    for (const e of game.enemies) {
+      if (!e.active) return e;
+    }
+    return null; // pool full
+  }
+
+  function rollEnemyType(game) {
+    const level = game.difficulty.level;
+    let total = 0;
+    for (const name in ENEMY_TYPES) {
+      if (ENEMY_TYPES[name].minLevel <= level) total += ENEMY_TYPES[name].weight;
+    }
+    let roll = game.rng() * total;
+    for (const name in ENEMY_TYPES) {
+      const def = ENEMY_TYPES[name];
+      if (def.minLevel > level) continue;
+      roll -= def.weight;
+      if (roll < 0) return name;
+    }
+    return 'normal';
+  }
+
+  // Activate a pooled enemy of `type` at (x, y) heading along `angle`.
+  function activateEnemy(game, enemy, type, x, y, angle, speed) {
+    const def = ENEMY_TYPES[type];
+    enemy.type = type;
+    enemy.size = def.size; // Size varies by type (not color-only feedback)
+    enemy.x = enemy.baseX = x;
+    enemy.y = enemy.baseY = y;
+    enemy.angle = angle;
+    enemy.speed = speed;
+    enemy.vx = Math.cos(angle) * speed;
+    enemy.vy = Math.sin(angle) * speed;
+    enemy.age = 0;
+    enemy.fuse = type === 'splitter' ? 1600 : 1; // orbiters use fuse > 0 as "still approaching"
+    enemy.graze = -1;
+    enemy.active = true;
+    snap(enemy);
+
+    emit(game, EVENTS.ENEMY_SPAWNED, { index: enemy.index, enemyType: type, x, y });
+  }
+
+  function spawnEnemy(game, now) {
+    const d = game.difficulty;
+    const { w, h } = game.bounds;
+    const margin = 20;
+
+    const enemy = findFreeEnemy(game);
+    if (!enemy) return;
+
+    // Choose type based on level
+    const type = game.mods.onlyType || rollEnemyType(game);
+
+    // Spawn from a random edge to feel “incoming”
+    let x = 0;
+    let y = 0;
+    const edge = Math.floor(rand(game, 0, 4)); // 0 top, 1 right, 2 bottom, 3 left
+    if (edge === 0) { x = rand(game, margin, w - margin); y = -margin; }
+    if (edge === 1) { x = w + margin; y = rand(game, margin, h - margin); }
+    if (edge === 2) { x = rand(game, margin, w - margin); y = h + margin; }
+    if (edge === 3) { x = -margin; y = rand(game, margin, h - margin); }
+
+    // Direction: roughly toward the nearest player (adds “intent”)
+    const p = nearestLivePlayer(game, x, y);
+    const angle = Math.atan2(p.y - y, p.x - x);
+
+    // Speed by type + difficulty
+    const speed = (d.enemyBaseSpeed + rand(game, -0.2, 0.2)) * ENEMY_TYPES[type].speedScale;
+
+    activateEnemy(game, enemy, type, x, y, angle, speed);
+    d.lastSpawnAt = now;
+  }
+
+  function fireSpawner(game, s) {
+    const enemy = findFreeEnemy(game);
+    if (!enemy) return;
+    const size = ENEMY_TYPES[s.type].size;
+    const speed = (game.difficulty.enemyBaseSpeed + rand(game, -0.2, 0.2)) * ENEMY_TYPES[s.type].speedScale;
+    activateEnemy(game, enemy, s.type, s.x - size / 2, s.y - size / 2, (s.angle * Math.PI) / 180, speed);
+  }
+
+  const SHARD_TURNS = [-0.55, 0.55]; // radians either side of the splitter's heading
+
+  function splitEnemy(game, e) {
+    const x = e.x;
+    const y = e.y;
+    const angle = e.angle;
+    const speed = e.speed * ENEMY_TYPES.shard.speedScale;
+    // Retire the splitter first: a shard may take over its pool slot
+    e.active = false;
+    e.x = -999;
+    e.y = -999;
+    for (const turn of SHARD_TURNS) {
+      const shard = findFreeEnemy(game);
+      if (shard) activateEnemy(game, shard, 'shard', x, y, angle + turn, speed);
+    }
+    emit(game, EVENTS.ENEMY_SPLIT, { x, y });
+  }
+
+  function maybeSpawnEnemies(game, now) {
+    const d = game.difficulty;
+
+    // Boss fight every few levels. If the player levels past a boss level
+    // mid-fight, the next boss simply arrives once this one is beaten.
+    if (game.curve.bossEvery && !game.boss.active && d.level >= game.boss.nextLevel) spawnBoss(game);
+
+    // The boss brings its own hazards; regular spawns wait.
+    if (game.boss.active) {
+      d.lastSpawnAt = now;
+      return;
+    }
+
+    // Level spawners fire on their own clocks, in their own direction
+    const spawners = game.arena.spawners;
+    for (let k = 0; k < spawners.length; k++) {
+      if (now < game.spawnerNextAt[k]) continue;
+      game.spawnerNextAt[k] = now + spawners[k].rateMs;
+      fireSpawner(game, spawners[k]);
+    }
+
+    if (game.arena.edgeSpawns && now - d.lastSpawnAt >= d.spawnIntervalMs) {
+      spawnEnemy(game, now);
+
+      // At higher levels, sometimes spawn a second enemy (controlled chaos)
+      for (const rule of game.curve.extraSpawns) {
+        if (d.level >= rule.level && game.rng() < rule.chance) spawnEnemy(game, now);
+      }
+    }
+  }
+
+  /* -----------------------------
+     Boss encounter
+     Every curve.bossEvery levels. Loop: roam -> telegraph -> attack -> roam.
+     The telegraph is the fair part: the attack is always announced
+     (event + visual) for TELEGRAPH_MS before it happens.
+     Dash into the boss to damage it; touching it otherwise costs a life.
+  ------------------------------ */
+  const BOSS_ROAM_MS = 1800;
+  const TELEGRAPH_MS = 900;
+  const CHARGE_MS = 650;
+  const DASH_ACTIVE_MS = 300; // how long after a dash the player counts as "dashing"
+
+  function spawnBoss(game) {
+    const b = game.boss;
+    const level = game.difficulty.level;
+    const every = game.curve.bossEvery;
+    b.maxHp = 4 + Math.floor(level / every) * 2;
+    b.nextLevel = level + every;
+    b.hp = b.maxHp;
+    b.x = game.bounds.w / 2 - b.size / 2;
+    b.y = -b.size;
+    b.vx = 0;
+    b.vy = 0;
+    b.mode = 'enter';
+    b.timer = 0;
+    b.attack = 'charge'; // flips to 'burst' for the first attack
+    b.hurtUntil = 0;
+    b.contactUntil = 0;
+    b.active = true;
+    snap(b);
+    emit(game, EVENTS.BOSS_SPAWNED, { hp: b.hp, maxHp: b.maxHp, level });
+  }
+
+  function fireBurst(game, b) {
+    const cx = b.x + b.size / 2;
+    const cy = b.y + b.size / 2;
+    const speed = game.difficulty.enemyBaseSpeed * ENEMY_TYPES.bolt.speedScale;
+    const count = 8;
+    const offset = rand(game, 0, Math.PI * 2 / count);
+    for (let k = 0; k < count; k++) {
+      const bolt = findFreeEnemy(game);
+      if (!bolt) break;
+      activateEnemy(game, bolt, 'bolt', cx, cy, offset + (k / count) * Math.PI * 2, speed);
+    }
+  }
+
+  function updateBoss(game, dt) {
+    const b = game.boss;
+    if (!b.active) return;
+
+    const scaledDt = dt * game.mods.hazardTimeScale;
+    const scale = scaledDt / BASE_FRAME_MS;
+    const p = nearestLivePlayer(game, b.x, b.y);
+    const { w, h } = game.bounds;
+    b.timer -= scaledDt;
+
+    if (b.mode === 'enter') {
+      // Glide in from the top
+      b.y += 1.6 * scale;
+      if (b.y >= 70) {
+        b.mode = 'roam';
+        b.timer = BOSS_ROAM_MS;
+      }
+      return;
+    }
+
+    if (b.mode === 'roam') {
+      // Drift toward the player's column
+      const dx = (p.x + p.size / 2) - (b.x + b.size / 2);
+      b.x += clamp(dx, -1.2, 1.2) * scale;
+      if (b.timer <= 0) {
+        b.attack = b.attack === 'burst' ? 'charge' : 'burst';
+        b.mode = 'telegraph';
+        b.timer = TELEGRAPH_MS;
+        b.targetX = p.x + p.size / 2 - b.size / 2;
+        b.targetY = p.y + p.size / 2 - b.size / 2;
+        emit(game, EVENTS.BOSS_TELEGRAPH, {
+          attack: b.attack,
+          x: b.x,
+          y: b.y,
+          targetX: b.targetX,
+          targetY: b.targetY,
+        });
+      }
+    } else if (b.mode === 'telegraph') {
+      if (b.timer <= 0) {
+        b.mode = 'attack';
+        emit(game, EVENTS.BOSS_ATTACK, { attack: b.attack, x: b.x, y: b.y });
+        if (b.attack === 'burst') {
+          fireBurst(game, b);
+          b.timer = 0;
+        } else {
+          b.timer = CHARGE_MS;
+          const dx = b.targetX - b.x;
+          const dy = b.targetY - b.y;
+          const frames = CHARGE_MS / BASE_FRAME_MS;
+          b.vx = dx / frames;
+          b.vy = dy / frames;
+        }
+      }
+    } else if (b.mode === 'attack') {
+      b.x += b.vx * scale;
+      b.y += b.vy * scale;
+      if (b.timer <= 0) {
+        b.vx = 0;
+        b.vy = 0;
+        b.mode = 'roam';
+        b.timer = BOSS_ROAM_MS;
+      }
+    }
+
+    b.x = clamp(b.x, 0, w - b.size);
+    b.y = clamp(b.y, 0, h - b.size);
+  }
+
+  function resolveBossCollision(game, now) {
+    const b = game.boss;
+    if (!b.active) return;
+    for (const p of game.players) {
+      if (!isLive(p) || !aabbCollide(p.x, p.y, p.size, b.x, b.y, b.size)) continue;
+      bossContact(game, b, p, now);
+      if (!b.active || game.over) return;
+    }
+  }
+
+  function bossContact(game, b, p, now) {
+    // Push the player out so one touch is one event (gameplay, so not
+    // skipped in reduced motion: the player must end up outside the boss)
+    const dx = (p.x + p.size / 2) - (b.x + b.size / 2);
+    const dy = (p.y + p.size / 2) - (b.y + b.size / 2);
+    const len = Math.max(0.001, Math.sqrt(dx * dx + dy * dy));
+    p.vx = (dx / len) * p.maxSpeed;
+    p.vy = (dy / len) * p.maxSpeed;
+
+    const dashing = now - p.dash.lastDashAt < DASH_ACTIVE_MS;
+    if (dashing) {
+      if (now < b.hurtUntil) return;
+      b.hp -= 1;
+      b.hurtUntil = now + 600;
+      emit(game, EVENTS.BOSS_DAMAGED, { player: p.index, hp: b.hp, maxHp: b.maxHp });
+
+      if (b.hp <= 0) {
+        const d = game.difficulty;
+        const bonus = 100 * d.level;
+        d.score += bonus;
+        p.score += bonus;
+        b.active = false;
+        b.x = b.y = -999;
+        emit(game, EVENTS.BOSS_DEFEATED, { player: p.index, bonus, score: d.score });
+      }
+      return;
+    }
+
+    if (now < b.contactUntil || now < p.safeUntil) return;
+    b.contactUntil = now + 1000;
+    damagePlayer(game, p, 'boss', p.x, p.y);
+  }
+
+
+  /* -----------------------------
+     Power-up spawning + effects
+  ------------------------------ */
+
+  // Pickups show up more often as levels rise (every ~14 s at level 1, ~6 s later).
+  function nextPowerupDelay(game) {
+    const base = clamp(14000 - (game.difficulty.level - 1) * 700, 6000, 14000);
+    return game.time.now + base * rand(game, 0.8, 1.2);
+  }
+
+  function rollPowerupType(game) {
+    const level = game.difficulty.level;
+    const types = Object.keys(POWERUPS).filter(t => POWERUPS[t].minLevel <= level);
+    const total = types.reduce((sum, t) => sum + POWERUPS[t].weight, 0);
+
+    let roll = rand(game, 0, total);
+    for (const t of types) {
+      roll -= POWERUPS[t].weight;
+      if (roll < 0) return t;
+    }
+    return types[types.length - 1];
+  }
+
+  function spawnPickup(game, now) {
+    const pu = game.pickup;
+    pu.type = rollPowerupType(game);
+    placeAwayFromPlayer(game, pu, 110);
+    pu.active = true;
+    pu.expiresAt = now + PICKUP_LIFETIME_MS;
+    emit(game, EVENTS.POWERUP_SPAWNED, { powerup: pu.type, x: pu.x, y: pu.y });
+  }
+
+  // Combine the run modifiers and every active effect into one mods object.
+  // Booleans OR together, scales multiply, radii take the largest.
+  function recomputeMods(game) {
+    const mods = game.mods;
+    Object.assign(mods, BASE_MODS);
+    const apply = (m) => {
+      if (m.shield) mods.shield = true;
+      if (m.hazardTimeScale) mods.hazardTimeScale *= m.hazardTimeScale;
+      if (m.magnetRadius) mods.magnetRadius = Math.max(mods.magnetRadius, m.magnetRadius);
+      if (m.scoreMultiplier) mods.scoreMultiplier *= m.scoreMultiplier;
+      if (m.noDash) mods.noDash = true;
+      if (m.noPowerups) mods.noPowerups = true;
+      if (m.onlyType) mods.onlyType = m.onlyType;
+    };
+    for (const id of game.modifiers) apply(MODIFIERS[id].mods);
+    for (const type of Object.keys(game.effects)) apply(POWERUPS[type].mods);
+  }
+
+  function endEffect(game, type) {
+    delete game.effects[type];
+    recomputeMods(game);
+  }
+
+  function collectPickup(game, p) {
+    const pu = game.pickup;
+    const def = POWERUPS[pu.type];
+    // Versus players own their lives; otherwise lives are shared
+    const d = game.mode === 'versus' ? p : game.difficulty;
+
+    pu.active = false;
+    pu.x = -999;
+    pu.y = -999;
+
+    // Timed effects refresh if collected again while active
+    if (def.durationMs > 0) game.effects[pu.type] = def.durationMs;
+    if (def.lives) d.lives = Math.min(MAX_LIVES, d.lives + def.lives);
+    recomputeMods(game);
+
+    emit(game, EVENTS.POWERUP_COLLECTED, { player: p.index, powerup: pu.type, durationMs: def.durationMs, lives: d.lives });
+  }
+
+  function updatePowerups(game, dt, now) {
+    // Tick active effects (simulation time, so pause/replay stay exact)
+    for (const type of Object.keys(game.effects)) {
+      game.effects[type] -= dt;
+      if (game.effects[type] <= 0) {
+        endEffect(game, type);
+        emit(game, EVENTS.POWERUP_EXPIRED, { powerup: type });
+      }
+    }
+
+    const pu = game.pickup;
+
+    if (!pu.active) {
+      if (now >= game.nextPowerupAt && !game.mods.noPowerups) {
+        spawnPickup(game, now);
+        game.nextPowerupAt = nextPowerupDelay(game);
+      }
+      return;
+    }
+
+    const p = game.players.find(q => isLive(q) && aabbCollide(q.x, q.y, q.size, pu.x, pu.y, pu.size));
+    if (p) {
+      collectPickup(game, p);
+    } else if (now >= pu.expiresAt) {
+      pu.active = false;
+      pu.x = -999;
+      pu.y = -999;
+      emit(game, EVENTS.POWERUP_VANISHED, { powerup: pu.type });
+    }
+  }
+
+  // Magnet: drift the orb toward the nearest player while in range.
+  function updateOrb(game, dt) {
+    const radius = game.mods.magnetRadius;
+    if (!radius) return;
+
+    const o = game.orb;
+    const p = nearestLivePlayer(game, o.x, o.y);
+    const dx = (p.x + p.size / 2) - (o.x + o.size / 2);
+    const dy = (p.y + p.size / 2) - (o.y + o.size / 2);
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len > radius || len < 0.001) return;
+
+    const pull = 3.2 * (dt / BASE_FRAME_MS); // px per 60 fps frame
+    const stepLen = Math.min(len, pull);
+    o.x += (dx / len) * stepLen;
+    o.y += (dy / len) * stepLen;
+  }
+
+  /* -----------------------------
+     Game update systems
+  ------------------------------ */
+  function updatePlayer(game, p, i, dt, now) {
+    // Downed / out players don't move
+    if (!isLive(p)) {
+      p.vx = 0;
+      p.vy = 0;
+      i.dash = false;
+      return;
+    }
+
+    // If mouse follow is on, convert mouse position into “intent”
+    // (still keyboard-playable because toggle is optional)
+    let ax = 0;
+    let ay = 0;
+
+    if (game.settings.mouseFollow && i.hasMouse && p.index === 0) {
+      const dx = i.mouseX - p.x;
+      const dy = i.mouseY - p.y;
+
+      // Normalize direction into intent-like acceleration
+      const len = Math.max(0.001, Math.sqrt(dx * dx + dy * dy));
+      ax = (dx / len) * p.speed;
+      ay = (dy / len) * p.speed;
+    } else {
+      // Directional intent: proportional, so half a stick tilt = half the push
+      ax = i.moveX * p.speed;
+      ay = i.moveY * p.speed;
+    }
+
+    // Apply acceleration (tuning is per 60 fps frame; scale to this step)
+    const scale = dt / BASE_FRAME_MS;
+    p.vx += ax * scale;
+    p.vy += ay * scale;
+
+    // Dash: short burst, with cooldown (a "No dash" run just drops the press)
+    if (i.dash && game.mods.noDash) i.dash = false;
+    if (i.dash) {
+      i.dash = false; // consume input
+      const sinceDash = now - p.dash.lastDashAt;
+      if (sinceDash >= p.dash.cooldownMs) {
+        // Dash in current movement direction (or toward mouse if no movement)
+        const dx = p.vx || 0.001;
+        const dy = p.vy || 0.001;
+        const len = Math.max(0.001, Math.sqrt(dx * dx + dy * dy));
+        p.vx = (dx / len) * p.dash.burst;
+        p.vy = (dy / len) * p.dash.burst;
+        p.dash.lastDashAt = now;
+        emit(game, EVENTS.DASH, { player: p.index, x: p.x, y: p.y });
+      } else {
+        emit(game, EVENTS.DASH_DENIED, { player: p.index, remainingMs: p.dash.cooldownMs - sinceDash });
+      }
+    }
+
+    // Apply friction (damping). `friction` is "per 60 fps frame", so it is
+    // raised to the step's share of a frame: two 120 Hz steps damp exactly
+    // as much as one 60 Hz frame.
+    const damping = Math.pow(p.friction, scale);
+    p.vx *= damping;
+    p.vy *= damping;
+
+    // Clamp speed so it stays fair
+    p.vx = clamp(p.vx, -p.maxSpeed, p.maxSpeed);
+    p.vy = clamp(p.vy, -p.maxSpeed, p.maxSpeed);
+
+    // Move position, one axis at a time: a wall stops only the axis that
+    // ran into it, so the player slides along walls instead of sticking
+    p.x += p.vx * scale;
+    if (game.arena.walls.length) resolveWalls(game, p, 'x');
+    p.y += p.vy * scale;
+    if (game.arena.walls.length) {
+      resolveWalls(game, p, 'y');
+      pushOutOfWalls(game, p);
+    }
+
+    // Boundary clamp so player stays inside playfield
+    const margin = 2;
+    p.x = clamp(p.x, margin, game.bounds.w - p.size - margin);
+    p.y = clamp(p.y, margin, game.bounds.h - p.size - margin);
+  }
+
+  /* -----------------------------
+     Wall collision response
+     aabbCollide only answers "do these overlap?". Walls need an answer to
+     "where should the player be instead?": after moving along one axis,
+     put the player flush against the wall they entered and stop that axis.
+  ------------------------------ */
+  function resolveWalls(game, p, axis) {
+    for (const r of game.arena.walls) {
+      if (!(p.x < r.x + r.w && p.x + p.size > r.x && p.y < r.y + r.h && p.y + p.size > r.y)) continue;
+      if (axis === 'x' && p.vx !== 0) {
+        p.x = p.vx > 0 ? r.x - p.size : r.x + r.w;
+        p.vx = 0;
+      } else if (axis === 'y' && p.vy !== 0) {
+        p.y = p.vy > 0 ? r.y - p.size : r.y + r.h;
+        p.vy = 0;
+      }
+    }
+  }
+
+  // Still inside a wall without moving into it (run start, resize): leave
+  // by the shortest way out.
+  function pushOutOfWalls(game, p) {
+    for (let pass = 0; pass < 4; pass++) {
+      const r = hitsWall(game, p.x, p.y, p.size);
+      if (!r) return;
+      const left = p.x + p.size - r.x;
+      const right = r.x + r.w - p.x;
+      const up = p.y + p.size - r.y;
+      const down = r.y + r.h - p.y;
+      const least = Math.min(left, right, up, down);
+      if (least === left) p.x -= left;
+      else if (least === right) p.x += right;
+      else if (least === up) p.y -= up;
+      else p.y += down;
+    }
+  }
+
+  function updateEnemies(game, dt) {
+    // Slow motion (and anything else that bends hazard time) lives in mods
+    const scale = (dt / BASE_FRAME_MS) * game.mods.hazardTimeScale;
+    const { w, h } = game.bounds;
+
+    for (const e of game.enemies) {
+      if (!e.active) continue;
+
+      e.age += dt;
+      ENEMY_TYPES[e.type].update(game, e, scale);
+      if (!e.active) continue; // behavior may retire it (splitter)
+
+      // Deactivate if far outside bounds (keeps pool reusable)
+      const pad = 60;
+      if (e.x < -pad || e.x > w + pad || e.y < -pad || e.y > h + pad) {
+        e.active = false;
+        e.x = -999;
+        e.y = -999;
+      }
+    }
+  }
+
+  function resolveOrbCollection(game) {
+    const o = game.orb;
+    const d = game.difficulty;
+
+    for (const p of game.players) {
+      if (!isLive(p) || !aabbCollide(p.x, p.y, p.size, o.x, o.y, o.size)) continue;
+
+      // Score logic: combo rewards consistent play.
+      // Versus keeps a combo per player; the level follows the total.
+      const tally = game.mode === 'versus' ? p : d;
+      tally.combo += 1;
+      const gained = (20 + Math.min(30, tally.combo * 2)) * game.mods.scoreMultiplier;
+      d.score += gained;
+      p.score += gained;
+
+      const x = o.x;
+      const y = o.y;
+
+      // Reposition orb
+      placeOrb(game);
+
+      emit(game, EVENTS.ORB_COLLECTED, {
+        player: p.index,
+        gained,
+        score: game.mode === 'versus' ? p.score : d.score,
+        combo: tally.combo,
+        x,
+        y,
+      });
+      return; // one orb, one collector
+    }
+  }
+
+  // Shared by hazards and the boss: shield first, then lives.
+  function damagePlayer(game, p, enemyType, x, y) {
+    const d = game.difficulty;
+
+    // A shield takes the hit instead (and is used up)
+    if (game.mods.shield) {
+      endEffect(game, 'shield');
+      emit(game, EVENTS.SHIELD_BLOCKED, { player: p.index, enemyType, x, y });
+      return;
+    }
+
+    // Versus players own their lives + combo; solo/co-op share them
+    const tally = game.mode === 'versus' ? p : d;
+    tally.lives -= 1;
+    tally.combo = 0;
+
+    // Co-op: the hit player stays down until their partner touches them
+    const down = game.mode === 'coop' || tally.lives <= 0;
+    if (down && game.mode !== 'solo') {
+      p.down = true;
+      p.vx = 0;
+      p.vy = 0;
+    } else if (!game.settings.reducedMotion) {
+      // Small knockback for game feel (skipped in reduced motion mode)
+      p.vx *= -0.7;
+      p.vy *= -0.7;
+    }
+
+    emit(game, EVENTS.HIT, { player: p.index, lives: tally.lives, down: p.down, enemyType, x, y });
+    if (game.mode === 'versus' && p.down) emit(game, EVENTS.PLAYER_OUT, { player: p.index });
+
+    const someoneUp = game.players.some(isLive);
+    if (game.mode === 'versus' ? !someoneUp : d.lives <= 0) {
+      endRun(game);
+    } else if (game.mode === 'coop' && !someoneUp) {
+      // Both down at once: nobody could revive, so both get back up
+      for (const q of game.players) {
+        if (q.active) revivePlayer(game, q, -1);
+      }
+    }
+  }
+
+  function endRun(game) {
+    const d = game.difficulty;
+    const scores = game.players.filter(p => p.active).map(p => p.score);
+
+    // Versus: highest score wins (-1 = draw); otherwise there is no winner
+    let winner = -1;
+    if (game.mode === 'versus' && scores[0] !== scores[1]) winner = scores[0] > scores[1] ? 0 : 1;
+
+    game.over = true;
+    emit(game, EVENTS.GAME_OVER, { score: d.score, level: d.level, scores, winner });
+  }
+
+  function revivePlayer(game, p, by) {
+    p.down = false;
+    p.safeUntil = game.time.now + REVIVE_SAFE_MS;
+    emit(game, EVENTS.PLAYER_REVIVED, { player: p.index, by });
+  }
+
+  // Co-op: touching a downed partner gets them back up.
+  function resolveRevives(game) {
+    if (game.mode !== 'coop') return;
+    for (const p of game.players) {
+      if (!p.active || !p.down) continue;
+      for (const q of game.players) {
+        if (isLive(q) && aabbCollide(q.x, q.y, q.size, p.x, p.y, p.size)) {
+          revivePlayer(game, p, q.index);
+          break;
+        }
+      }
+    }
+  }
+
+  function resolveEnemyCollisions(game) {
+    const now = game.time.now;
+
+    // Broad phase first: only hazards near each player get checked
+    rebuildGrid(game);
+
+    for (const p of game.players) {
+      if (!isLive(p) || now < p.safeUntil) continue;
+
+      // Only handle one hit per player per step (prevents “insta-death” chains)
+      const e = queryGrid(game, p.x, p.y, p.size);
+      if (e) {
+        // Hit!
+        e.active = false; // remove enemy
+        damagePlayer(game, p, e.type, e.x, e.y);
+      }
+      if (game.over) return;
+    }
+  }
+
+  /* -----------------------------
+     Near misses
+     A hazard that comes within NEAR_MISS_PX of a player starts "grazing"
+     them; if it then moves away without hitting, that was a near miss.
+     Pure bookkeeping for stats + achievements: no rule depends on it.
+     (Not saved with a run: a restore can drop one graze in progress.)
+  ------------------------------ */
+  const NEAR_MISS_PX = 12;
+
+  function resolveNearMisses(game) {
+    if (game.over) return;
+    const pad = NEAR_MISS_PX;
+    const grid = game.grid;
+
+    // Grazing hazards that moved away: near miss (hit or gone: no)
+    for (const e of game.enemies) {
+      if (e.graze < 0) continue;
+      const p = game.players[e.graze];
+      if (e.active && isLive(p) && aabbCollide(p.x - pad, p.y - pad, p.size + pad * 2, e.x, e.y, e.size)) continue;
+      e.graze = -1;
+      if (e.active && isLive(p)) emit(game, EVENTS.NEAR_MISS, { player: p.index, enemyType: e.type, x: e.x, y: e.y });
+    }
+
+    // Hazards close to a live player start grazing (grid from resolveEnemyCollisions)
+    const now = game.time.now;
+    for (const p of game.players) {
+      if (!isLive(p) || now < p.safeUntil) continue;
+      const x = p.x - pad;
+      const y = p.y - pad;
+      const size = p.size + pad * 2;
+      const c1 = gridCol(grid, x + size);
+      const r1 = gridRow(grid, y + size);
+      for (let r = gridRow(grid, y - grid.maxSize); r <= r1; r++) {
+        for (let c = gridCol(grid, x - grid.maxSize); c <= c1; c++) {
+          for (let i = grid.heads[r * grid.cols + c]; i !== -1; i = grid.next[i]) {
+            const e = game.enemies[i];
+            if (e.active && e.graze < 0 && aabbCollide(x, y, size, e.x, e.y, e.size)) e.graze = p.index;
+          }
+        }
+      }
+    }
+  }
+
+  /* -----------------------------
+     Save / restore a run
+     serializeGame returns plain JSON-safe data (no functions, no pool
+     bookkeeping); restoreGame writes it back into an existing game, so
+     listeners and preallocated objects survive. Together with rng.state
+     this continues a run exactly where it stopped.
+  ------------------------------ */
+  const SNAPSHOT_VERSION = 4; // v4: run modifiers (v3 level, v2 mode + players list; both still readable)
+
+  const DIFFICULTY_FIELDS = ['level', 'score', 'lives', 'combo', 'spawnIntervalMs', 'lastSpawnAt', 'enemyBaseSpeed', 'nextLevelAt'];
+  const PLAYER_FIELDS = ['x', 'y', 'vx', 'vy', 'safeUntil', 'score', 'combo', 'lives'];
+  const ENEMY_FIELDS = ['x', 'y', 'vx', 'vy', 'size', 'age', 'speed', 'angle', 'baseX', 'baseY', 'fuse'];
+  const PICKUP_FIELDS = ['x', 'y', 'expiresAt'];
+  const BOSS_FIELDS = ['x', 'y', 'vx', 'vy', 'hp', 'maxHp', 'nextLevel', 'timer', 'targetX', 'targetY', 'hurtUntil', 'contactUntil'];
+
+  function pick(source, fields) {
+    const out = {};
+    for (const f of fields) out[f] = source[f];
+    return out;
+  }
+
+  // Copy numeric fields, refusing anything that isn't a finite number.
+  function assignNumbers(target, source, fields) {
+    for (const f of fields) {
+      if (!source || typeof source[f] !== 'number' || !Number.isFinite(source[f])) {
+        throw new Error(`Saved run: bad value for ${f}`);
+      }
+      target[f] = source[f];
+    }
+  }
+
+  function serializeGame(game) {
+    const pu = game.pickup;
+    const b = game.boss;
+    return {
+      version: SNAPSHOT_VERSION,
+      rules: RULES_VERSION,
+      seed: game.seed,
+      rngState: game.rng.state,
+      now: game.time.now,
+      bounds: { w: game.bounds.w, h: game.bounds.h },
+      curve: game.curve,
+      mode: game.mode,
+      difficulty: pick(game.difficulty, DIFFICULTY_FIELDS),
+      players: game.players
+        .filter(p => p.active)
+        .map(p => ({ down: p.down, ...pick(p, PLAYER_FIELDS), lastDashAt: p.dash.lastDashAt })),
+      orb: { x: game.orb.x, y: game.orb.y },
+      enemies: game.enemies
+        .filter(e => e.active)
+        .map(e => ({ index: e.index, type: e.type, ...pick(e, ENEMY_FIELDS) })),
+      pickup: { active: pu.active, type: pu.type, ...pick(pu, PICKUP_FIELDS) },
+      effects: { ...game.effects },
+      nextPowerupAt: game.nextPowerupAt,
+      boss: { active: b.active, mode: b.mode, attack: b.attack, ...pick(b, BOSS_FIELDS) },
+      level: game.level,
+      modifiers: [...game.modifiers],
+      arenaSize: { ...game.arena.size }, // bounds the level was scaled to at the start of the run
+      spawnerNextAt: [...game.spawnerNextAt],
+    };
+  }
+
+  // Returns true on success. On bad or incompatible data the game is left
+  // as a fresh run (never half-restored) and false is returned.
+  function restoreGame(game, saved) {
+    if (!saved || ![2, 3, SNAPSHOT_VERSION].includes(saved.version) || saved.rules !== RULES_VERSION) return false;
+
+    try {
+      setCurve(game, saved.curve);
+      setMode(game, saved.mode);
+      setLevel(game, saved.level || null);
+      setModifiers(game, Array.isArray(saved.modifiers) ? saved.modifiers : []);
+      resetGame(game, saved.seed);
+
+      // The arena as it was built at the start of that run (not the current bounds)
+      if (game.level) {
+        const size = saved.arenaSize || {};
+        if (!Number.isFinite(size.w) || !Number.isFinite(size.h)) throw new Error('Saved run: bad arena size');
+        game.arena = scaleLevel(game.level, size.w, size.h);
+        if (!Array.isArray(saved.spawnerNextAt) || saved.spawnerNextAt.length !== game.arena.spawners.length) {
+          throw new Error('Saved run: bad spawner list');
+        }
+        assignNumbers(game.spawnerNextAt, saved.spawnerNextAt, game.spawnerNextAt.map((_, k) => k));
+      }
+
+      if (!Number.isInteger(saved.rngState)) throw new Error('Saved run: bad rngState');
+      game.rng.state = saved.rngState >>> 0;
+      assignNumbers(game.time, saved, ['now']);
+      assignNumbers(game.bounds, saved.bounds, ['w', 'h']);
+      assignNumbers(game.difficulty, saved.difficulty, DIFFICULTY_FIELDS);
+
+      if (!Array.isArray(saved.players) || saved.players.length !== playerCount(game)) {
+        throw new Error('Saved run: bad player list');
+      }
+      saved.players.forEach((sp, k) => {
+        const p = game.players[k];
+        assignNumbers(p, sp, PLAYER_FIELDS);
+        assignNumbers(p.dash, sp, ['lastDashAt']);
+        p.down = !!sp.down;
+      });
+      assignNumbers(game.orb, saved.orb, ['x', 'y']);
+
+      if (!Array.isArray(saved.enemies)) throw new Error('Saved run: bad enemy list');
+      for (const se of saved.enemies) {
+        const e = game.enemies[se && se.index];
+        if (!e || !ENEMY_TYPES[se.type]) throw new Error('Saved run: bad enemy');
+        assignNumbers(e, se, ENEMY_FIELDS);
+        e.type = se.type;
+        e.active = true;
+      }
+
+      const pu = game.pickup;
+      if (!saved.pickup || !POWERUPS[saved.pickup.type]) throw new Error('Saved run: bad pickup');
+      assignNumbers(pu, saved.pickup, PICKUP_FIELDS);
+      pu.type = saved.pickup.type;
+      pu.active = !!saved.pickup.active;
+
+      game.effects = {};
+      for (const type of Object.keys(saved.effects || {})) {
+        if (!POWERUPS[type]) throw new Error('Saved run: bad effect');
+        assignNumbers(game.effects, saved.effects, [type]);
+      }
+      recomputeMods(game);
+      assignNumbers(game, saved, ['nextPowerupAt']);
+
+      const b = game.boss;
+      const sb = saved.boss;
+      if (!sb || !['enter', 'roam', 'telegraph', 'attack'].includes(sb.mode) || !['burst', 'charge'].includes(sb.attack)) {
+        throw new Error('Saved run: bad boss');
+      }
+      assignNumbers(b, sb, BOSS_FIELDS);
+      b.mode = sb.mode;
+      b.attack = sb.attack;
+      b.active = !!sb.active;
+    } catch {
+      resetGame(game, game.seed);
+      return false;
+    }
+
+    // Nothing to interpolate from: everything starts where it was saved
+    for (const p of game.players) snap(p);
+    snap(game.orb);
+    snap(game.pickup);
+    snap(game.boss);
+    for (const e of game.enemies) snap(e);
+    return true;
+  }
+
+  /* -----------------------------
+     Step
+  ------------------------------ */
+
+  /**
+   * Advance the simulation by dtMs (normally exactly STEP_MS).
+   * `inputs` is merged into game.input first (any subset of its fields);
+   * in two-player modes pass an array: [p1Input, p2Input].
+   * `dash` is a one-shot press: the step consumes it, so callers that keep
+   * their own intent object should clear their dash flag after stepping.
+   * Returns the events emitted during this step.
+   */
+  function step(game, inputs, dtMs) {
+    game.events.length = 0;
+    if (game.over) return game.events;
+    if (Array.isArray(inputs)) inputs.forEach((inp, k) => Object.assign(game.inputs[k], inp));
+    else if (inputs) Object.assign(game.input, inputs);
+
+    game.time.now += dtMs;
+    const now = game.time.now;
+    snapshotPositions(game);
+
+    for (const p of game.players) {
+      if (p.active) updatePlayer(game, p, game.inputs[p.index], dtMs, now);
+    }
+    maybeSpawnEnemies(game, now);
+    updateEnemies(game, dtMs);
+    updateBoss(game, dtMs);
+    updatePowerups(game, dtMs, now);
+    updateOrb(game, dtMs);
+    resolveOrbCollection(game);
+    resolveEnemyCollisions(game);
+    resolveNearMisses(game);
+    if (!game.over) resolveBossCollision(game, now);
+    resolveRevives(game);
+    scaleDifficultyOnScore(game);
+
+    return game.events;
+  }
+
+  return {
+    EVENTS,
+    STEP_HZ,
+    STEP_MS,
+    RULES_VERSION,
+    POWERUPS,
+    MODIFIERS,
+    PRESETS,
+    DEFAULT_PRESET,
+    MODES,
+    ENEMY_TYPES,
+    PLAYER_PHYSICS,
+    LEVEL_VERSION,
+    LEVEL_LIMITS,
+    MIN_WALL_PX,
+    MIN_ZONE_PX,
+    NEAR_MISS_PX,
+    registerEnemyType,
+    createGame,
+    resetGame,
+    setCurve,
+    setMode,
+    setLevel,
+    setModifiers,
+    dailyChallenge,
+    normalizeCurve,
+    createLevel,
+    normalizeLevel,
+    scaleLevel,
+    serializeGame,
+    restoreGame,
+    step,
+    on,
+
+    // Systems are exported so they can be tested one at a time.
+    updatePlayer,
+    updateEnemies,
+    resolveOrbCollection,
+    resolveEnemyCollisions,
+    resolveNearMisses,
+    scaleDifficultyOnScore,
+    maybeSpawnEnemies,
+    spawnEnemy,
+    placeOrb,
+    keepOrbInBounds,
+    updatePowerups,
+    updateOrb,
+    updateBoss,
+    resolveBossCollision,
+    rebuildGrid,
+    queryGrid,
+    resolveWalls,
+    hitsWall,
+
+    aabbCollide,
+    createRng,
+    clamp,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = NeonSim;
@@ -0,0 +1,500 @@
+/**
+ * GameStore — shared saves for every game: player profiles, per-game
+ * namespaces, versioned data, corruption recovery and backups (no DOM).
+ *
+ * BIG IDEA:
+ * - Each game owns one *namespace* ('game-028', 'neon-drift', ...). A
+ *   namespace is a little object of named records ({ scores: [...] })
+ *   stored as ONE localStorage key per player profile:
+ *     domGames/meta             profiles + which one is playing
+ *     domGames/p1/game-028      { version, savedAt, data: { scores } }
+ *   so switching profile switches every game's saves at once. A few
+ *   things belong to everyone on the browser (the local leaderboards):
+ *   those namespaces are opened with { shared: true } -> domGames/shared/...
+ * - Saved data carries a schema version. When a game changes its shape it
+ *   bumps `version` and adds a migration; old saves are upgraded on load.
+ * - Nothing here throws while playing: unreadable saves are moved aside
+ *   (key + '#corrupt') and the game starts fresh, a full disk is answered
+ *   with { ok: false, reason: 'quota' }, and blocked storage (some
+ *   file:// or privacy setups) falls back to memory for the session.
+ * - Keys from before this module (e.g. 'domGameHighScores_21_30') are
+ *   imported once, into the profile that opens the game first.
+ *
+ * Usage:
+ *   const store = GameStore.createStore();
+ *   const saves = store.namespace('game-028', {
+ *     version: 1,
+ *     legacy: { scores: 'domGameHighScores_21_30' }, // record <- old key
+ *   });
+ *   let scores = saves.get('scores', []);
+ *   const result = saves.set('scores', scores);      // { ok, reason? }
+ *   const backup = store.exportBackup();             // one JSON object
+ *   store.importBackup(backup);                      // throws if it's not one
+ */
+const GameStore = (() => {
+  const PREFIX = 'domGames/';
+  const META_KEY = `${PREFIX}meta`;
+  const META_VERSION = 1;
+  const CORRUPT_SUFFIX = '#corrupt';
+  const BACKUP_FORMAT = 'dom-games-backup';
+  const BACKUP_VERSION = 1;
+  const MAX_NAME = 24;
+  const MAX_SHRINKS = 8; // quota retries after the game's shrink() hook
+
+  const NAMESPACE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+  const PROFILE_ID = /^p\d+$/;
+  const PROFILE_KEY = /^(p\d+)\/([a-z0-9][a-z0-9-]*)$/; // key after the prefix
+  const SAVE_KEY = /^(p\d+|shared)\/([a-z0-9][a-z0-9-]*)$/; // profile or shared save
+
+  // Safe JSON parse: avoids crashes if storage is corrupted.
+  function safeJsonParse(value, fallback) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return fallback;
+    }
+  }
+
+  const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  // Browsers disagree on the name; old Firefox/Safari only set the code.
+  function isQuotaError(err) {
+    return !!err && (
+      err.name === 'QuotaExceededError' ||
+      err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      err.code === 22 ||
+      err.code === 1014
+    );
+  }
+
+  // Same API as localStorage, kept in memory: used when storage is blocked
+  // and handy in tests (createStore({ storage: GameStore.memoryStorage() })).
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      get length() {
+        return items.size;
+      },
+      key: i => [...items.keys()][i] ?? null,
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => {
+        items.set(key, String(value));
+      },
+      removeItem: key => {
+        items.delete(key);
+      },
+    };
+  }
+
+  // Even *reading* localStorage throws in some setups; test once, up front.
+  function browserStorage() {
+    try {
+      const storage = globalThis.localStorage;
+      storage.getItem(META_KEY);
+      return storage;
+    } catch {
+      return null;
+    }
+  }
+
+  function cleanName(name, fallback) {
+    const text = typeof name === 'string' ? name.trim().slice(0, MAX_NAME) : '';
+    return text || fallback;
+  }
+
+  /* -----------------------------
+     Store
+     options.storage  anything with the localStorage API (default: the
+                      browser's, or memory if that's blocked)
+     options.now      () => ISO time (tests pin it)
+  ------------------------------ */
+  function createStore(options = {}) {
+    const given = options.storage !== undefined ? options.storage : browserStorage();
+    const storage = given || memoryStorage();
+    const now = options.now || (() => new Date().toISOString());
+    let meta = null;
+
+    function ownKeys() {
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key && key.startsWith(PREFIX)) keys.push(key);
+      }
+      return keys;
+    }
+
+    /* -----------------------------
+       Quota-aware write
+       A full disk first costs us our own '#corrupt' copies, then the
+       caller's `smaller()` gets to make the value smaller and retry.
+    ------------------------------ */
+    function dropCorruptCopies() {
+      const copies = ownKeys().filter(key => key.endsWith(CORRUPT_SUFFIX));
+      copies.forEach(key => storage.removeItem(key));
+      return copies.length > 0;
+    }
+
+    function write(key, text, smaller) {
+      let freed = false;
+      for (let attempt = 0; attempt <= MAX_SHRINKS + 1; attempt++) {
+        try {
+          storage.setItem(key, text);
+          return { ok: true };
+        } catch (err) {
+          if (!isQuotaError(err)) return { ok: false, reason: 'unavailable' };
+          if (!freed) {
+            freed = true;
+            if (dropCorruptCopies()) continue;
+          }
+          const next = smaller && smaller();
+          if (!next) return { ok: false, reason: 'quota' };
+          text = next;
+        }
+      }
+      return { ok: false, reason: 'quota' };
+    }
+
+    function keepCorruptCopy(key, raw) {
+      try {
+        storage.setItem(key + CORRUPT_SUFFIX, raw);
+      } catch {
+        // No room even for the copy: the fresh start matters more
+      }
+      storage.removeItem(key);
+    }
+
+    /* -----------------------------
+       Meta: the profile list
+       { version, nextId, activeProfile, profiles: [{ id, name, createdAt }],
+         imported: [namespaces whose legacy keys were already taken in] }
+       Re-read on every call, so two open tabs agree on who is playing.
+    ------------------------------ */
+    function createMeta() {
+      return { version: META_VERSION, nextId: 1, activeProfile: '', profiles: [], imported: [] };
+    }
+
+    function addProfile(m, name) {
+      const profile = { id: `p${m.nextId}`, name: cleanName(name, `Player ${m.nextId}`), createdAt: now() };
+      m.nextId++;
+      m.profiles.push(profile);
+      return profile;
+    }
+
+    function loadMeta() {
+      const raw = storage.getItem(META_KEY);
+      const saved = safeJsonParse(raw, null);
+      const m = createMeta();
+      const readable = isObject(saved) && saved.version === META_VERSION && Array.isArray(saved.profiles);
+
+      if (readable) {
+        for (const p of saved.profiles) {
+          if (!isObject(p) || !PROFILE_ID.test(p.id) || m.profiles.some(q => q.id === p.id)) continue;
+          m.profiles.push({
+            id: p.id,
+            name: cleanName(p.name, 'Player'),
+            createdAt: typeof p.createdAt === 'string' ? p.createdAt : '',
+          });
+        }
+        if (Array.isArray(saved.imported)) m.imported = saved.imported.filter(n => typeof n === 'string');
+        m.activeProfile = saved.activeProfile;
+      } else if (raw !== null) {
+        // Unreadable list: rebuild it from the saves that are still there
+        keepCorruptCopy(META_KEY, raw);
+        const ids = new Set(ownKeys().map(key => PROFILE_KEY.exec(key.slice(PREFIX.length))).filter(Boolean).map(match => match[1]));
+        for (const id of [...ids].sort()) m.profiles.push({ id, name: `Player ${id.slice(1)}`, createdAt: '' });
+      }
+
+      // Ids are never reused: a deleted profile's leftovers can't resurface
+      const highest = Math.max(0, ...m.profiles.map(p => Number(p.id.slice(1))));
+      m.nextId = Math.max(highest + 1, Number.isInteger(saved && saved.nextId) ? saved.nextId : 1);
+
+      let changed = !readable || m.profiles.length === 0;
+      if (m.profiles.length === 0) addProfile(m, 'Player 1');
+      if (!m.profiles.some(p => p.id === m.activeProfile)) {
+        m.activeProfile = m.profiles[0].id;
+        changed = true;
+      }
+      meta = m;
+      if (changed) saveMeta();
+      return m;
+    }
+
+    function saveMeta() {
+      return write(META_KEY, JSON.stringify(meta));
+    }
+
+    function findProfile(id) {
+      const profile = loadMeta().profiles.find(p => p.id === id);
+      if (!profile) throw new Error(`GameStore: no profile "${id}"`);
+      return profile;
+    }
+
+    /* -----------------------------
+       Profiles
+    ------------------------------ */
+    function profiles() {
+      return loadMeta().profiles.map(p => ({ ...p }));
+    }
+
+    function activeProfile() {
+      const m = loadMeta();
+      return { ...m.profiles.find(p => p.id === m.activeProfile) };
+    }
+
+    function createProfile(name) {
+      loadMeta();
+      const profile = addProfile(meta, name);
+      const result = saveMeta();
+      if (!result.ok) throw new Error('GameStore: no room to save a new profile');
+      return { ...profile };
+    }
+
+    function renameProfile(id, name) {
+      const profile = findProfile(id);
+      profile.name = cleanName(name, profile.name);
+      saveMeta();
+      return { ...profile };
+    }
+
+    function switchProfile(id) {
+      findProfile(id);
+      meta.activeProfile = id;
+      saveMeta();
+      return activeProfile();
+    }
+
+    // Removes the profile and every game's saves for it.
+    function deleteProfile(id) {
+      findProfile(id);
+      if (meta.profiles.length === 1) throw new Error('GameStore: the last profile can’t be deleted');
+      ownKeys()
+        .filter(key => key.startsWith(`${PREFIX}${id}/`))
+        .forEach(key => storage.removeItem(key));
+      meta.profiles = meta.profiles.filter(p => p.id !== id);
+      if (meta.activeProfile === id) meta.activeProfile = meta.profiles[0].id;
+      saveMeta();
+    }
+
+    /* -----------------------------
+       Namespaces (one per game)
+       options.version     current schema version (default 1)
+       options.migrations  { [n]: data => data } upgrades version n-1 -> n
+       options.legacy      { record: 'oldLocalStorageKey' } imported once;
+                           the imported records count as version 1
+       options.shrink      data => smaller data | null, tried when the disk
+                           is full (e.g. drop the oldest chat messages)
+       options.shared      true: one copy for every profile, kept when a
+                           profile is deleted (e.g. local leaderboards)
+    ------------------------------ */
+    function namespace(name, nsOptions = {}) {
+      if (!NAMESPACE_NAME.test(name)) throw new Error(`GameStore: bad namespace name "${name}"`);
+      const version = nsOptions.version || 1;
+      const migrations = nsOptions.migrations || {};
+      const legacy = nsOptions.legacy || {};
+      const shrink = nsOptions.shrink || null;
+      const owner = nsOptions.shared ? () => 'shared' : m => m.activeProfile;
+
+      const ns = {
+        name,
+        recovered: false, // true once an unreadable save was set aside
+        get,
+        set,
+        remove,
+        load,
+        save,
+        clear,
+      };
+
+      const keyFor = m => `${PREFIX}${owner(m)}/${name}`;
+
+      function migrate(data, from) {
+        for (let v = from + 1; v <= version; v++) {
+          if (migrations[v]) data = migrations[v](data);
+          if (!isObject(data)) throw new Error(`migration to version ${v} returned no data`);
+        }
+        return data;
+      }
+
+      function recover(key, raw) {
+        keepCorruptCopy(key, raw);
+        ns.recovered = true;
+        return {};
+      }
+
+      // First open of this game by anyone: take in the pre-GameStore keys
+      function fromLegacy(key) {
+        const oldKeys = Object.entries(legacy);
+        if (!oldKeys.length || meta.imported.includes(name)) return {};
+        meta.imported.push(name);
+        saveMeta();
+
+        let data = {};
+        const found = [];
+        for (const [record, oldKey] of oldKeys) {
+          const raw = storage.getItem(oldKey);
+          if (raw === null) continue;
+          const value = safeJsonParse(raw, undefined);
+          if (value === undefined) {
+            ns.recovered = true; // unreadable: left where it is, not imported
+            continue;
+          }
+          data[record] = value;
+          found.push(oldKey);
+        }
+        if (!found.length) return {};
+        try {
+          data = migrate(data, 1);
+        } catch {
+          ns.recovered = true;
+          return {}; // the old keys stay put, untouched
+        }
+        if (persist(key, data).ok) found.forEach(oldKey => storage.removeItem(oldKey));
+        return data;
+      }
+
+      function persist(key, data) {
+        let current = data;
+        const doc = () => JSON.stringify({ version, savedAt: now(), data: current });
+        return write(key, doc(), () => {
+          const next = shrink && shrink(current);
+          if (!isObject(next)) return null;
+          current = next;
+          return doc();
+        });
+      }
+
+      // Every record of this game for the active profile (a fresh copy).
+      function load() {
+        const key = keyFor(loadMeta());
+        const raw = storage.getItem(key);
+        if (raw === null) return fromLegacy(key);
+
+        const doc = safeJsonParse(raw, null);
+        if (!isObject(doc) || !Number.isInteger(doc.version) || doc.version < 1 || !isObject(doc.data)) {
+          return recover(key, raw);
+        }
+        // Saved by a newer copy of the game: use it, but don't "downgrade" it
+        if (doc.version >= version) return doc.data;
+        try {
+          const data = migrate(doc.data, doc.version);
+          persist(key, data);
+          return data;
+        } catch {
+          return recover(key, raw);
+        }
+      }
+
+      function save(data) {
+        return persist(keyFor(loadMeta()), isObject(data) ? data : {});
+      }
+
+      function get(record, fallback) {
+        const data = load();
+        return data[record] === undefined ? fallback : data[record];
+      }
+
+      function set(record, value) {
+        const data = load();
+        data[record] = value;
+        return save(data);
+      }
+
+      function remove(record) {
+        const data = load();
+        delete data[record];
+        return save(data);
+      }
+
+      function clear() {
+        storage.removeItem(keyFor(loadMeta()));
+      }
+
+      return ns;
+    }
+
+    /* -----------------------------
+       Backup / Restore
+       A backup is every domGames/ key (profiles included) in one object,
+       so restoring on another browser brings all players and games along.
+    ------------------------------ */
+    function exportBackup() {
+      loadMeta();
+      const entries = {};
+      for (const key of ownKeys().sort()) {
+        if (key.endsWith(CORRUPT_SUFFIX)) continue;
+        entries[key.slice(PREFIX.length)] = safeJsonParse(storage.getItem(key), null);
+      }
+      return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: now(), entries };
+    }
+
+    function checkBackup(backup) {
+      if (!isObject(backup) || backup.format !== BACKUP_FORMAT) throw new Error('This file is not a games backup.');
+      if (backup.version !== BACKUP_VERSION) throw new Error(`Unsupported backup version ${backup.version}.`);
+      const entries = backup.entries;
+      if (!isObject(entries) || !isObject(entries.meta) || !Array.isArray(entries.meta.profiles)) {
+        throw new Error('The backup has no player profiles.');
+      }
+      for (const [key, value] of Object.entries(entries)) {
+        if (key === 'meta') continue;
+        if (!SAVE_KEY.test(key) || !isObject(value) || !Number.isInteger(value.version) || !isObject(value.data)) {
+          throw new Error(`The backup entry "${key}" is damaged.`);
+        }
+      }
+      return entries;
+    }
+
+    // Replaces ALL saved progress. If the disk fills halfway, everything is
+    // put back the way it was and the error says so.
+    function importBackup(backup) {
+      const entries = checkBackup(backup);
+      const before = ownKeys().map(key => [key, storage.getItem(key)]);
+      const wipe = () => ownKeys().forEach(key => storage.removeItem(key));
+
+      wipe();
+      for (const [key, value] of Object.entries(entries)) {
+        if (!write(PREFIX + key, JSON.stringify(value)).ok) {
+          wipe();
+          before.forEach(([k, raw]) => storage.setItem(k, raw));
+          loadMeta();
+          throw new Error('Not enough browser storage to restore this backup; nothing was changed.');
+        }
+      }
+      const m = loadMeta();
+      return { profiles: m.profiles.length, entries: Object.keys(entries).length - 1 };
+    }
+
+    // Rough size of everything we store (UTF-16: 2 bytes per character).
+    function usage() {
+      return ownKeys().reduce((sum, key) => sum + (key.length + (storage.getItem(key) || '').length) * 2, 0);
+    }
+
+    loadMeta();
+    return {
+      persistent: !!given, // false: saves last until the tab closes
+
+      profiles,
+      activeProfile,
+      createProfile,
+      renameProfile,
+      switchProfile,
+      deleteProfile,
+
+      namespace,
+      exportBackup,
+      importBackup,
+      usage,
+    };
+  }
+
+  return {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+
+    createStore,
+    memoryStorage,
+    safeJsonParse,
+    isQuotaError,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = GameStore;
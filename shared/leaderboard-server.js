@@ -0,0 +1,162 @@
+/**
+ * Leaderboard mock server — one shared board for a classroom LAN.
+ *
+ * BIG IDEA:
+ * - Speaks exactly what Leaderboard.httpAdapter expects (see the API list
+ *   in shared/leaderboard.js) and ranks/validates with the same module,
+ *   so the browser and the server can never disagree about who's first.
+ * - Plain Node, no install step. Entries live in memory, and in a JSON
+ *   file too if you pass --data, so a restart doesn't wipe the board.
+ * - It's a teaching server: anyone on the network can add scores. Pass
+ *   --admin-token to make removing/clearing need that token.
+ *
+ * Usage (from the repo root):
+ *   node shared/leaderboard-server.js [--port 8787] [--host 0.0.0.0]
+ *                                     [--data scores.json] [--admin-token secret]
+ * Then in a game's settings use  http://<this computer's LAN address>:8787
+ */
+const http = require('http');
+const fs = require('fs');
+const Leaderboard = require('./leaderboard.js');
+const readArgs = require('./server-args.js');
+
+const MAX_BODY = 16 * 1024; // bytes; an entry is a few hundred
+
+/* -----------------------------
+   Boards: { 'game/mode': [entries] }
+------------------------------ */
+function loadBoards(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const boards = {};
+  for (const [key, list] of Object.entries(saved && typeof saved === 'object' ? saved : {})) {
+    if (!Array.isArray(list)) continue;
+    boards[key] = [];
+    for (const raw of list) {
+      try {
+        boards[key].push(Leaderboard.normalizeEntry(raw));
+      } catch {
+        // skip it
+      }
+    }
+  }
+  return boards;
+}
+
+function createServer(options = {}) {
+  const boards = loadBoards(options.data);
+
+  function persist() {
+    if (!options.data) return;
+    // Write-then-rename: a crash mid-write never leaves half a file
+    fs.writeFileSync(`${options.data}.tmp`, JSON.stringify(boards, null, 2));
+    fs.renameSync(`${options.data}.tmp`, options.data);
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      // Games are opened from file:// or another port: allow any page
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Token',
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  function readBody(req, res) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          // Stop keeping it but let the rest drain, so the 413 can be sent;
+          // the connection is closed once it has been
+          req.removeAllListeners('data');
+          req.resume();
+          res.setHeader('Connection', 'close');
+          res.on('finish', () => req.socket.destroy());
+          reject(Object.assign(new Error('Request too large'), { status: 413 }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+        } catch {
+          reject(Object.assign(new Error('Body must be JSON'), { status: 400 }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async function handle(req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/api/health') return send(res, 200, { ok: true });
+
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts[0] !== 'api' || parts[1] !== 'boards' || parts.length < 4 || parts.length > 5) {
+      return send(res, 404, { error: 'Not found' });
+    }
+    const [, , game, mode, id] = parts;
+    try {
+      Leaderboard.checkBoard(game, mode);
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+    const key = `${game}/${mode}`;
+    const list = boards[key] || [];
+
+    if (req.method === 'GET' && !id) {
+      return send(res, 200, { entries: Leaderboard.rankEntries(list).map(({ rank, tied, ...entry }) => entry) });
+    }
+
+    if (req.method === 'POST' && !id) {
+      const body = await readBody(req, res);
+      // Server time and id: clients can't backdate their way up a tie
+      const entry = Leaderboard.normalizeEntry({ name: body && body.name, score: body && body.score, meta: body && body.meta });
+      boards[key] = Leaderboard.trim([...list, entry]);
+      persist();
+      return send(res, 201, { entry });
+    }
+
+    if (req.method === 'DELETE') {
+      if (options.adminToken && req.headers['x-admin-token'] !== options.adminToken) {
+        return send(res, 403, { error: 'Removing scores needs the admin token' });
+      }
+      if (id) boards[key] = list.filter(e => e.id !== id);
+      if (!id || !boards[key].length) delete boards[key];
+      persist();
+      return send(res, 204);
+    }
+
+    return send(res, 405, { error: `${req.method} is not allowed here` });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(err => send(res, err.status || 400, { error: err.message }));
+  });
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = readArgs(process.argv.slice(2), { port: 8787, host: '0.0.0.0', data: '', adminToken: '' });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const server = createServer(options);
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    console.log(`Leaderboard server on http://${options.host}:${port}`);
+    console.log(options.data ? `Saving to ${options.data}` : 'Scores are kept in memory (use --data file.json to keep them).');
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,75 @@
+/**
+ * LeaderboardView — draws ranked entries (from Leaderboard) into an <ol>.
+ *
+ * BIG IDEA:
+ * - The list is rebuilt from data with createElement + replaceChildren
+ *   (names are player-typed text: never innerHTML).
+ * - <li value="2"> makes the browser number tied entries "1, 2, 2, 4"
+ *   itself, and screen readers read the rank along with the entry.
+ *
+ * Usage:
+ *   LeaderboardView.render(listEl, await board.top(), {
+ *     highlightId: entry.id,                  // "you" (gets .is-you)
+ *     describe: e => `level ${e.meta.level}`, // extra text per entry
+ *     onRemove: e => board.remove(e.id),      // adds a Remove button
+ *     empty: 'No scores yet.',
+ *   });
+ */
+const LeaderboardView = (() => {
+  function formatDate(iso) {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  function entryItem(entry, options) {
+    const li = document.createElement('li');
+    li.value = entry.rank;
+    li.className = 'leaderboard-entry';
+    li.classList.toggle('is-you', entry.id === options.highlightId);
+    if (entry.id === options.highlightId) li.setAttribute('aria-current', 'true');
+
+    const name = document.createElement('span');
+    name.className = 'leaderboard-name';
+    name.textContent = entry.name;
+
+    const score = document.createElement('strong');
+    score.className = 'leaderboard-score';
+    score.textContent = String(entry.score);
+
+    const details = document.createElement('span');
+    details.className = 'leaderboard-details';
+    const extra = options.describe ? options.describe(entry) : '';
+    const when = document.createElement('time');
+    when.dateTime = entry.at;
+    when.textContent = formatDate(entry.at);
+    details.append([entry.tied ? 'tied' : '', extra].filter(Boolean).join(' · '), extra || entry.tied ? ' · ' : '', when);
+
+    li.append(name, ' ', score, ' ', details);
+
+    if (options.onRemove) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'leaderboard-remove';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove ${entry.name} (${entry.score})`);
+      remove.addEventListener('click', () => options.onRemove(entry));
+      li.append(' ', remove);
+    }
+    return li;
+  }
+
+  function render(listEl, entries, options = {}) {
+    if (!entries.length) {
+      const li = document.createElement('li');
+      li.className = 'leaderboard-empty';
+      li.textContent = options.empty || 'No scores yet.';
+      listEl.replaceChildren(li);
+      return;
+    }
+    listEl.replaceChildren(...entries.map(entry => entryItem(entry, options)));
+  }
+
+  return { render };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = LeaderboardView;
@@ -0,0 +1,294 @@
+/**
+ * Leaderboard — ranked score boards per game and mode, with pluggable
+ * storage (no DOM).
+ *
+ * BIG IDEA:
+ * - A *board* is one game + one mode ('neon-drift' + 'hard-coop'). An entry
+ *   is { id, name, score, at (ISO time), meta: { level: 4, ... } }.
+ * - Ranking lives here, once, so every game ranks the same way:
+ *     higher score first; equal scores share a rank ("1, 2, 2, 4") and
+ *     the one who got there first is listed first.
+ * - Where entries are kept is an *adapter* with four async methods:
+ *     list(game, mode) -> entries      add(game, mode, entry) -> entry
+ *     remove(game, mode, id)           clear(game, mode)
+ *   localAdapter keeps them in this browser (via GameStore); httpAdapter
+ *   talks to shared/leaderboard-server.js so a class can share one board
+ *   over the LAN. Every board method is async because of that one.
+ *
+ * Usage:
+ *   const board = Leaderboard.createBoard({ game: 'game-028', mode: 'default' });
+ *   const { entry, rank } = await board.submit({ name: 'Ada', score: 120, meta: { level: 3 } });
+ *   const top = await board.top();  // [{ ...entry, rank, tied }] best first
+ */
+const Leaderboard = (() => {
+  const DEFAULT_LIMIT = 10;
+  const KEEP = 100;      // entries stored per board; lower ones are dropped
+  const MAX_NAME = 24;
+  const MAX_META = 8;    // meta fields per entry
+  const MAX_META_TEXT = 40;
+
+  const SLUG = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+  const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  // 'normal:coop@My Level' -> 'normal-coop-my-level' (board names are URL-safe)
+  function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64) || 'default';
+  }
+
+  function checkBoard(game, mode) {
+    if (!SLUG.test(game)) throw new Error(`Leaderboard: bad game name "${game}"`);
+    if (!SLUG.test(mode)) throw new Error(`Leaderboard: bad mode name "${mode}"`);
+  }
+
+  function makeId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /* -----------------------------
+     Entries
+     normalizeEntry trusts nothing (storage, files and the network all
+     go through it) and throws with a message for the one thing that
+     can't be fixed: a score that isn't a number.
+  ------------------------------ */
+  function cleanMeta(meta) {
+    const out = {};
+    if (!isObject(meta)) return out;
+    for (const key of Object.keys(meta).slice(0, MAX_META)) {
+      const v = meta[key];
+      if (typeof v === 'number' && Number.isFinite(v)) out[key] = v;
+      else if (typeof v === 'boolean') out[key] = v;
+      else if (typeof v === 'string') out[key] = v.slice(0, MAX_META_TEXT);
+    }
+    return out;
+  }
+
+  function normalizeEntry(raw, now = () => new Date().toISOString()) {
+    if (!isObject(raw)) throw new Error('An entry must be an object');
+    const score = Number(raw.score);
+    if (!Number.isFinite(score)) throw new Error('score must be a number');
+    const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME) : '';
+    return {
+      id: typeof raw.id === 'string' && /^[\w-]{1,40}$/.test(raw.id) ? raw.id : makeId(),
+      name: name || 'Anonymous',
+      score,
+      at: typeof raw.at === 'string' && !Number.isNaN(Date.parse(raw.at)) ? raw.at : now(),
+      meta: cleanMeta(raw.meta),
+    };
+  }
+
+  /* -----------------------------
+     Ranking
+  ------------------------------ */
+  function compare(a, b) {
+    return b.score - a.score || a.at.localeCompare(b.at) || a.id.localeCompare(b.id);
+  }
+
+  // All entries in order, each with { rank, tied }.
+  function rankEntries(entries) {
+    const sorted = entries.slice().sort(compare);
+    let rank = 0;
+    return sorted.map((entry, i) => {
+      if (i === 0 || entry.score !== sorted[i - 1].score) rank = i + 1;
+      const tied = (i > 0 && sorted[i - 1].score === entry.score) ||
+        (i < sorted.length - 1 && sorted[i + 1].score === entry.score);
+      return { ...entry, rank, tied };
+    });
+  }
+
+  // Would `score` be listed in a top-`limit`? Tying the last place isn't
+  // enough: that player got there first.
+  function qualifies(entries, score, limit = DEFAULT_LIMIT) {
+    if (!Number.isFinite(score) || score <= 0) return false;
+    const ranked = rankEntries(entries);
+    return ranked.length < limit || score > ranked[limit - 1].score;
+  }
+
+  // Keeps the best KEEP entries (the order they're stored in doesn't matter).
+  function trim(entries) {
+    return entries.length > KEEP ? entries.slice().sort(compare).slice(0, KEEP) : entries;
+  }
+
+  /* -----------------------------
+     Adapter: this browser (GameStore)
+     All boards live in one namespace as { boards: { 'game/mode': [...] } }.
+     By default it's the shared one, so every profile on this browser
+     competes on the same boards.
+     options.store  a GameStore store (default: a new one)
+     options.saves  a GameStore namespace to use instead
+     It also has addMany (local only), for importing a list in one write.
+  ------------------------------ */
+  function localAdapter(options = {}) {
+    const store = options.store || (options.saves ? null : GameStore.createStore());
+    const saves = options.saves || store.namespace('leaderboards', { shared: true });
+    const boardKey = (game, mode) => `${game}/${mode}`;
+
+    function readBoards() {
+      const boards = saves.get('boards', {});
+      return isObject(boards) ? boards : {};
+    }
+
+    function readBoard(game, mode) {
+      const list = readBoards()[boardKey(game, mode)];
+      const entries = [];
+      for (const raw of Array.isArray(list) ? list : []) {
+        try {
+          entries.push(normalizeEntry(raw));
+        } catch {
+          // drop the broken one, keep the rest
+        }
+      }
+      return entries;
+    }
+
+    function writeBoard(game, mode, entries) {
+      const boards = readBoards();
+      if (entries.length) boards[boardKey(game, mode)] = entries;
+      else delete boards[boardKey(game, mode)];
+      const result = saves.set('boards', boards);
+      if (!result.ok) throw new Error('Browser storage is full or turned off');
+    }
+
+    return {
+      async list(game, mode) {
+        return readBoard(game, mode);
+      },
+      async add(game, mode, entry) {
+        writeBoard(game, mode, trim([...readBoard(game, mode), entry]));
+        return entry;
+      },
+      // Either all of them are saved or none are
+      async addMany(game, mode, entries) {
+        writeBoard(game, mode, trim([...readBoard(game, mode), ...entries]));
+        return entries;
+      },
+      async remove(game, mode, id) {
+        writeBoard(game, mode, readBoard(game, mode).filter(e => e.id !== id));
+      },
+      async clear(game, mode) {
+        writeBoard(game, mode, []);
+      },
+    };
+  }
+
+  /* -----------------------------
+     Adapter: HTTP (shared/leaderboard-server.js, or anything that
+     speaks the same JSON):
+       GET    {baseUrl}/api/boards/:game/:mode       -> { entries }
+       POST   {baseUrl}/api/boards/:game/:mode       { name, score, meta } -> { entry }
+       DELETE {baseUrl}/api/boards/:game/:mode/:id
+       DELETE {baseUrl}/api/boards/:game/:mode
+     A slow or absent server fails after timeoutMs instead of hanging.
+  ------------------------------ */
+  function httpAdapter(options) {
+    const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(baseUrl)) throw new Error('Leaderboard: the server address must start with http:// or https://');
+    const fetchFn = options.fetch || globalThis.fetch.bind(globalThis);
+    const timeoutMs = options.timeoutMs || 5000;
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.adminToken) headers['X-Admin-Token'] = options.adminToken;
+
+    async function request(method, path, body) {
+      const abort = new AbortController();
+      const timer = setTimeout(() => abort.abort(), timeoutMs);
+      let response;
+      try {
+        response = await fetchFn(`${baseUrl}/api/boards/${path}`, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: abort.signal,
+        });
+      } catch {
+        throw new Error(abort.signal.aborted ? 'The leaderboard server did not answer in time' : 'Could not reach the leaderboard server');
+      } finally {
+        clearTimeout(timer);
+      }
+      const data = response.status === 204 ? null : await response.json().catch(() => null);
+      if (!response.ok) throw new Error((data && data.error) || `Leaderboard server error (${response.status})`);
+      return data;
+    }
+
+    const path = (game, mode) => `${encodeURIComponent(game)}/${encodeURIComponent(mode)}`;
+
+    return {
+      async list(game, mode) {
+        const data = await request('GET', path(game, mode));
+        return (data && Array.isArray(data.entries) ? data.entries : []).map(e => normalizeEntry(e));
+      },
+      async add(game, mode, entry) {
+        // The server picks the id and time; ours are only for local boards
+        const data = await request('POST', path(game, mode), { name: entry.name, score: entry.score, meta: entry.meta });
+        return normalizeEntry(data && data.entry);
+      },
+      async remove(game, mode, id) {
+        await request('DELETE', `${path(game, mode)}/${encodeURIComponent(id)}`);
+      },
+      async clear(game, mode) {
+        await request('DELETE', path(game, mode));
+      },
+    };
+  }
+
+  /* -----------------------------
+     Board: one game + mode on one adapter
+  ------------------------------ */
+  function createBoard({ game, mode = 'default', limit = DEFAULT_LIMIT, adapter = localAdapter() }) {
+    checkBoard(game, mode);
+
+    async function all() {
+      return rankEntries(await adapter.list(game, mode));
+    }
+
+    return {
+      game,
+      mode,
+      limit,
+
+      all,
+
+      async top(n = limit) {
+        return (await all()).slice(0, n);
+      },
+
+      async qualifies(score) {
+        return qualifies(await adapter.list(game, mode), score, limit);
+      },
+
+      // -> { entry, kept, rank (1-based, among everyone), top: the first `limit` }
+      // kept is false when a full board trimmed the new entry straight away (rank: null)
+      async submit(raw) {
+        const entry = await adapter.add(game, mode, normalizeEntry({ name: raw.name, score: raw.score, meta: raw.meta }));
+        const ranked = await all();
+        const mine = ranked.find(e => e.id === entry.id);
+        return { entry, kept: !!mine, rank: mine ? mine.rank : null, top: ranked.slice(0, limit) };
+      },
+
+      remove(id) {
+        return adapter.remove(game, mode, id);
+      },
+
+      clear() {
+        return adapter.clear(game, mode);
+      },
+    };
+  }
+
+  return {
+    DEFAULT_LIMIT,
+    KEEP,
+
+    slug,
+    normalizeEntry,
+    rankEntries,
+    qualifies,
+    trim,
+    checkBoard,
+
+    localAdapter,
+    httpAdapter,
+    createBoard,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Leaderboard;
@@ -0,0 +1,368 @@
+/**
+ * QuestionBank — quiz questions as data: the bank format, JSON/CSV import
+ * and the saved library of banks (no DOM).
+ *
+ * BIG IDEA:
+ * - A bank is { format: 'quiz-bank', version: 1, id, title, questions } and
+ *   a question is
+ *     { id, type: 'single' | 'multiple' | 'truefalse', prompt,
+ *       choices: ['...', ...], answer: [indexes of the right choices],
+ *       category, difficulty: 'easy' | 'medium' | 'hard', explanation }
+ *   true/false questions always have the choices ['True', 'False'].
+ * - Teachers write banks by hand or in a spreadsheet, so import is
+ *   forgiving: answers can be indexes (JSON), letters ("B", "A;C"), the
+ *   choice's text or true/false. Broken questions are skipped and listed
+ *   in `problems`; only a bank with no usable question is refused.
+ * - createLibrary keeps imported banks in one shared GameStore namespace,
+ *   so every quiz game (and every player profile) sees the same banks.
+ *
+ * Usage:
+ *   const { bank, problems } = QuestionBank.importText(fileText, { filename: 'unit3.csv' });
+ *   const library = QuestionBank.createLibrary(GameStore.createStore());
+ *   library.add(bank);                       // -> { ok, reason?, replaced }
+ *   const round = QuestionBank.pickQuestions(library.get(id).questions, 10);
+ *   QuestionBank.isCorrect(round[0], [1]);   // picked choice indexes
+ *
+ * CSV: one header row, then one question per row. Columns (any order,
+ * any case): type, question (or prompt), A, B, C, ... (or choice1, ...),
+ * answer, category, difficulty, explanation. Only question, the choices
+ * and answer are required; type defaults to single (multiple if the
+ * answer lists several letters, truefalse if it is true/false).
+ */
+const QuestionBank = (() => {
+  const FORMAT = 'quiz-bank';
+  const VERSION = 1;
+  const TYPES = ['single', 'multiple', 'truefalse'];
+  const DIFFICULTIES = ['easy', 'medium', 'hard'];
+  const TRUE_FALSE = ['True', 'False'];
+  const TYPE_ALIASES = { multi: 'multiple', multiselect: 'multiple', tf: 'truefalse', boolean: 'truefalse', choice: 'single' };
+  const LIMITS = {
+    questions: 500,
+    choices: 8, // A–H
+    prompt: 500,
+    choice: 200,
+    explanation: 1000,
+    category: 40,
+    title: 80,
+  };
+  const MAX_PROBLEMS = 20; // listed; the rest are counted
+
+  const ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+  const isId = v => typeof v === 'string' && ID.test(v);
+
+  const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+  const text = (v, max) => (typeof v === 'string' || typeof v === 'number' ? String(v).trim().slice(0, max) : '');
+  const letter = i => String.fromCharCode(65 + i);
+
+  function slug(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+  }
+
+  /* -----------------------------
+     Answers: whatever was written -> sorted choice indexes
+  ------------------------------ */
+  function readAnswer(raw, choices, type) {
+    if (type === 'truefalse') {
+      const one = Array.isArray(raw) && raw.length === 1 ? raw[0] : raw; // [0] is how it's saved
+      const v = typeof one === 'string' ? one.trim().toLowerCase() : one;
+      if (v === true || v === 0 || ['true', 't', 'yes', 'a'].includes(v)) return [0];
+      if (v === false || v === 1 || ['false', 'f', 'no', 'b'].includes(v)) return [1];
+      throw new Error('answer must be true or false');
+    }
+    const parts = Array.isArray(raw) ? raw
+      : typeof raw === 'number' ? [raw]
+        : String(raw === undefined || raw === null ? '' : raw).split(/[;|,]/).map(s => s.trim()).filter(Boolean);
+    if (!parts.length) throw new Error('no answer given');
+    const indexes = parts.map((part) => {
+      if (typeof part === 'number') return part; // JSON: 0-based index
+      const byText = choices.findIndex(c => c.toLowerCase() === String(part).trim().toLowerCase());
+      if (byText !== -1) return byText;
+      if (/^[a-h]$/i.test(String(part).trim())) return String(part).trim().toUpperCase().charCodeAt(0) - 65;
+      return NaN;
+    });
+    const bad = parts.find((part, i) => !Number.isInteger(indexes[i]) || indexes[i] < 0 || indexes[i] >= choices.length);
+    if (bad !== undefined) throw new Error(`answer "${bad}" isn't one of the choices`);
+    return [...new Set(indexes)].sort((a, b) => a - b);
+  }
+
+  /* -----------------------------
+     Questions and banks
+     normalizeQuestion throws with the reason; normalizeBank collects
+     those reasons as `problems` and keeps the good questions.
+  ------------------------------ */
+  function normalizeQuestion(raw, n) {
+    if (!isObject(raw)) throw new Error('not a question object');
+    const prompt = text(raw.prompt !== undefined ? raw.prompt : raw.question, LIMITS.prompt);
+    if (!prompt) throw new Error('the question text is empty');
+
+    const typeName = text(raw.type, 20).toLowerCase().replace(/[^a-z]/g, '');
+    let type = TYPE_ALIASES[typeName] || (TYPES.includes(typeName) ? typeName : '');
+    if (typeName && !type) throw new Error(`unknown type "${raw.type}" (use ${TYPES.join(', ')})`);
+    const choices = (Array.isArray(raw.choices) ? raw.choices : []).map(c => text(c, LIMITS.choice));
+    while (choices.length && !choices[choices.length - 1]) choices.pop(); // unused spreadsheet columns
+    if (choices.includes('')) throw new Error(`choice ${letter(choices.indexOf(''))} is empty`);
+    const looksTrueFalse = typeof raw.answer === 'boolean' || (!choices.length && /^(true|false)$/i.test(String(raw.answer).trim()));
+    if (!type && looksTrueFalse) type = 'truefalse';
+    const finalChoices = type === 'truefalse' ? TRUE_FALSE.slice() : choices;
+    if (type !== 'truefalse') {
+      if (finalChoices.length < 2) throw new Error('needs at least 2 choices');
+      if (finalChoices.length > LIMITS.choices) throw new Error(`has more than ${LIMITS.choices} choices`);
+    }
+
+    const answer = readAnswer(raw.answer, finalChoices, type);
+    if (!type) type = answer.length > 1 ? 'multiple' : 'single';
+    if (type === 'single' && answer.length > 1) throw new Error('a single-answer question has several answers (use type "multiple")');
+
+    const difficulty = text(raw.difficulty, 10).toLowerCase();
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) throw new Error(`difficulty must be ${DIFFICULTIES.join(', ')}`);
+    return {
+      id: isId(raw.id) ? raw.id : `q${n}`,
+      type,
+      prompt,
+      choices: finalChoices,
+      answer,
+      category: text(raw.category, LIMITS.category) || 'General',
+      difficulty: difficulty || 'medium',
+      explanation: text(raw.explanation, LIMITS.explanation),
+    };
+  }
+
+  // raw: a bank object or just an array of questions
+  // -> { bank, problems: ['Question 3: ...'] }; throws if nothing is usable
+  function normalizeBank(raw, { title = 'Imported quiz' } = {}) {
+    const data = Array.isArray(raw) ? { questions: raw } : raw;
+    if (!isObject(data) || !Array.isArray(data.questions)) throw new Error('No "questions" list found');
+    if (data.format !== undefined && data.format !== FORMAT) throw new Error(`Expected format "${FORMAT}"`);
+    if (typeof data.version === 'number' && data.version > VERSION) throw new Error('This bank was made by a newer version of the quiz');
+
+    const problems = [];
+    const questions = [];
+    const ids = new Set();
+    data.questions.slice(0, LIMITS.questions).forEach((q, i) => {
+      try {
+        const question = normalizeQuestion(q, i + 1);
+        if (ids.has(question.id)) question.id = `q${i + 1}-${ids.size}`;
+        ids.add(question.id);
+        questions.push(question);
+      } catch (err) {
+        problems.push(`Question ${i + 1}: ${err.message}`);
+      }
+    });
+    if (data.questions.length > LIMITS.questions) problems.push(`Only the first ${LIMITS.questions} questions were kept`);
+    if (!questions.length) {
+      throw new Error(problems.length ? `No usable questions. ${problems.slice(0, 3).join('; ')}` : 'The bank has no questions');
+    }
+
+    const bankTitle = text(data.title, LIMITS.title) || title;
+    return {
+      bank: {
+        format: FORMAT,
+        version: VERSION,
+        id: isId(data.id) ? data.id : slug(bankTitle) || 'quiz',
+        title: bankTitle,
+        description: text(data.description, LIMITS.explanation),
+        questions,
+      },
+      problems: problems.length > MAX_PROBLEMS
+        ? [...problems.slice(0, MAX_PROBLEMS), `…and ${problems.length - MAX_PROBLEMS} more`]
+        : problems,
+    };
+  }
+
+  /* -----------------------------
+     CSV
+     Quoted fields may hold commas, newlines and "" for a quote, the way
+     spreadsheets save them.
+  ------------------------------ */
+  function parseCSV(source) {
+    const input = String(source).replace(/^\uFEFF/, ''); // Excel's byte-order mark
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+      if (quoted) {
+        if (ch === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"' && !field) {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (quoted) throw new Error('CSV: a quoted field is never closed');
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim()));
+  }
+
+  function fromCSV(source, options) {
+    const [header, ...rows] = parseCSV(source);
+    if (!header) throw new Error('The CSV file is empty');
+    const columns = header.map(h => h.trim().toLowerCase().replace(/\s+/g, ''));
+    const find = (...names) => columns.findIndex(c => names.includes(c));
+    const col = {
+      type: find('type'),
+      prompt: find('question', 'prompt'),
+      answer: find('answer', 'answers', 'correct'),
+      category: find('category', 'topic'),
+      difficulty: find('difficulty', 'level'),
+      explanation: find('explanation', 'why'),
+    };
+    if (col.prompt === -1 || col.answer === -1) throw new Error('CSV needs "question" and "answer" columns');
+    const choiceColumns = columns
+      .map((c, i) => ({ c, i }))
+      .filter(({ c }) => /^[a-h]$/.test(c) || /^(choice|option)\d+$/.test(c))
+      .map(({ i }) => i);
+
+    const cell = (row, i) => (i === -1 ? '' : (row[i] || '').trim());
+    const questions = rows.map(row => ({
+      type: cell(row, col.type),
+      prompt: cell(row, col.prompt),
+      choices: choiceColumns.map(i => cell(row, i)),
+      answer: cell(row, col.answer),
+      category: cell(row, col.category),
+      difficulty: cell(row, col.difficulty),
+      explanation: cell(row, col.explanation),
+    }));
+    return normalizeBank({ questions }, options);
+  }
+
+  // A file's text -> { bank, problems }. JSON if it looks like JSON.
+  function importText(source, { filename = '' } = {}) {
+    const title = filename.replace(/\.[^.]*$/, '').replace(/[-_]+/g, ' ').trim() || undefined;
+    const trimmed = String(source).replace(/^\uFEFF/, '').trim();
+    if (/\.json$/i.test(filename) || /^[[{]/.test(trimmed)) {
+      let data;
+      try {
+        data = JSON.parse(trimmed);
+      } catch (err) {
+        throw new Error(`Not valid JSON (${err.message})`);
+      }
+      return normalizeBank(data, { title });
+    }
+    return fromCSV(trimmed, { title });
+  }
+
+  /* -----------------------------
+     Playing
+  ------------------------------ */
+  function isCorrect(question, picked) {
+    const chosen = [...new Set(picked)].sort((a, b) => a - b);
+    return chosen.length === question.answer.length && chosen.every((v, i) => v === question.answer[i]);
+  }
+
+  // 'B) First match' (several joined with ', ')
+  function answerText(question, indexes) {
+    return indexes.length ? indexes.map(i => `${letter(i)}) ${question.choices[i]}`).join(', ') : '(no answer)';
+  }
+
+  function pickQuestions(questions, count = questions.length, random = Math.random) {
+    const pool = questions.slice();
+    for (let k = pool.length - 1; k > 0; k--) {
+      const j = Math.floor(random() * (k + 1));
+      [pool[k], pool[j]] = [pool[j], pool[k]];
+    }
+    return pool.slice(0, Math.max(1, Math.min(count, pool.length)));
+  }
+
+  /* -----------------------------
+     The built-in bank (the quiz's original questions, and a few more)
+  ------------------------------ */
+  const BUILT_IN = normalizeBank({
+    id: 'javascript-dom-basics',
+    title: 'JavaScript & DOM basics',
+    questions: [
+      { prompt: 'Which method adds a click handler?', choices: ['addEventListener', 'querySelector', 'setInterval', 'toFixed'], answer: 0, category: 'Events', difficulty: 'easy', explanation: 'element.addEventListener(\'click\', fn) runs fn on every click.' },
+      { prompt: 'What does querySelector return?', choices: ['All matches', 'First match', 'A number', 'A style'], answer: 1, category: 'DOM', difficulty: 'easy', explanation: 'It returns the first matching element (or null); querySelectorAll returns them all.' },
+      { prompt: 'Which stores key/value strings in browser?', choices: ['fetch', 'localStorage', 'Math', 'JSON'], answer: 1, category: 'Storage', difficulty: 'easy', explanation: 'localStorage keeps strings per site, even after the browser closes.' },
+      { prompt: 'Which creates a random 1–6 die roll?', choices: ['Math.random()*6', 'Math.floor(Math.random()*6)+1', 'Math.round(Math.random()*6)', 'parseInt(Math.random())'], answer: 1, category: 'Numbers', difficulty: 'medium', explanation: 'Math.random()*6 is 0 to 5.99…; floor gives 0–5 and +1 shifts it to 1–6.' },
+      { prompt: 'Which stops an interval?', choices: ['clearInterval', 'stopInterval', 'endInterval', 'pauseInterval'], answer: 0, category: 'Timers', difficulty: 'easy', explanation: 'Pass clearInterval the id that setInterval returned.' },
+      { type: 'multiple', prompt: 'Which of these values are falsy?', choices: ['0', '"0"', '""', '[]'], answer: 'A;C', category: 'Types', difficulty: 'medium', explanation: '0 and the empty string are falsy; "0" and [] are truthy.' },
+      { type: 'truefalse', prompt: 'textContent is safe for showing text a user typed.', answer: true, category: 'DOM', difficulty: 'medium', explanation: 'textContent never parses HTML, unlike innerHTML.' },
+      { type: 'truefalse', prompt: 'NaN === NaN is true.', answer: false, category: 'Numbers', difficulty: 'hard', explanation: 'NaN is not equal to anything, itself included: use Number.isNaN.' },
+      { prompt: 'Which event fires on every keystroke in a text field?', choices: ['change', 'input', 'submit', 'load'], answer: 1, category: 'Events', difficulty: 'medium', explanation: '"change" only fires when the field loses focus; "input" fires on every edit.' },
+      { type: 'multiple', prompt: 'Which methods add elements to the page?', choices: ['append', 'appendChild', 'remove', 'replaceChildren'], answer: 'A;B;D', category: 'DOM', difficulty: 'hard', explanation: 'remove() takes an element out; the others insert.' },
+    ],
+  }).bank;
+
+  /* -----------------------------
+     Library: built-in + imported banks (GameStore, shared)
+  ------------------------------ */
+  function createLibrary(store) {
+    const saves = store.namespace('quiz-banks', { shared: true });
+
+    function imported() {
+      const list = saves.get('banks', []);
+      return (Array.isArray(list) ? list : []).flatMap((raw) => {
+        try {
+          return [normalizeBank(raw).bank];
+        } catch {
+          return []; // an unreadable bank is skipped, not fatal
+        }
+      });
+    }
+
+    function banks() {
+      return [BUILT_IN, ...imported()];
+    }
+
+    function get(id) {
+      return banks().find(b => b.id === id) || null;
+    }
+
+    // Same id = a new version of that bank: it replaces the old one
+    function add(bank) {
+      const saved = { ...bank, id: bank.id === BUILT_IN.id ? `${bank.id}-2` : bank.id };
+      const list = imported();
+      const replaced = list.some(b => b.id === saved.id);
+      const result = saves.set('banks', [...list.filter(b => b.id !== saved.id), saved]);
+      return { ...result, bank: saved, replaced };
+    }
+
+    function remove(id) {
+      return saves.set('banks', imported().filter(b => b.id !== id));
+    }
+
+    return { saves, banks, get, add, remove, isBuiltIn: id => id === BUILT_IN.id };
+  }
+
+  return {
+    FORMAT,
+    VERSION,
+    TYPES,
+    DIFFICULTIES,
+    LIMITS,
+    BUILT_IN,
+    letter,
+    normalizeQuestion,
+    normalizeBank,
+    parseCSV,
+    fromCSV,
+    importText,
+    isCorrect,
+    answerText,
+    pickQuestions,
+    createLibrary,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = QuestionBank;
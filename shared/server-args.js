@@ -0,0 +1,36 @@
+/**
+ * Command-line options for the small Node servers (leaderboard, Mini Chat
+ * relay, Fetch Trivia mock).
+ *
+ * BIG IDEA:
+ * - The defaults say everything: each key is an option (adminToken is
+ *   --admin-token), and a number default means the value must be a number.
+ * - --port is always checked; other checks are passed in as
+ *   { key: [test, message] }.
+ *
+ * Usage:
+ *   const readArgs = require('../../shared/server-args.js');
+ *   const options = readArgs(process.argv.slice(2), { port: 8090, host: '0.0.0.0' },
+ *     { fail: [v => v >= 0 && v <= 1, '--fail must be between 0 and 1'] });
+ */
+const PORT_CHECK = [p => Number.isInteger(p) && p >= 0 && p <= 65535, '--port must be 0-65535'];
+
+const flagFor = key => `--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+
+function readArgs(argv, defaults, checks = {}) {
+  const options = { ...defaults };
+  const keys = new Map(Object.keys(defaults).map(key => [flagFor(key), key]));
+  for (let i = 0; i < argv.length; i++) {
+    const key = keys.get(argv[i]);
+    if (!key) throw new Error(`Unknown option ${argv[i]}`);
+    if (i + 1 >= argv.length) throw new Error(`${argv[i]} needs a value`);
+    const value = argv[++i];
+    options[key] = typeof defaults[key] === 'number' ? Number(value) : value;
+  }
+  for (const [key, [ok, message]] of Object.entries({ port: PORT_CHECK, ...checks })) {
+    if (key in options && !ok(options[key])) throw new Error(message);
+  }
+  return options;
+}
+
+module.exports = readArgs;
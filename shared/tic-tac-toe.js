@@ -0,0 +1,464 @@
+/**
+ * TicTacToe — the rules, an AI and a move protocol for any N×N board
+ * (no DOM): 3×3, 4×4 four in a row, 15×15 Gomoku (five in a row)...
+ *
+ * BIG IDEA:
+ * - A match is plain data; the functions below change it:
+ *     { size, winLength, first, board: ['', 'X', ...] (row by row),
+ *       moves: [{ n, player, index }], undone: [moves to redo],
+ *       turn, winner: 'X' | 'O' | null, line: [winning cells], draw }
+ * - Only the last move can win, so the winner check looks along the 4
+ *   lines through that cell: the same code works on any board size.
+ * - The AI is minimax with alpha-beta pruning (written as "negamax": my
+ *   score is minus your score). On 3×3 it searches to the end, so Perfect
+ *   never loses. Bigger boards are too big for that: it searches a few
+ *   moves ahead, nearby cells first, and scores the position by counting
+ *   the lines each player could still complete.
+ * - Every change can be written as a small JSON message, so the same
+ *   engine can replay a saved game or a move from another tab/computer:
+ *     { protocol: 'ttt/1', type: 'new',  size, winLength, first }
+ *     { protocol: 'ttt/1', type: 'move', n, player, row, col }
+ *     { protocol: 'ttt/1', type: 'undo', n }
+ *     { protocol: 'ttt/1', type: 'game', size, winLength, first, moves: [[row, col], ...] }
+ *
+ * Usage:
+ *   let match = TicTacToe.createMatch({ size: 15, winLength: 5 });
+ *   const move = TicTacToe.play(match, 112);          // null if not allowed
+ *   send(TicTacToe.moveMessage(match, move));
+ *   match = TicTacToe.applyMessage(match, received);  // throws if invalid
+ *   TicTacToe.play(match, TicTacToe.chooseMove(match, 'perfect'));
+ */
+const TicTacToe = (() => {
+  const PLAYERS = ['X', 'O'];
+  const PROTOCOL = 'ttt/1';
+  const VARIANTS = [
+    { id: 'classic', size: 3, winLength: 3, label: '3×3 — three in a row' },
+    { id: 'four', size: 4, winLength: 4, label: '4×4 — four in a row' },
+    { id: 'gomoku', size: 15, winLength: 5, label: 'Gomoku 15×15 — five in a row' },
+  ];
+  const LEVELS = ['easy', 'medium', 'perfect'];
+  const MIN_SIZE = 3;
+  const MAX_SIZE = 19;
+  const MAX_WIN_LENGTH = 8;
+
+  const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]]; // → ↓ ↘ ↙
+
+  const other = player => (player === 'X' ? 'O' : 'X');
+
+  function checkRules(size, winLength, first) {
+    if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+      throw new Error(`TicTacToe: size must be ${MIN_SIZE}-${MAX_SIZE}`);
+    }
+    if (!Number.isInteger(winLength) || winLength < 3 || winLength > Math.min(size, MAX_WIN_LENGTH)) {
+      throw new Error(`TicTacToe: win length must be 3-${Math.min(size, MAX_WIN_LENGTH)} on a ${size}×${size} board`);
+    }
+    if (!PLAYERS.includes(first)) throw new Error('TicTacToe: first player must be X or O');
+  }
+
+  /* -----------------------------
+     Cells: index <-> row/col <-> "B3"
+     Columns are letters, rows numbers (like a chessboard).
+  ------------------------------ */
+  function cellAt(size, row, col) {
+    return row >= 0 && row < size && col >= 0 && col < size ? row * size + col : -1;
+  }
+
+  function coords(size, index) {
+    return { row: Math.floor(index / size), col: index % size };
+  }
+
+  function cellName(size, index) {
+    const { row, col } = coords(size, index);
+    return `${String.fromCharCode(65 + col)}${row + 1}`;
+  }
+
+  /* -----------------------------
+     Winner check
+     The cells in a row with `index`, along each direction; a line of
+     winLength or more wins. -> sorted indexes, or null.
+  ------------------------------ */
+  function winningLine(board, size, winLength, index) {
+    const player = board[index];
+    if (!player) return null;
+    const { row, col } = coords(size, index);
+    for (const [dr, dc] of DIRECTIONS) {
+      const line = [index];
+      for (const sign of [1, -1]) {
+        let r = row + dr * sign;
+        let c = col + dc * sign;
+        while (board[cellAt(size, r, c)] === player) {
+          line.push(cellAt(size, r, c));
+          r += dr * sign;
+          c += dc * sign;
+        }
+      }
+      if (line.length >= winLength) return line.sort((a, b) => a - b);
+    }
+    return null;
+  }
+
+  /* -----------------------------
+     Matches
+  ------------------------------ */
+  function createMatch({ size = 3, winLength = Math.min(size, 5), first = 'X' } = {}) {
+    checkRules(size, winLength, first);
+    return {
+      size,
+      winLength,
+      first,
+      board: Array(size * size).fill(''),
+      moves: [],
+      undone: [],
+      turn: first,
+      winner: null,
+      line: [],
+      draw: false,
+    };
+  }
+
+  const isOver = match => !!match.winner || match.draw;
+
+  function canPlay(match, index) {
+    return !isOver(match) && Number.isInteger(index) && index >= 0 && index < match.board.length && !match.board[index];
+  }
+
+  function legalMoves(match) {
+    if (isOver(match)) return [];
+    return match.board.flatMap((v, i) => (v ? [] : [i]));
+  }
+
+  // Puts the move on the board and works out turn / winner / draw
+  function place(match, move) {
+    match.board[move.index] = move.player;
+    match.moves.push(move);
+    const line = winningLine(match.board, match.size, match.winLength, move.index);
+    match.winner = line ? move.player : null;
+    match.line = line || [];
+    match.draw = !line && match.moves.length === match.board.length;
+    match.turn = other(move.player);
+    return move;
+  }
+
+  // -> the move { n, player, index }, or null if that cell can't be played
+  function play(match, index) {
+    if (!canPlay(match, index)) return null;
+    match.undone = [];
+    return place(match, { n: match.moves.length + 1, player: match.turn, index });
+  }
+
+  // Takes back the last move (it goes on the redo list). -> move or null
+  function undo(match) {
+    const move = match.moves.pop();
+    if (!move) return null;
+    match.board[move.index] = '';
+    match.undone.push(move);
+    match.winner = null;
+    match.line = [];
+    match.draw = false;
+    match.turn = move.player;
+    return move;
+  }
+
+  function redo(match) {
+    const move = match.undone.pop();
+    return move ? place(match, move) : null;
+  }
+
+  /* -----------------------------
+     AI: windows
+     A "window" is winLength cells in a line. One only you have marks in
+     is a line you could still complete: the more marks, the better.
+     Worked out once per board shape.
+  ------------------------------ */
+  const geometries = new Map();
+
+  function geometry(size, winLength) {
+    const key = `${size}/${winLength}`;
+    if (geometries.has(key)) return geometries.get(key);
+    const windows = [];
+    const byCell = Array.from({ length: size * size }, () => []);
+    const near = Array.from({ length: size * size }, () => []);
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const index = cellAt(size, row, col);
+        for (const [dr, dc] of DIRECTIONS) {
+          const cells = [];
+          for (let k = 0; k < winLength; k++) cells.push(cellAt(size, row + dr * k, col + dc * k));
+          if (cells.includes(-1)) continue;
+          cells.forEach(cell => byCell[cell].push(windows.length));
+          windows.push(cells);
+        }
+        for (let dr = -1; dr <= 1; dr++) {
+          for (let dc = -1; dc <= 1; dc++) {
+            const cell = cellAt(size, row + dr, col + dc);
+            if (cell !== -1 && cell !== index) near[index].push(cell);
+          }
+        }
+      }
+    }
+    const geo = { size, winLength, windows, byCell, near };
+    geometries.set(key, geo);
+    return geo;
+  }
+
+  const WEIGHT = n => 10 ** n; // 1 mark = 10, 2 = 100, ...
+  const WIN_SCORE = 1e13;      // more than any sum of WEIGHTs
+
+  // Positive = good for `player`
+  function evaluate(board, geo, player) {
+    let score = 0;
+    for (const cells of geo.windows) {
+      let mine = 0;
+      let theirs = 0;
+      for (const cell of cells) {
+        if (board[cell] === player) mine++;
+        else if (board[cell]) theirs++;
+      }
+      if (mine && !theirs) score += WEIGHT(mine);
+      else if (theirs && !mine) score -= WEIGHT(theirs);
+    }
+    return score;
+  }
+
+  // How much a cell helps `player` (build) or hurts the opponent (block)
+  function cellValue(board, geo, player, index) {
+    let value = 0;
+    for (const w of geo.byCell[index]) {
+      let mine = 0;
+      let theirs = 0;
+      for (const cell of geo.windows[w]) {
+        if (board[cell] === player) mine++;
+        else if (board[cell]) theirs++;
+      }
+      if (!theirs) value += WEIGHT(mine + 1);
+      if (!mine) value += WEIGHT(theirs + 1);
+    }
+    return value;
+  }
+
+  /* -----------------------------
+     AI: which cells are worth trying
+     Small boards: every empty cell. Big boards: cells next to a mark,
+     best-looking first, only the top `width` (pruning the rest).
+     The random part only breaks ties, so equal moves vary game to game.
+  ------------------------------ */
+  function candidates(ctx, player) {
+    const { board, geo } = ctx;
+    const small = board.length <= 25;
+    let cells = board.flatMap((v, i) => (!v && (small || geo.near[i].some(n => board[n])) ? [i] : []));
+    if (!cells.length && !board.some(Boolean)) cells = [Math.floor(board.length / 2)]; // empty big board: centre
+    return cells
+      .map(index => ({ index, value: cellValue(board, geo, player, index) + ctx.random() * 0.5 }))
+      .sort((a, b) => b.value - a.value)
+      .slice(0, ctx.width)
+      .map(c => c.index);
+  }
+
+  function negamax(ctx, player, depth, alpha, beta, ply) {
+    if (++ctx.nodes > ctx.budget) {
+      ctx.aborted = true;
+      return 0;
+    }
+    if (depth === 0) return evaluate(ctx.board, ctx.geo, player);
+    let best = -Infinity;
+    for (const index of candidates(ctx, player)) {
+      const score = tryMove(ctx, player, index, depth, alpha, beta, ply);
+      if (ctx.aborted) return 0;
+      if (score > best) best = score;
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break; // the opponent would never allow this line
+    }
+    return best === -Infinity ? 0 : best;
+  }
+
+  // Plays index, scores it (sooner wins score higher), takes it back
+  function tryMove(ctx, player, index, depth, alpha, beta, ply) {
+    ctx.board[index] = player;
+    ctx.empty--;
+    let score;
+    if (winningLine(ctx.board, ctx.geo.size, ctx.geo.winLength, index)) score = WIN_SCORE - ply;
+    else if (!ctx.empty) score = 0;
+    else score = -negamax(ctx, other(player), depth - 1, -beta, -alpha, ply + 1);
+    ctx.board[index] = '';
+    ctx.empty++;
+    return score;
+  }
+
+  // Best move `depth` plies deep, or null if the node budget ran out
+  function searchRoot(ctx, player, depth) {
+    let best = null;
+    let alpha = -Infinity;
+    for (const index of candidates(ctx, player)) {
+      const score = tryMove(ctx, player, index, depth, alpha, Infinity, 1);
+      if (ctx.aborted) return null;
+      if (!best || score > best.score) best = { index, score };
+      if (score > alpha) alpha = score;
+    }
+    return best;
+  }
+
+  function winningCell(board, geo, player) {
+    return board.findIndex((v, i) => {
+      if (v) return false;
+      board[i] = player;
+      const wins = !!winningLine(board, geo.size, geo.winLength, i);
+      board[i] = '';
+      return wins;
+    });
+  }
+
+  /* -----------------------------
+     AI: levels
+     easy     wins if it can, otherwise a random nearby cell
+     medium   wins, blocks, otherwise looks 2 moves ahead
+     perfect  looks deeper and deeper until the budget runs out; on 3×3
+              (and late in small games) that's the whole game: unbeatable
+     options: { random: () => 0..1 (tests), budget: positions to look at }
+  ------------------------------ */
+  function chooseMove(match, level = 'perfect', { random = Math.random, budget } = {}) {
+    if (!LEVELS.includes(level)) throw new Error(`TicTacToe: unknown level "${level}"`);
+    if (isOver(match)) return -1;
+    const board = match.board.slice();
+    const geo = geometry(match.size, match.winLength);
+    const player = match.turn;
+    const ctx = {
+      board,
+      geo,
+      random,
+      empty: board.filter(v => !v).length,
+      width: board.length <= 25 ? Infinity : 10,
+      // About a third of a second at most: 3×3 always finishes its search
+      budget: budget || (board.length <= 9 ? 200000 : board.length <= 25 ? 40000 : 3000),
+      nodes: 0,
+      aborted: false,
+    };
+
+    const win = winningCell(board, geo, player);
+    if (win !== -1) return win;
+
+    if (level === 'easy') {
+      const cells = candidates({ ...ctx, width: Infinity }, player);
+      return cells[Math.floor(random() * cells.length)];
+    }
+
+    const block = winningCell(board, geo, other(player));
+    if (block !== -1) return block;
+
+    const maxDepth = level === 'medium' ? Math.min(2, ctx.empty) : ctx.empty;
+    let best = null;
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      const found = searchRoot(ctx, player, depth);
+      if (!found) break; // out of budget: keep the last full search
+      best = found;
+      if (Math.abs(best.score) > WIN_SCORE / 2) break; // a forced result: no need to look further
+    }
+    return best ? best.index : candidates(ctx, player)[0];
+  }
+
+  /* -----------------------------
+     Protocol
+  ------------------------------ */
+  function newMessage(match) {
+    return { protocol: PROTOCOL, type: 'new', size: match.size, winLength: match.winLength, first: match.first };
+  }
+
+  function moveMessage(match, move) {
+    const { row, col } = coords(match.size, move.index);
+    return { protocol: PROTOCOL, type: 'move', n: move.n, player: move.player, row, col };
+  }
+
+  function undoMessage(move) {
+    return { protocol: PROTOCOL, type: 'undo', n: move.n };
+  }
+
+  function toJSON(match) {
+    return {
+      protocol: PROTOCOL,
+      type: 'game',
+      size: match.size,
+      winLength: match.winLength,
+      first: match.first,
+      moves: match.moves.map(m => {
+        const { row, col } = coords(match.size, m.index);
+        return [row, col];
+      }),
+    };
+  }
+
+  function readMessage(message) {
+    const data = typeof message === 'string' ? JSON.parse(message) : message;
+    if (!data || typeof data !== 'object') throw new Error('Not a move message');
+    if (data.protocol !== PROTOCOL) throw new Error(`Expected protocol "${PROTOCOL}"`);
+    return data;
+  }
+
+  function playAt(match, row, col, player) {
+    const index = Number.isInteger(row) && Number.isInteger(col) ? cellAt(match.size, row, col) : -1;
+    if (player && player !== match.turn) throw new Error(`It is ${match.turn}'s turn, not ${player}'s`);
+    const move = play(match, index);
+    if (!move) throw new Error(`Move ${match.moves.length + 1} (row ${row}, col ${col}) isn't allowed`);
+    return move;
+  }
+
+  // Replays a whole game record -> a new match
+  function fromJSON(record) {
+    const data = readMessage(record);
+    if (data.type !== 'game' || !Array.isArray(data.moves)) throw new Error('Not a game record');
+    const match = createMatch({ size: data.size, winLength: data.winLength, first: data.first });
+    data.moves.forEach(cell => playAt(match, Array.isArray(cell) ? cell[0] : NaN, Array.isArray(cell) ? cell[1] : NaN));
+    return match;
+  }
+
+  // Applies a received message. -> the match (a new one for 'new'/'game');
+  // throws an Error saying why if the message doesn't fit this match.
+  function applyMessage(match, message) {
+    const data = readMessage(message);
+    switch (data.type) {
+      case 'new':
+        return createMatch({ size: data.size, winLength: data.winLength, first: data.first });
+      case 'game':
+        return fromJSON(data);
+      case 'move':
+        if (data.n !== match.moves.length + 1) throw new Error(`Got move ${data.n}, expected move ${match.moves.length + 1}`);
+        playAt(match, data.row, data.col, data.player);
+        return match;
+      case 'undo':
+        if (data.n !== match.moves.length || !match.moves.length) throw new Error(`Can't take back move ${data.n}`);
+        undo(match);
+        return match;
+      default:
+        throw new Error(`Unknown message type "${data.type}"`);
+    }
+  }
+
+  return {
+    PLAYERS,
+    PROTOCOL,
+    VARIANTS,
+    LEVELS,
+    other,
+    cellAt,
+    coords,
+    cellName,
+    winningLine,
+
+    createMatch,
+    isOver,
+    canPlay,
+    legalMoves,
+    play,
+    undo,
+    redo,
+
+    chooseMove,
+
+    newMessage,
+    moveMessage,
+    undoMessage,
+    toJSON,
+    fromJSON,
+    applyMessage,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = TicTacToe;